@@ -0,0 +1,147 @@
+import { db } from '../db/database.js';
+import { toDbLocalTimestamp } from '../scrapers/scraper.js';
+
+// Same tokenized matching as matchesQuery in the frontend PartsFeed: every
+// whitespace-separated token must appear somewhere in the part's text fields.
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+export function matchesQuery(part, query) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return true;
+  const haystack = [
+    part.brand,
+    part.model,
+    part.category,
+    part.name,
+    part.part_number,
+    part.description,
+    part.image_path,
+    part.image_url
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return tokens.every((t) => haystack.includes(t));
+}
+
+async function loadAvailableParts() {
+  return db.all(`
+    SELECT p.id, p.name, p.part_number, p.description, p.price, p.image_path, p.image_url,
+           m.brand, m.model, m.category
+    FROM parts p
+    JOIN motorcycles m ON p.motorcycle_id = m.id
+    WHERE p.is_deleted = 0
+  `);
+}
+
+// Earliest price recorded in parts_history since `since`, i.e. the price the
+// part had before this round of updates.
+async function loadPricesBefore(since) {
+  const rows = since
+    ? await db.all(
+      `SELECT part_id, price
+       FROM parts_history
+       WHERE recorded_at > ? AND history_event = 'updated'
+       ORDER BY recorded_at ASC, id ASC`,
+      [since]
+    )
+    : [];
+  const byPart = new Map();
+  for (const row of rows) {
+    if (!byPart.has(row.part_id)) byPart.set(row.part_id, row.price);
+  }
+  return byPart;
+}
+
+async function evaluateSearch(search, parts, pricesBefore, options) {
+  const now = options.evaluatedAt;
+  const previousRows = await db.all(
+    'SELECT part_id, price FROM saved_search_matches WHERE search_id = ?',
+    [search.id]
+  );
+  const previous = new Map(previousRows.map((r) => [r.part_id, r]));
+  const matched = parts.filter((p) => matchesQuery(p, search.query));
+  const matchedIds = new Set(matched.map((p) => p.id));
+  const counts = { new_match: 0, price_drop: 0, gone: 0 };
+
+  const addAlert = async (type, partId, oldPrice, newPrice) => {
+    counts[type] += 1;
+    if (options.baseline) return;
+    await db.run(
+      `INSERT INTO alerts (search_id, part_id, alert_type, old_price, new_price, run_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [search.id, partId, type, oldPrice ?? null, newPrice ?? null, options.runId || null, now]
+    );
+  };
+
+  for (const part of matched) {
+    const prev = previous.get(part.id);
+    if (!prev) {
+      await addAlert('new_match', part.id, null, part.price);
+      await db.run(
+        'INSERT INTO saved_search_matches (search_id, part_id, price, matched_at) VALUES (?, ?, ?, ?)',
+        [search.id, part.id, part.price, now]
+      );
+      continue;
+    }
+
+    const before = pricesBefore.has(part.id) ? pricesBefore.get(part.id) : prev.price;
+    if (Number(before) > 0 && Number(part.price) < Number(before)) {
+      await addAlert('price_drop', part.id, before, part.price);
+    }
+    if (Number(prev.price) !== Number(part.price)) {
+      await db.run(
+        'UPDATE saved_search_matches SET price = ? WHERE search_id = ? AND part_id = ?',
+        [part.price, search.id, part.id]
+      );
+    }
+  }
+
+  const droppedIds = previousRows.map((r) => r.part_id).filter((id) => !matchedIds.has(id));
+  if (droppedIds.length > 0) {
+    const placeholders = droppedIds.map(() => '?').join(',');
+    const stillAvailable = await db.all(
+      `SELECT id FROM parts WHERE id IN (${placeholders}) AND is_deleted = 0`,
+      droppedIds
+    );
+    const availableIds = new Set(stillAvailable.map((r) => r.id));
+    for (const partId of droppedIds) {
+      // Parts that merely stopped matching (renamed etc.) leave the set silently.
+      if (!availableIds.has(partId)) {
+        await addAlert('gone', partId, previous.get(partId)?.price, null);
+      }
+    }
+    await db.run(
+      `DELETE FROM saved_search_matches WHERE search_id = ? AND part_id IN (${placeholders})`,
+      [search.id, ...droppedIds]
+    );
+  }
+
+  await db.run('UPDATE saved_searches SET last_evaluated_at = ? WHERE id = ?', [now, search.id]);
+  return counts;
+}
+
+// Re-evaluate saved searches against the current parts. With `baseline` the
+// matches are recorded without raising alerts (used when a search is created).
+export async function evaluateSavedSearches(options = {}) {
+  const searches = options.searchId
+    ? await db.all('SELECT * FROM saved_searches WHERE id = ?', [options.searchId])
+    : await db.all('SELECT * FROM saved_searches ORDER BY id ASC');
+  if (searches.length === 0) return [];
+
+  const evaluatedAt = toDbLocalTimestamp();
+  const parts = await loadAvailableParts();
+  const results = [];
+  for (const search of searches) {
+    const pricesBefore = await loadPricesBefore(search.last_evaluated_at);
+    const counts = await evaluateSearch(search, parts, pricesBefore, { ...options, evaluatedAt });
+    results.push({ searchId: search.id, name: search.name, ...counts });
+  }
+  return results;
+}
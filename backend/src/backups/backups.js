@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { fileURLToPath } from 'url';
+import { db } from '../db/database.js';
+import { migrateUp } from '../db/migrator.js';
+import { IMAGES_DIR } from '../scrapers/imageStore.js';
+import { toDbLocalTimestamp } from '../scrapers/scraper.js';
+import { readTar, writeTar } from './tar.js';
+
+// Backups of the database and the image store. Each backup is one tar
+// archive in data/backups:
+//   manifest.json     - when, why, schema version and row counts
+//   database.sqlite   - taken with SQLite's online backup API, so the server
+//                       keeps running while it is made
+//   images/...        - data/images without the resized variants, which are
+//                       rebuilt on demand
+// Backups taken automatically (before destructive routes and restores) are
+// pruned to the newest MAX_AUTOMATIC_BACKUPS; manual ones are kept.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const BACKUPS_DIR = process.env.BACKUPS_DIR
+  ? path.resolve(process.env.BACKUPS_DIR)
+  : path.join(__dirname, '../../data/backups');
+
+const VARIANTS_DIR = path.join(IMAGES_DIR, '_variants');
+const BACKUP_NAME = /^backup-\d{8}-\d{6}(?:-[a-z0-9-]+)?\.tar$/;
+const MANIFEST_VERSION = 1;
+export const MAX_AUTOMATIC_BACKUPS = 10;
+
+export function isBackupName(name) {
+  return BACKUP_NAME.test(String(name || ''));
+}
+
+function backupPath(name) {
+  if (!isBackupName(name)) throw new Error(`Invalid backup name: ${name}`);
+  return path.join(BACKUPS_DIR, name);
+}
+
+function slug(reason) {
+  return String(reason || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+async function exists(abs) {
+  try {
+    await fs.access(abs);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Image files relative to data/images, leaving out variants and the
+// half-written .tmp files of running downloads
+async function listStoreFiles(dir = IMAGES_DIR) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const abs = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (abs !== VARIANTS_DIR) files.push(...(await listStoreFiles(abs)));
+    } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+      files.push(path.relative(IMAGES_DIR, abs).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+async function countRows(database) {
+  const count = async (table) => (await database.get(`SELECT COUNT(*) AS count FROM ${table}`))?.count || 0;
+  const schema = await database.get('SELECT MAX(version) AS version FROM schema_migrations');
+  return {
+    schemaVersion: schema?.version || 0,
+    motorcycles: await count('motorcycles'),
+    parts: await count('parts'),
+    selections: await count('selections'),
+    tags: await count('tags')
+  };
+}
+
+async function uniqueName(reason) {
+  const stamp = toDbLocalTimestamp().replace(/[-:]/g, '').replace(' ', '-');
+  const suffix = slug(reason);
+  for (let n = 1; ; n++) {
+    const name = `backup-${stamp}${suffix ? `-${suffix}` : ''}${n > 1 ? `-${n}` : ''}.tar`;
+    if (!(await exists(path.join(BACKUPS_DIR, name)))) return name;
+  }
+}
+
+// Writes a new backup archive. options:
+//   reason    - short label, part of the name (e.g. "manual", "before-clear")
+//   automatic - counts towards the pruned automatic backups
+// Returns the backup's listing entry.
+export async function createBackup({ reason = 'manual', automatic = false } = {}) {
+  await db.ready;
+  await fs.mkdir(BACKUPS_DIR, { recursive: true });
+  const name = await uniqueName(reason);
+  const workDir = path.join(BACKUPS_DIR, `.tmp-${crypto.randomUUID()}`);
+  const partial = path.join(BACKUPS_DIR, `${name}.partial`);
+  try {
+    await fs.mkdir(workDir);
+    const dbCopy = path.join(workDir, 'database.sqlite');
+    // Counted in the same go, so the manifest matches the copy
+    const counts = await db.exclusive(async () => {
+      await db.backupTo(dbCopy);
+      return countRows(db);
+    });
+
+    const images = await listStoreFiles();
+    const manifest = {
+      version: MANIFEST_VERSION,
+      createdAt: toDbLocalTimestamp(),
+      reason: String(reason || ''),
+      automatic,
+      ...counts,
+      images: images.length
+    };
+    await writeTar(partial, [
+      { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) },
+      { name: 'database.sqlite', abs: dbCopy },
+      // A download may replace or GC remove a file while the archive is
+      // written; whatever is gone by then is left out
+      ...(await filterExisting(images)).map((file) => ({ name: `images/${file}`, abs: path.join(IMAGES_DIR, file) }))
+    ]);
+    await fs.rename(partial, path.join(BACKUPS_DIR, name));
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+    await fs.rm(partial, { force: true });
+  }
+
+  if (automatic) await pruneAutomaticBackups();
+  return describeBackup(name);
+}
+
+async function filterExisting(files) {
+  const kept = [];
+  for (const file of files) {
+    if (await exists(path.join(IMAGES_DIR, file))) kept.push(file);
+  }
+  return kept;
+}
+
+async function readManifest(archive) {
+  let manifest = null;
+  await readTar(archive, async (entry) => {
+    if (entry.name === 'manifest.json') manifest = JSON.parse((await entry.read()).toString('utf8'));
+    return false;
+  });
+  return manifest;
+}
+
+async function describeBackup(name) {
+  const abs = backupPath(name);
+  const stat = await fs.stat(abs);
+  let manifest = null;
+  try {
+    manifest = await readManifest(abs);
+  } catch {
+    // listed anyway; restoring it will report what is wrong
+  }
+  return {
+    name,
+    size: stat.size,
+    createdAt: manifest?.createdAt || toDbLocalTimestamp(stat.mtime),
+    reason: manifest?.reason ?? null,
+    automatic: manifest?.automatic === true,
+    schemaVersion: manifest?.schemaVersion ?? null,
+    motorcycles: manifest?.motorcycles ?? null,
+    parts: manifest?.parts ?? null,
+    images: manifest?.images ?? null,
+    valid: Boolean(manifest)
+  };
+}
+
+// All backups, newest first
+export async function listBackups() {
+  let files;
+  try {
+    files = await fs.readdir(BACKUPS_DIR);
+  } catch {
+    return [];
+  }
+  const backups = [];
+  for (const file of files.filter(isBackupName)) {
+    const { mtimeMs } = await fs.stat(path.join(BACKUPS_DIR, file));
+    backups.push({ mtimeMs, backup: await describeBackup(file) });
+  }
+  return backups.sort((a, b) => b.mtimeMs - a.mtimeMs).map((b) => b.backup);
+}
+
+export async function getBackup(name) {
+  if (!isBackupName(name) || !(await exists(backupPath(name)))) return null;
+  return describeBackup(name);
+}
+
+export function getBackupPath(name) {
+  return backupPath(name);
+}
+
+export async function deleteBackup(name) {
+  const abs = backupPath(name);
+  if (!(await exists(abs))) return false;
+  await fs.rm(abs);
+  return true;
+}
+
+async function pruneAutomaticBackups() {
+  const automatic = (await listBackups()).filter((b) => b.automatic);
+  for (const backup of automatic.slice(MAX_AUTOMATIC_BACKUPS)) {
+    await deleteBackup(backup.name);
+  }
+}
+
+async function keepBlobVariants(previousVariants) {
+  let sizes;
+  try {
+    sizes = await fs.readdir(previousVariants);
+  } catch {
+    return;
+  }
+  for (const size of sizes) {
+    const blobs = path.join(previousVariants, size, 'blobs');
+    if (!(await exists(blobs))) continue;
+    await fs.mkdir(path.join(VARIANTS_DIR, size), { recursive: true });
+    await fs.rename(blobs, path.join(VARIANTS_DIR, size, 'blobs'));
+  }
+}
+
+function checkDatabaseFile(filename) {
+  return new Promise((resolve, reject) => {
+    // Not read-only: the FTS5 part of the check needs to write
+    const check = new sqlite3.Database(filename, (openErr) => {
+      if (openErr) return reject(openErr);
+      check.get('PRAGMA integrity_check', (err, row) => {
+        check.close(() => {
+          if (err) reject(err);
+          else if (row?.integrity_check !== 'ok') reject(new Error(`Backup database is damaged: ${row?.integrity_check}`));
+          else resolve();
+        });
+      });
+    });
+  });
+}
+
+// Replaces the database and the image store with a backup. The archive is
+// extracted and checked before anything is touched, and unless
+// options.backupFirst is false the current state is backed up first so a
+// restore can be undone. The image store is swapped before the database is
+// restored, and both are put back if either step fails, so the two never
+// come from different backups. The database is restored into the open connection and
+// then migrated, so a backup from an older schema version works too.
+// Returns { restored, safetyBackup, migrations }.
+export async function restoreBackup(name, { backupFirst = true } = {}) {
+  const archive = backupPath(name);
+  if (!(await exists(archive))) throw new Error(`Backup not found: ${name}`);
+  await db.ready;
+
+  // Next to the image store, so swapping it is a rename on one file system
+  const workDir = path.join(path.dirname(IMAGES_DIR), `.restore-${crypto.randomUUID()}`);
+  const extracted = path.join(workDir, 'extracted');
+  try {
+    await fs.mkdir(extracted, { recursive: true });
+    await readTar(archive, async (entry) => {
+      if (entry.name !== 'manifest.json' && entry.name !== 'database.sqlite' && !entry.name.startsWith('images/')) return;
+      const abs = path.resolve(extracted, entry.name);
+      if (!abs.startsWith(extracted + path.sep)) throw new Error(`Unsafe path in backup: ${entry.name}`);
+      await entry.copyTo(abs);
+    });
+    const dbFile = path.join(extracted, 'database.sqlite');
+    if (!(await exists(dbFile))) throw new Error('Backup has no database.sqlite');
+    await checkDatabaseFile(dbFile);
+
+    const safetyBackup = backupFirst ? (await createBackup({ reason: 'before-restore', automatic: true })).name : null;
+
+    const restoredImages = path.join(extracted, 'images');
+    const previousImages = path.join(workDir, 'previous-images');
+    await fs.mkdir(restoredImages, { recursive: true });
+    await swapImageStore(restoredImages, previousImages);
+
+    let migrations;
+    try {
+      migrations = await db.exclusive(async () => {
+        const current = path.join(workDir, 'current.sqlite');
+        await db.backupTo(current);
+        try {
+          await db.restoreFrom(dbFile);
+          const ran = await migrateUp(db);
+          await db.run('PRAGMA foreign_keys = ON');
+          return ran;
+        } catch (error) {
+          await db.restoreFrom(current);
+          await db.run('PRAGMA foreign_keys = ON');
+          throw error;
+        }
+      });
+    } catch (error) {
+      await fs.rename(IMAGES_DIR, path.join(workDir, 'failed-images'));
+      if (await exists(previousImages)) await fs.rename(previousImages, IMAGES_DIR);
+      throw error;
+    }
+
+    // Variants of blobs are kept since a blob path names its content; the
+    // others are rebuilt on demand.
+    await keepBlobVariants(path.join(previousImages, '_variants'));
+
+    return { restored: name, safetyBackup, migrations };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Moves the current image store to `previous` and `replacement` in its
+// place, putting the current one back when the second step fails
+async function swapImageStore(replacement, previous) {
+  const hadImages = await exists(IMAGES_DIR);
+  if (hadImages) await fs.rename(IMAGES_DIR, previous);
+  try {
+    await fs.rename(replacement, IMAGES_DIR);
+  } catch (error) {
+    if (hadImages) await fs.rename(previous, IMAGES_DIR);
+    throw error;
+  }
+}
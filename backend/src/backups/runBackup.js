@@ -0,0 +1,55 @@
+import { db } from '../db/database.js';
+import { createBackup, deleteBackup, listBackups, restoreBackup } from './backups.js';
+
+// Backups of the database and images (see backups.js).
+//   create [--reason <text>]          write a new backup (default command)
+//   list                              list backups, newest first
+//   restore <name> [--no-safety]      restore one; --no-safety skips backing
+//                                     up the current state first
+//   delete <name>                     remove a backup
+// Restoring while the server runs works, but stop any scrape first.
+
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main() {
+  const [command = 'create', ...args] = process.argv.slice(2);
+  await db.ready;
+  try {
+    if (command === 'create') {
+      const backup = await createBackup({ reason: option(args, '--reason') || 'manual' });
+      console.log(`Created ${backup.name} (${formatSize(backup.size)}, ${backup.parts} part(s), ${backup.images} image(s))`);
+    } else if (command === 'list') {
+      const backups = await listBackups();
+      if (backups.length === 0) console.log('No backups');
+      for (const b of backups) {
+        const details = b.valid ? `${b.parts} part(s), ${b.images} image(s)` : 'unreadable manifest';
+        console.log(`  ${b.name}  ${b.createdAt}  ${formatSize(b.size)}  ${details}`);
+      }
+    } else if (command === 'restore') {
+      if (!args[0]) throw new Error('Usage: backup restore <name> [--no-safety]');
+      const result = await restoreBackup(args[0], { backupFirst: !args.includes('--no-safety') });
+      if (result.safetyBackup) console.log(`Current state saved as ${result.safetyBackup}`);
+      if (result.migrations.length > 0) console.log(`Applied migration(s): ${result.migrations.join(', ')}`);
+      console.log(`Restored ${result.restored}`);
+    } else if (command === 'delete') {
+      if (!args[0]) throw new Error('Usage: backup delete <name>');
+      console.log(await deleteBackup(args[0]) ? `Deleted ${args[0]}` : `No backup named ${args[0]}`);
+    } else {
+      throw new Error(`Unknown command "${command}" (create, list, restore, delete)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,208 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { once } from 'events';
+
+// Minimal tar (POSIX ustar, with pax headers for long paths) for backup
+// archives: regular files only, written and read one entry at a time so
+// large image stores never have to fit in memory.
+
+const BLOCK = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK * 2);
+const READ_CHUNK = 1024 * 1024;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function padding(size) {
+  return (BLOCK - (size % BLOCK)) % BLOCK;
+}
+
+// Splits a path into ustar name (100) and prefix (155) fields, or null when
+// it does not fit
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { name: rest, prefix };
+  }
+  return null;
+}
+
+function buildHeader(name, size, mtime, type = '0') {
+  const header = Buffer.alloc(BLOCK);
+  const split = splitName(name) || { name: name.slice(0, 100), prefix: '' };
+  writeString(header, split.name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  writeString(header, split.prefix, 345, 155);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  writeString(header, `${sum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+  return header;
+}
+
+// "<length> path=<name>\n", the length counting its own digits
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) length += 1;
+  return Buffer.from(`${length}${body}`);
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+// entries: [{ name, abs }] (file on disk) or [{ name, data }] (Buffer)
+export async function writeTar(archivePath, entries) {
+  const out = createWriteStream(archivePath);
+  const failed = once(out, 'error').then(([error]) => { throw error; });
+  const work = (async () => {
+    try {
+      await writeEntries(out, entries);
+    } catch (error) {
+      out.destroy();
+      throw error;
+    }
+    out.end();
+    await once(out, 'finish');
+  })();
+  await Promise.race([work, failed]);
+}
+
+async function writeEntries(out, entries) {
+  for (const entry of entries) {
+    const stat = entry.abs ? await fs.stat(entry.abs) : null;
+    const size = stat ? stat.size : entry.data.length;
+    const mtime = stat ? stat.mtimeMs : Date.now();
+    if (!splitName(entry.name)) {
+      const pax = paxRecord('path', entry.name);
+      await write(out, buildHeader('PaxHeader', pax.length, mtime, 'x'));
+      await write(out, pax);
+      await write(out, Buffer.alloc(padding(pax.length)));
+    }
+    await write(out, buildHeader(entry.name, size, mtime));
+    if (entry.abs) {
+      // The header already holds the size: a file that grew since the
+      // stat is cut there, one that shrank fails the archive
+      let copied = 0;
+      if (size > 0) {
+        for await (const chunk of createReadStream(entry.abs, { start: 0, end: size - 1 })) {
+          await write(out, chunk);
+          copied += chunk.length;
+        }
+      }
+      if (copied !== size) {
+        throw new Error(`${entry.name} changed while it was archived (${copied} of ${size} bytes)`);
+      }
+    } else {
+      await write(out, entry.data);
+    }
+    await write(out, Buffer.alloc(padding(size)));
+  }
+  await write(out, END_OF_ARCHIVE);
+}
+
+function readString(header, offset, length) {
+  const raw = header.subarray(offset, offset + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(header, offset, length) {
+  return Number.parseInt(readString(header, offset, length).trim() || '0', 8);
+}
+
+function parsePax(data) {
+  const fields = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = Number.parseInt(data.toString('ascii', offset, space), 10);
+    if (!length) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const eq = record.indexOf('=');
+    if (eq !== -1) fields[record.slice(0, eq)] = record.slice(eq + 1);
+    offset += length;
+  }
+  return fields;
+}
+
+// Calls onEntry({ name, size, read, copyTo }) for each regular file.
+// read() returns the content as a Buffer, copyTo(abs) streams it to a file;
+// returning false from onEntry stops the walk.
+export async function readTar(archivePath, onEntry) {
+  const file = await fs.open(archivePath, 'r');
+  try {
+    const header = Buffer.alloc(BLOCK);
+    let position = 0;
+    let paxPath = null;
+    for (;;) {
+      const { bytesRead } = await file.read(header, 0, BLOCK, position);
+      if (bytesRead < BLOCK || header.every((b) => b === 0)) return;
+      const size = readOctal(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 48);
+      const dataStart = position + BLOCK;
+      position = dataStart + size + padding(size);
+
+      const readData = async () => {
+        const data = Buffer.alloc(size);
+        await file.read(data, 0, size, dataStart);
+        return data;
+      };
+      if (type === 'x') {
+        paxPath = parsePax(await readData()).path || null;
+        continue;
+      }
+      const prefix = readString(header, 345, 155);
+      const name = paxPath || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+      paxPath = null;
+      if (type !== '0') continue;
+
+      const copyTo = async (abs) => {
+        await fs.mkdir(path.dirname(abs), { recursive: true });
+        const out = createWriteStream(abs);
+        const chunk = Buffer.alloc(Math.min(READ_CHUNK, Math.max(size, 1)));
+        for (let done = 0; done < size;) {
+          const { bytesRead: n } = await file.read(chunk, 0, Math.min(chunk.length, size - done), dataStart + done);
+          if (n === 0) throw new Error(`Archive ends inside ${name}`);
+          await write(out, chunk.subarray(0, n));
+          done += n;
+        }
+        out.end();
+        await once(out, 'finish');
+      };
+      if ((await onEntry({ name, size, read: readData, copyTo })) === false) return;
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+// Extracts every file below destDir. Entries that would land outside it
+// (absolute paths, "..") are refused.
+export async function extractTar(archivePath, destDir) {
+  const root = path.resolve(destDir);
+  const names = [];
+  await readTar(archivePath, async (entry) => {
+    const abs = path.resolve(root, entry.name);
+    if (!abs.startsWith(root + path.sep)) throw new Error(`Unsafe path in archive: ${entry.name}`);
+    await entry.copyTo(abs);
+    names.push(entry.name);
+  });
+  return names;
+}
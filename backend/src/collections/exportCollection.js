@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { db } from '../db/database.js';
+import { ensureImageVariant } from '../scrapers/imageVariants.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'html'];
+
+const CSV_COLUMNS = [
+  ['part_number', 'Part number'],
+  ['name', 'Name'],
+  ['brand', 'Brand'],
+  ['model', 'Model'],
+  ['price', 'Price'],
+  ['currency', 'Currency'],
+  ['available', 'Available'],
+  ['url', 'URL'],
+  ['image_path', 'Local image']
+];
+
+export async function loadCollection(tag) {
+  const tagRow = await db.get('SELECT id, name FROM tags WHERE name = ?', [tag]);
+  if (!tagRow) return null;
+  const parts = await db.all(
+    `
+    SELECT p.id, p.part_number, p.name, p.description, p.price, p.currency, p.url, p.image_path,
+           p.is_deleted, p.deleted_at, m.brand, m.model
+    FROM parts p
+    JOIN part_tags pt ON p.id = pt.part_id
+    JOIN motorcycles m ON p.motorcycle_id = m.id
+    WHERE pt.tag_id = ?
+    ORDER BY m.brand, m.model, p.part_number, p.name
+    `,
+    [tagRow.id]
+  );
+  return { tag: tagRow.name, parts };
+}
+
+// Sum of available parts per currency; sold-out parts cannot be ordered
+export function collectionTotals(parts) {
+  const byCurrency = {};
+  let available = 0;
+  for (const part of parts) {
+    if (part.is_deleted) continue;
+    available += 1;
+    const price = Number(part.price);
+    if (!Number.isFinite(price)) continue;
+    const currency = part.currency || 'EUR';
+    byCurrency[currency] = Math.round(((byCurrency[currency] || 0) + price) * 100) / 100;
+  }
+  return { parts: parts.length, available, byCurrency };
+}
+
+// Text a spreadsheet app would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a UTF-8 BOM so spreadsheet apps pick the right encoding.
+// Scraped text that starts like a formula is prefixed with ' to stay text.
+export function toCsv(parts) {
+  const lines = [CSV_COLUMNS.map(([, header]) => csvCell(header)).join(',')];
+  for (const part of parts) {
+    const row = { ...part, available: part.is_deleted ? 'no' : 'yes' };
+    lines.push(CSV_COLUMNS.map(([key]) => csvCell(row[key])).join(','));
+  }
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+export function toJson(collection) {
+  return {
+    tag: collection.tag,
+    exportedAt: new Date().toISOString(),
+    totals: collectionTotals(collection.parts),
+    parts: collection.parts.map((p) => ({
+      id: p.id,
+      partNumber: p.part_number,
+      name: p.name,
+      description: p.description,
+      brand: p.brand,
+      model: p.model,
+      price: p.price,
+      currency: p.currency,
+      available: !p.is_deleted,
+      url: p.url,
+      imagePath: p.image_path
+    }))
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Inline local images so the sheet still works when mailed or printed offline.
+// The thumb variant is plenty for a 64px cell and keeps the file small.
+async function imageDataUri(imagePath) {
+  try {
+    const abs = await ensureImageVariant(imagePath, 'thumb', 'fallback');
+    if (!abs) return null;
+    const type = path.extname(abs) === '.png' ? 'image/png' : 'image/jpeg';
+    const data = await fs.readFile(abs);
+    return `data:${type};base64,${data.toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+export async function toHtml(collection) {
+  const totals = collectionTotals(collection.parts);
+  const groups = new Map();
+  for (const part of collection.parts) {
+    const key = `${part.brand || ''} ${part.model || ''}`.trim() || 'Unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(part);
+  }
+
+  const sections = [];
+  for (const [group, parts] of groups.entries()) {
+    const link = parts.find((p) => p.url)?.url || '';
+    const rows = [];
+    for (const part of parts) {
+      const image = await imageDataUri(part.image_path);
+      const price = [part.price, part.currency].filter((v) => v !== null && v !== undefined && v !== '').join(' ');
+      rows.push(`
+        <tr class="${part.is_deleted ? 'sold-out' : ''}">
+          <td class="thumb">${image ? `<img src="${image}" alt="">` : ''}</td>
+          <td>${escapeHtml(part.part_number)}</td>
+          <td>${escapeHtml(part.name)}${part.is_deleted ? ' <em>(sold out)</em>' : ''}</td>
+          <td class="price">${escapeHtml(price)}</td>
+        </tr>`);
+    }
+    sections.push(`
+    <h2>${escapeHtml(group)}</h2>
+    ${link ? `<p class="link">${escapeHtml(link)}</p>` : ''}
+    <table>
+      <thead><tr><th></th><th>Part number</th><th>Name</th><th class="price">Price</th></tr></thead>
+      <tbody>${rows.join('')}
+      </tbody>
+    </table>`);
+  }
+
+  const totalText = Object.entries(totals.byCurrency)
+    .map(([currency, sum]) => `${sum} ${currency}`)
+    .join(' + ') || '-';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(collection.tag)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #111; }
+    h1 { margin: 0 0 0.3rem; }
+    h2 { margin: 1.2rem 0 0.2rem; font-size: 1.1rem; }
+    .meta, .link { color: #555; font-size: 0.85rem; margin: 0 0 0.4rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.3rem 0.4rem; text-align: left; vertical-align: middle; }
+    .thumb { width: 72px; }
+    .thumb img { max-width: 64px; max-height: 64px; object-fit: contain; }
+    .price { text-align: right; white-space: nowrap; }
+    .sold-out td { color: #888; text-decoration: line-through; }
+    .totals { margin-top: 1.2rem; font-weight: 700; }
+    @media print { body { margin: 0.5cm; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(collection.tag)}</h1>
+  <p class="meta">${totals.parts} parts, ${totals.available} available • ${escapeHtml(new Date().toLocaleString('fi-FI'))}</p>
+  ${sections.join('\n')}
+  <p class="totals">Total (available parts): ${escapeHtml(totalText)}</p>
+</body>
+</html>
+`;
+}
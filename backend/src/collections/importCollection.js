@@ -0,0 +1,230 @@
+import { db } from '../db/database.js';
+import { normalizePartNumber } from '../db/partNumbers.js';
+
+// Header names accepted for each field (lowercased, spaces/underscores/dashes
+// removed). Covers the columns written by the CSV/JSON export.
+const FIELD_HEADERS = {
+  partId: ['id', 'partid'],
+  partNumber: ['partnumber', 'partno', 'pn', 'osanro', 'number'],
+  name: ['name', 'partname', 'osa'],
+  brand: ['brand', 'merkki'],
+  model: ['model', 'malli'],
+  tags: ['tag', 'tags', 'collection']
+};
+
+function headerKey(header) {
+  return String(header || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function fieldFor(header) {
+  const key = headerKey(header);
+  return Object.keys(FIELD_HEADERS).find((field) => FIELD_HEADERS[field].includes(key)) || null;
+}
+
+function detectDelimiter(headerLine) {
+  const counts = [',', ';', '\t'].map((d) => [d, headerLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// RFC 4180 style: quoted fields may contain delimiters, "" and newlines
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\ufeff/, '');
+  const delimiter = detectDelimiter(input.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((cell) => String(cell).trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const fields = nonEmpty[0].map(fieldFor);
+  return nonEmpty.slice(1).map((cells) => {
+    const record = {};
+    fields.forEach((field, i) => {
+      if (field && cells[i] !== undefined && record[field] === undefined) record[field] = cells[i];
+    });
+    return record;
+  });
+}
+
+function toRecord(item) {
+  const record = {};
+  for (const [key, value] of Object.entries(item || {})) {
+    const field = fieldFor(key);
+    if (field && record[field] === undefined) record[field] = value;
+  }
+  return record;
+}
+
+function splitTags(value) {
+  const values = Array.isArray(value) ? value : String(value ?? '').split(/[,;|]/);
+  return [...new Set(values.map((t) => String(t ?? '').trim()).filter(Boolean))];
+}
+
+// Accepts { csv }, { rows }, a bare array, or the JSON export shape
+// ({ tag, parts }). `defaultTag` (or the export's tag) applies to rows
+// that carry no tag column.
+export function readImportRows(body, defaultTag) {
+  let records;
+  let fallbackTag = defaultTag;
+  if (typeof body === 'string') {
+    records = parseCsv(body);
+  } else if (Array.isArray(body)) {
+    records = body.map(toRecord);
+  } else if (typeof body?.csv === 'string') {
+    records = parseCsv(body.csv);
+  } else if (Array.isArray(body?.rows)) {
+    records = body.rows.map(toRecord);
+  } else if (Array.isArray(body?.parts)) {
+    records = body.parts.map(toRecord);
+    fallbackTag = fallbackTag || body.tag;
+  } else {
+    return null;
+  }
+  fallbackTag = String(fallbackTag || body?.tag || '').trim();
+
+  return records.map((record) => {
+    const tags = splitTags(record.tags);
+    return {
+      partId: String(record.partId ?? '').trim() || null,
+      partNumber: String(record.partNumber ?? '').trim() || null,
+      name: String(record.name ?? '').trim() || null,
+      brand: String(record.brand ?? '').trim() || null,
+      model: String(record.model ?? '').trim() || null,
+      tags: tags.length > 0 ? tags : (fallbackTag ? [fallbackTag] : [])
+    };
+  });
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// By ID first; otherwise by normalized part number narrowed by brand/model
+// (and name when that still leaves several listings).
+async function resolveRow(row) {
+  if (row.partId) {
+    const part = await db.get('SELECT id FROM parts WHERE id = ?', [row.partId]);
+    if (part) return { status: 'matched', partId: part.id };
+    if (!row.partNumber) return { status: 'not_found' };
+  }
+
+  const normalized = normalizePartNumber(row.partNumber);
+  if (!normalized) return { status: 'not_found' };
+  let candidates = await db.all(
+    `SELECT p.id, p.name, p.is_deleted, m.brand, m.model
+     FROM parts p
+     JOIN motorcycles m ON p.motorcycle_id = m.id
+     WHERE p.part_number_norm = ?
+     ORDER BY p.is_deleted ASC, p.id ASC`,
+    [normalized]
+  );
+  if (row.brand) candidates = candidates.filter((c) => sameText(c.brand, row.brand));
+  if (row.model) candidates = candidates.filter((c) => sameText(c.model, row.model));
+  if (candidates.length > 1 && row.name) {
+    const byName = candidates.filter((c) => sameText(c.name, row.name));
+    if (byName.length > 0) candidates = byName;
+  }
+
+  if (candidates.length === 0) return { status: 'not_found' };
+  if (candidates.length > 1) {
+    return {
+      status: 'ambiguous',
+      candidates: candidates.map((c) => ({ id: c.id, brand: c.brand, model: c.model, name: c.name, isDeleted: c.is_deleted }))
+    };
+  }
+  return { status: 'matched', partId: candidates[0].id };
+}
+
+async function ensureTag(name, created) {
+  const existing = await db.get('SELECT id FROM tags WHERE name = ?', [name]);
+  if (existing) return existing.id;
+  const { lastID } = await db.run('INSERT INTO tags (name) VALUES (?)', [name]);
+  created.push(name);
+  return lastID;
+}
+
+// Resolves every row and, unless dryRun, assigns its tags. Returns a
+// per-row report plus a summary.
+export async function importTagAssignments(rows, { dryRun = false } = {}) {
+  const report = [];
+  const tagsCreated = [];
+  const tagIds = new Map();
+  let assigned = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const entry = {
+      row: i + 1,
+      partId: row.partId,
+      partNumber: row.partNumber,
+      brand: row.brand,
+      model: row.model,
+      tags: row.tags
+    };
+    if ((!row.partId && !row.partNumber) || row.tags.length === 0) {
+      report.push({ ...entry, status: 'invalid', error: !row.partId && !row.partNumber ? 'part id or part number required' : 'tag required' });
+      continue;
+    }
+
+    const resolved = await resolveRow(row);
+    report.push({ ...entry, ...resolved, partId: resolved.partId || row.partId });
+    if (resolved.status !== 'matched' || dryRun) continue;
+
+    for (const tag of row.tags) {
+      if (!tagIds.has(tag)) tagIds.set(tag, await ensureTag(tag, tagsCreated));
+      const { changes } = await db.run(
+        'INSERT OR IGNORE INTO part_tags (part_id, tag_id) VALUES (?, ?)',
+        [resolved.partId, tagIds.get(tag)]
+      );
+      assigned += changes;
+    }
+  }
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  return {
+    dryRun,
+    summary: {
+      rows: rows.length,
+      matched: count('matched'),
+      ambiguous: count('ambiguous'),
+      notFound: count('not_found'),
+      invalid: count('invalid'),
+      assigned,
+      tagsCreated
+    },
+    rows: report
+  };
+}
@@ -1,181 +1,173 @@
 import sqlite3 from 'sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { migrateUp } from './migrator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbPath = path.join(__dirname, '../../data/database.sqlite');
+const dbPath = process.env.DB_FILE || path.join(__dirname, '../../data/database.sqlite');
+
+// The transaction (if any) the current async call chain runs in
+const transactionContext = new AsyncLocalStorage();
 
 export class Database {
-  constructor() {
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        console.error('Error opening database:', err);
-      } else {
-        console.log('Connected to SQLite database at:', dbPath);
-        this.initializeTables();
-      }
+  // options:
+  //   filename - database file (default data/database.sqlite, or DB_FILE)
+  //   migrate  - apply pending migrations on open (default true)
+  constructor({ filename = dbPath, migrate = true } = {}) {
+    this.activeTransaction = null;
+    this.transactionQueue = Promise.resolve();
+    // Resolves once the schema has been migrated; startup tasks that query
+    // new tables should wait for it.
+    this.ready = new Promise((resolve) => {
+      this.db = new sqlite3.Database(filename, (err) => {
+        if (err) {
+          console.error('Error opening database:', err);
+          resolve();
+          return;
+        }
+        console.log('Connected to SQLite database at:', filename);
+        this.initialize({ migrate }).catch((error) => {
+          console.error('Error migrating database:', error.message);
+        }).finally(resolve);
+      });
     });
   }
 
-  initializeTables() {
-    this.db.serialize(() => {
-      // Motorcycles table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS motorcycles (
-          id TEXT PRIMARY KEY,
-          brand TEXT NOT NULL,
-          model TEXT NOT NULL,
-          category TEXT NOT NULL,
-          url TEXT NOT NULL,
-          last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Parts table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS parts (
-          id TEXT PRIMARY KEY,
-          motorcycle_id TEXT NOT NULL,
-          name TEXT NOT NULL,
-          part_number TEXT NOT NULL,
-          description TEXT,
-          price REAL,
-          currency TEXT DEFAULT 'EUR',
-          condition TEXT,
-          image_url TEXT,
-          image_path TEXT,
-          url TEXT NOT NULL,
-          scraped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          last_seen DATETIME,
-          is_deleted INTEGER DEFAULT 0,
-          deleted_at DATETIME,
-          FOREIGN KEY (motorcycle_id) REFERENCES motorcycles(id)
-        )
-      `);
-
-      // Parts history - stores previous versions of parts when updated
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS parts_history (
-          id TEXT PRIMARY KEY,
-          part_id TEXT NOT NULL,
-          motorcycle_id TEXT NOT NULL,
-          name TEXT NOT NULL,
-          part_number TEXT NOT NULL,
-          description TEXT,
-          price REAL,
-          currency TEXT DEFAULT 'EUR',
-          image_url TEXT,
-          image_path TEXT,
-          url TEXT NOT NULL,
-          history_event TEXT DEFAULT 'updated',
-          is_deleted INTEGER DEFAULT 0,
-          deleted_at DATETIME,
-          recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (part_id) REFERENCES parts(id)
-        )
-      `);
-
-      // Selections table - stores user selections
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS selections (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          part_id TEXT NOT NULL,
-          selected BOOLEAN DEFAULT 1,
-          selected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (part_id) REFERENCES parts(id)
-        )
-      `);
-
-      // Tags for collections
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS tags (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          name TEXT NOT NULL UNIQUE
-        )
-      `);
-
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS part_tags (
-          part_id TEXT NOT NULL,
-          tag_id INTEGER NOT NULL,
-          PRIMARY KEY (part_id, tag_id),
-          FOREIGN KEY (part_id) REFERENCES parts(id),
-          FOREIGN KEY (tag_id) REFERENCES tags(id)
-        )
-      `);
-
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS part_images (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          part_id TEXT NOT NULL,
-          image_url TEXT NOT NULL,
-          image_path TEXT,
-          sort_order INTEGER DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(part_id, image_url),
-          FOREIGN KEY (part_id) REFERENCES parts(id)
-        )
-      `);
-
-      this.db.run(`
-        CREATE INDEX IF NOT EXISTS idx_selections_part_id ON selections(part_id)
-      `);
-
-      this.db.run(`
-        CREATE INDEX IF NOT EXISTS idx_part_tags_part_id ON part_tags(part_id)
-      `);
-
-      this.db.run(`
-        CREATE INDEX IF NOT EXISTS idx_part_tags_tag_id ON part_tags(tag_id)
-      `);
-
-      this.db.run(`
-        CREATE INDEX IF NOT EXISTS idx_part_images_part_id ON part_images(part_id)
-      `);
-
-      this.db.run(`
-        CREATE INDEX IF NOT EXISTS idx_parts_motorcycle ON parts(motorcycle_id)
-      `);
-
-      this.db.run(`
-        CREATE INDEX IF NOT EXISTS idx_motorcycles_brand ON motorcycles(brand)
-      `);
-
-      // Migrations for older DBs
-      this.db.run(`ALTER TABLE parts ADD COLUMN last_seen DATETIME`, () => {});
-      this.db.run(`ALTER TABLE parts ADD COLUMN is_deleted INTEGER DEFAULT 0`, () => {});
-      this.db.run(`ALTER TABLE parts ADD COLUMN deleted_at DATETIME`, () => {});
-      this.db.run(`ALTER TABLE parts_history ADD COLUMN is_deleted INTEGER DEFAULT 0`, () => {});
-      this.db.run(`ALTER TABLE parts_history ADD COLUMN deleted_at DATETIME`, () => {});
-      this.db.run(`ALTER TABLE parts_history ADD COLUMN history_event TEXT DEFAULT 'updated'`, () => {});
-    });
+  // Brings the schema up to date (see migrator.js) and turns on foreign key
+  // enforcement, which SQLite leaves off for every new connection.
+  async initialize({ migrate }) {
+    if (migrate) {
+      const ran = await migrateUp(this);
+      if (ran.length > 0) console.log(`Applied migration(s): ${ran.join(', ')}`);
+    }
+    await this.run('PRAGMA foreign_keys = ON');
   }
 
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    return this.query('run', sql, params);
   }
 
   get(sql, params = []) {
+    return this.query('get', sql, params);
+  }
+
+  all(sql, params = []) {
+    return this.query('all', sql, params);
+  }
+
+  // Runs fn(tx) inside a transaction: committed when the promise it returns
+  // resolves, rolled back when it rejects (the error is rethrown). tx has
+  // run/get/all/transaction; db.* calls made while fn runs join the
+  // transaction as well, so helpers need not be handed tx. A nested
+  // transaction is a savepoint that can roll back on its own; nest them one
+  // at a time. Statements from outside wait until the transaction is over,
+  // and top-level transactions run one after another.
+  transaction(fn) {
+    const current = transactionContext.getStore();
+    if (current?.open) return current.transaction(fn);
+
+    const result = this.transactionQueue.then(() => this.runTransaction(fn));
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  async runTransaction(fn) {
+    let savepoints = 0;
+    const tx = {
+      open: true,
+      run: (sql, params = []) => this.execute('run', sql, params),
+      get: (sql, params = []) => this.execute('get', sql, params),
+      all: (sql, params = []) => this.execute('all', sql, params),
+      transaction: async (nestedFn) => {
+        const name = `sp_${++savepoints}`;
+        await tx.run(`SAVEPOINT ${name}`);
+        try {
+          const value = await nestedFn(tx);
+          await tx.run(`RELEASE ${name}`);
+          return value;
+        } catch (error) {
+          await tx.run(`ROLLBACK TO ${name}`);
+          await tx.run(`RELEASE ${name}`);
+          throw error;
+        }
+      }
+    };
+
+    const outer = this.activeTransaction;
+    this.activeTransaction = tx;
+    try {
+      await tx.run('BEGIN IMMEDIATE');
+      try {
+        const value = await transactionContext.run(tx, () => fn(tx));
+        await tx.run('COMMIT');
+        return value;
+      } catch (error) {
+        await tx.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    } finally {
+      tx.open = false;
+      this.activeTransaction = outer;
+    }
+  }
+
+  // Runs fn with the connection to itself: after queued transactions, and
+  // with statements from outside waiting until it is done. db.* calls made
+  // while fn runs go through (they are not wrapped in a transaction).
+  exclusive(fn) {
+    if (transactionContext.getStore()?.open) return fn();
+    const result = this.transactionQueue.then(async () => {
+      const lock = { open: true, transaction: (nestedFn) => this.runTransaction(nestedFn) };
+      this.activeTransaction = lock;
+      try {
+        return await transactionContext.run(lock, fn);
+      } finally {
+        lock.open = false;
+        this.activeTransaction = null;
+      }
+    });
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Copies the database into filename with SQLite's online backup API
+  backupTo(filename) {
+    return this.exclusive(() => this.copyPages(this.db.backup(filename)));
+  }
+
+  // Replaces the contents of this database with filename (online backup API
+  // in reverse); the connection stays open
+  restoreFrom(filename) {
+    return this.exclusive(() => this.copyPages(this.db.backup(filename, 'main', 'main', false)));
+  }
+
+  copyPages(backup) {
     return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
+      backup.step(-1, (err) => {
+        backup.finish((finishErr) => {
+          if (err || finishErr) reject(err || finishErr);
+          else resolve();
+        });
       });
     });
   }
 
-  all(sql, params = []) {
+  query(method, sql, params) {
+    const current = transactionContext.getStore();
+    if (this.activeTransaction && current !== this.activeTransaction) {
+      return this.transactionQueue.then(() => this.query(method, sql, params));
+    }
+    return this.execute(method, sql, params);
+  }
+
+  execute(method, sql, params) {
     return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
+      this.db[method](sql, params, function (err, result) {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
       });
     });
   }
@@ -190,7 +182,8 @@ export class Database {
   }
 }
 
-export const db = new Database();
+// The migrate CLI opens the database itself so it can choose what to apply
+export const db = new Database({ migrate: process.env.DB_SKIP_MIGRATIONS !== '1' });
 
 
 
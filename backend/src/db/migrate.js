@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Schema migration CLI (see migrator.js).
+//   status              list migrations and whether they are applied
+//   up [--to N]         apply pending migrations (default command)
+//   down [--to N]       revert the newest migration, or everything above N;
+//                       reverting the baseline needs an explicit --to 0
+//   create <name>       add an empty numbered migration file
+process.env.DB_SKIP_MIGRATIONS = '1';
+
+const TEMPLATE = `// Describe the schema change here
+
+export async function up(db) {
+}
+
+export async function down(db) {
+}
+`;
+
+function parseTo(args) {
+  const index = args.indexOf('--to');
+  if (index === -1) return undefined;
+  const to = Number.parseInt(args[index + 1], 10);
+  if (!Number.isInteger(to) || to < 0) throw new Error('--to needs a version number');
+  return to;
+}
+
+async function create(name) {
+  const { MIGRATIONS_DIR, loadMigrations } = await import('./migrator.js');
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) throw new Error('Usage: migrate create <name>');
+  const migrations = await loadMigrations();
+  const version = (migrations.at(-1)?.version || 0) + 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, '0')}_${slug}.js`);
+  await fs.writeFile(file, TEMPLATE, { flag: 'wx' });
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  if (command === 'create') return create(args[0]);
+
+  const { db } = await import('./database.js');
+  const { migrateDown, migrateUp, migrationStatus } = await import('./migrator.js');
+  await db.ready;
+  try {
+    if (command === 'status') {
+      for (const m of await migrationStatus(db)) {
+        const state = m.missing ? 'applied, file missing' : (m.appliedAt ? `applied ${m.appliedAt}` : 'pending');
+        console.log(`  ${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+      }
+    } else if (command === 'up') {
+      const ran = await migrateUp(db, { to: parseTo(args) });
+      console.log(ran.length > 0 ? `Applied: ${ran.join(', ')}` : 'Nothing to apply');
+    } else if (command === 'down') {
+      const to = parseTo(args);
+      const applied = (await migrationStatus(db)).filter((m) => m.appliedAt);
+      if (to === undefined && applied.length <= 1) {
+        throw new Error('Only the baseline is applied; use "down --to 0" to drop the whole schema');
+      }
+      const reverted = await migrateDown(db, { to });
+      console.log(reverted.length > 0 ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert');
+    } else {
+      throw new Error(`Unknown command "${command}" (status, up, down, create)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,410 @@
+import { addColumnIfMissing } from '../migrator.js';
+
+// Baseline: the schema as it stood when versioned migrations were introduced.
+// A new database gets every table in its final shape; an existing one (which
+// had its columns added by ad-hoc ALTER TABLEs on startup) gets whatever
+// columns it is still missing, plus the old backfills.
+
+export async function up(db) {
+  // Scrape sources (one row per site adapter)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sources (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      base_url TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Motorcycles table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS motorcycles (
+      id TEXT PRIMARY KEY,
+      brand TEXT NOT NULL,
+      model TEXT NOT NULL,
+      category TEXT NOT NULL,
+      url TEXT NOT NULL,
+      source_id TEXT,
+      etag TEXT,
+      last_modified TEXT,
+      page_hash TEXT,
+      first_seen DATETIME,
+      last_seen DATETIME,
+      removed_at DATETIME,
+      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (source_id) REFERENCES sources(id)
+    )
+  `);
+
+  // Donor bikes appearing on / disappearing from the list page
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS motorcycles_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      motorcycle_id TEXT NOT NULL,
+      brand TEXT,
+      model TEXT,
+      url TEXT,
+      event TEXT NOT NULL,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Parts table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS parts (
+      id TEXT PRIMARY KEY,
+      motorcycle_id TEXT NOT NULL,
+      source_id TEXT,
+      name TEXT NOT NULL,
+      part_number TEXT NOT NULL,
+      description TEXT,
+      price REAL,
+      currency TEXT DEFAULT 'EUR',
+      condition TEXT,
+      image_url TEXT,
+      image_path TEXT,
+      url TEXT NOT NULL,
+      part_number_norm TEXT,
+      scraped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      first_seen DATETIME,
+      last_seen DATETIME,
+      is_deleted INTEGER DEFAULT 0,
+      deleted_at DATETIME,
+      FOREIGN KEY (motorcycle_id) REFERENCES motorcycles(id),
+      FOREIGN KEY (source_id) REFERENCES sources(id)
+    )
+  `);
+
+  // Parts history - stores previous versions of parts when updated
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS parts_history (
+      id TEXT PRIMARY KEY,
+      part_id TEXT NOT NULL,
+      motorcycle_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      part_number TEXT NOT NULL,
+      description TEXT,
+      price REAL,
+      currency TEXT DEFAULT 'EUR',
+      image_url TEXT,
+      image_path TEXT,
+      url TEXT NOT NULL,
+      history_event TEXT DEFAULT 'updated',
+      is_deleted INTEGER DEFAULT 0,
+      deleted_at DATETIME,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (part_id) REFERENCES parts(id)
+    )
+  `);
+
+  // Selections table - stores user selections
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS selections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      part_id TEXT NOT NULL,
+      selected BOOLEAN DEFAULT 1,
+      selected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (part_id) REFERENCES parts(id)
+    )
+  `);
+
+  // Tags for collections
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS part_tags (
+      part_id TEXT NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (part_id, tag_id),
+      FOREIGN KEY (part_id) REFERENCES parts(id),
+      FOREIGN KEY (tag_id) REFERENCES tags(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS part_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      part_id TEXT NOT NULL,
+      image_url TEXT NOT NULL,
+      image_path TEXT,
+      blob_hash TEXT,
+      width INTEGER,
+      height INTEGER,
+      broken_at TEXT,
+      broken_reason TEXT,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(part_id, image_url),
+      FOREIGN KEY (part_id) REFERENCES parts(id),
+      FOREIGN KEY (blob_hash) REFERENCES image_blobs(hash)
+    )
+  `);
+
+  // Image files stored once per content hash, see imageStore.js
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS image_blobs (
+      hash TEXT PRIMARY KEY,
+      path TEXT NOT NULL,
+      size INTEGER,
+      width INTEGER,
+      height INTEGER,
+      content_type TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Last download of each remote image URL: which blob it gave and the
+  // validators for the next conditional GET
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS image_downloads (
+      url TEXT PRIMARY KEY,
+      blob_hash TEXT,
+      etag TEXT,
+      last_modified TEXT,
+      checked_at DATETIME,
+      FOREIGN KEY (blob_hash) REFERENCES image_blobs(hash)
+    )
+  `);
+
+  // Full-text search over parts, see partsSearch.js
+  await db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS parts_fts USING fts5(
+      part_id UNINDEXED,
+      name,
+      part_number,
+      description,
+      brand,
+      model,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  // One row per scrape job (manual, CLI or scheduled)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS scrape_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      trigger TEXT DEFAULT 'manual',
+      filters TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      error TEXT,
+      models_total INTEGER DEFAULT 0,
+      models_done INTEGER DEFAULT 0,
+      pages_processed INTEGER DEFAULT 0,
+      parts_processed INTEGER DEFAULT 0,
+      images_processed INTEGER DEFAULT 0,
+      current_model TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME
+    )
+  `);
+
+  // Per-model outcome of a scrape run
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS scrape_run_models (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      motorcycle_id TEXT,
+      label TEXT,
+      url TEXT,
+      status TEXT NOT NULL,
+      parts_found INTEGER DEFAULT 0,
+      parts_inserted INTEGER DEFAULT 0,
+      parts_updated INTEGER DEFAULT 0,
+      parts_deleted INTEGER DEFAULT 0,
+      images_processed INTEGER DEFAULT 0,
+      blocks_skipped INTEGER DEFAULT 0,
+      duplicates_merged INTEGER DEFAULT 0,
+      missing_part_number INTEGER DEFAULT 0,
+      missing_image INTEGER DEFAULT 0,
+      diagnostics TEXT,
+      error TEXT,
+      finished_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_id) REFERENCES scrape_runs(id)
+    )
+  `);
+
+  // Cron-style automatic scrapes
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS scrape_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      cron TEXT NOT NULL,
+      brands TEXT,
+      max_links INTEGER,
+      download_images INTEGER DEFAULT 1,
+      mode TEXT DEFAULT 'full',
+      enabled INTEGER DEFAULT 1,
+      next_run_at DATETIME,
+      last_run_at DATETIME,
+      last_status TEXT,
+      last_run_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Saved searches are re-evaluated after every scrape run
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      query TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_evaluated_at DATETIME
+    )
+  `);
+
+  // Parts matching each saved search at its last evaluation
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS saved_search_matches (
+      search_id INTEGER NOT NULL,
+      part_id TEXT NOT NULL,
+      price REAL,
+      matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (search_id, part_id),
+      FOREIGN KEY (search_id) REFERENCES saved_searches(id),
+      FOREIGN KEY (part_id) REFERENCES parts(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      search_id INTEGER NOT NULL,
+      part_id TEXT NOT NULL,
+      alert_type TEXT NOT NULL,
+      old_price REAL,
+      new_price REAL,
+      run_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      read_at DATETIME,
+      FOREIGN KEY (search_id) REFERENCES saved_searches(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_alerts_read_at ON alerts(read_at)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_scrape_run_models_run_id ON scrape_run_models(run_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_selections_part_id ON selections(part_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_part_tags_part_id ON part_tags(part_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_part_tags_tag_id ON part_tags(tag_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_part_images_part_id ON part_images(part_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_parts_motorcycle ON parts(motorcycle_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_motorcycles_brand ON motorcycles(brand)
+  `);
+
+  // Columns added after the tables first shipped
+  await addColumnIfMissing(db, 'parts', 'last_seen', 'DATETIME');
+  await addColumnIfMissing(db, 'parts', 'is_deleted', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing(db, 'parts', 'deleted_at', 'DATETIME');
+  await addColumnIfMissing(db, 'parts_history', 'is_deleted', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing(db, 'parts_history', 'deleted_at', 'DATETIME');
+  await addColumnIfMissing(db, 'parts_history', 'history_event', "TEXT DEFAULT 'updated'");
+  await addColumnIfMissing(db, 'motorcycles', 'source_id', 'TEXT');
+  await addColumnIfMissing(db, 'parts', 'source_id', 'TEXT');
+  // Everything scraped before source adapters existed came from purkuosat.net
+  await db.run(`UPDATE motorcycles SET source_id = 'purkuosat' WHERE source_id IS NULL`);
+  await db.run(`UPDATE parts SET source_id = 'purkuosat' WHERE source_id IS NULL`);
+  await db.run(`CREATE INDEX IF NOT EXISTS idx_motorcycles_source ON motorcycles(source_id)`);
+  if (await addColumnIfMissing(db, 'parts', 'first_seen', 'DATETIME')) {
+    // Best guess for older rows: the earliest timestamp on record for the part
+    await db.run(`
+      UPDATE parts
+      SET first_seen = MIN(
+        COALESCE((SELECT MIN(recorded_at) FROM parts_history WHERE part_id = parts.id), scraped_at),
+        COALESCE(scraped_at, (SELECT MIN(recorded_at) FROM parts_history WHERE part_id = parts.id))
+      )
+      WHERE first_seen IS NULL
+    `);
+  }
+  await addColumnIfMissing(db, 'parts', 'part_number_norm', 'TEXT');
+  await db.run(`CREATE INDEX IF NOT EXISTS idx_parts_part_number_norm ON parts(part_number_norm)`);
+  await addColumnIfMissing(db, 'scrape_run_models', 'blocks_skipped', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing(db, 'scrape_run_models', 'duplicates_merged', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing(db, 'scrape_run_models', 'missing_part_number', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing(db, 'scrape_run_models', 'missing_image', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing(db, 'scrape_run_models', 'diagnostics', 'TEXT');
+  // HTTP validators of the model page, for conditional GETs
+  await addColumnIfMissing(db, 'motorcycles', 'etag', 'TEXT');
+  await addColumnIfMissing(db, 'motorcycles', 'last_modified', 'TEXT');
+  await addColumnIfMissing(db, 'motorcycles', 'page_hash', 'TEXT');
+  await addColumnIfMissing(db, 'motorcycles', 'removed_at', 'DATETIME');
+  await addColumnIfMissing(db, 'scrape_schedules', 'mode', "TEXT DEFAULT 'full'");
+  await addColumnIfMissing(db, 'motorcycles', 'first_seen', 'DATETIME');
+  await addColumnIfMissing(db, 'motorcycles', 'last_seen', 'DATETIME');
+  // Older rows: first part seen / last scrape of the page
+  await db.run(`
+    UPDATE motorcycles
+    SET first_seen = COALESCE((SELECT MIN(first_seen) FROM parts WHERE motorcycle_id = motorcycles.id), last_updated)
+    WHERE first_seen IS NULL
+  `);
+  await db.run(`
+    UPDATE motorcycles
+    SET last_seen = COALESCE((SELECT MAX(last_seen) FROM parts WHERE motorcycle_id = motorcycles.id), last_updated)
+    WHERE last_seen IS NULL
+  `);
+  await db.run(`CREATE INDEX IF NOT EXISTS idx_motorcycles_history_recorded_at ON motorcycles_history(recorded_at)`);
+  await addColumnIfMissing(db, 'part_images', 'blob_hash', 'TEXT');
+  await db.run(`CREATE INDEX IF NOT EXISTS idx_part_images_blob_hash ON part_images(blob_hash)`);
+  await addColumnIfMissing(db, 'part_images', 'width', 'INTEGER');
+  await addColumnIfMissing(db, 'part_images', 'height', 'INTEGER');
+  await addColumnIfMissing(db, 'image_blobs', 'width', 'INTEGER');
+  await addColumnIfMissing(db, 'image_blobs', 'height', 'INTEGER');
+  await addColumnIfMissing(db, 'part_images', 'broken_at', 'TEXT');
+  await addColumnIfMissing(db, 'part_images', 'broken_reason', 'TEXT');
+}
+
+// Children before parents
+const TABLES = [
+  'alerts',
+  'saved_search_matches',
+  'saved_searches',
+  'scrape_schedules',
+  'scrape_run_models',
+  'scrape_runs',
+  'parts_fts',
+  'image_downloads',
+  'part_images',
+  'image_blobs',
+  'part_tags',
+  'tags',
+  'selections',
+  'parts_history',
+  'parts',
+  'motorcycles_history',
+  'motorcycles',
+  'sources'
+];
+
+export async function down(db) {
+  for (const table of TABLES) {
+    await db.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
@@ -0,0 +1,99 @@
+// Foreign keys are enforced from this version on (PRAGMA foreign_keys, see
+// database.js). Rows written while they were not can point at parents that
+// no longer exist; this makes existing data consistent so enforcement does
+// not fail on it:
+//   - a source id nothing registered gets a placeholder sources row (the
+//     adapter sync fills in name and URL when that source is scraped)
+//   - an optional reference (e.g. part_images.blob_hash) is set to NULL
+//   - a row that cannot exist without its parent is deleted, which may
+//     orphan its own children, so the check repeats until it comes back clean
+// Every changed row is copied, as it was, into foreign_key_orphans and the
+// counts are logged, so nothing disappears on upgrade without a trace.
+
+const MAX_PASSES = 10;
+const HOLDING_TABLE = 'foreign_key_orphans';
+
+async function notNullColumns(db, table) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return new Set(columns.filter((c) => c.notnull).map((c) => c.name));
+}
+
+// Copies the row as it is now into the holding table
+async function keepCopy(db, table, rowid, column, action) {
+  const row = await db.get(`SELECT * FROM ${table} WHERE rowid = ?`, [rowid]);
+  await db.run(
+    `INSERT INTO ${HOLDING_TABLE} (table_name, column_name, action, row_data) VALUES (?, ?, ?, ?)`,
+    [table, column || null, action, JSON.stringify(row ?? { rowid })]
+  );
+}
+
+// "3 row(s) (parts: 2, selections: 1)"
+function describeCounts(counts) {
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const tables = Object.entries(counts).map(([table, n]) => `${table}: ${n}`).join(', ');
+  return total > 0 ? `${total} row(s) (${tables})` : '0 rows';
+}
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS ${HOLDING_TABLE} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_name TEXT NOT NULL,
+      column_name TEXT,
+      action TEXT NOT NULL CHECK (action IN ('deleted', 'nulled')),
+      row_data TEXT NOT NULL,
+      cleaned_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run(`
+    INSERT OR IGNORE INTO sources (id, name, base_url)
+    SELECT DISTINCT source_id, source_id, '' FROM (
+      SELECT source_id FROM motorcycles WHERE source_id IS NOT NULL
+      UNION SELECT source_id FROM parts WHERE source_id IS NOT NULL
+    )
+  `);
+
+  const deleted = {};
+  const nulled = {};
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const violations = await db.all('PRAGMA foreign_key_check');
+    if (violations.length === 0) {
+      if (Object.keys(deleted).length > 0 || Object.keys(nulled).length > 0) {
+        console.log(
+          `Foreign key cleanup: deleted ${describeCounts(deleted)}, cleared a missing reference in ${describeCounts(nulled)}; ` +
+          `copies of the rows as they were are in ${HOLDING_TABLE}`
+        );
+      }
+      return;
+    }
+
+    const foreignKeys = new Map();
+    const required = new Map();
+    for (const violation of violations) {
+      const { table, rowid, fkid } = violation;
+      if (!foreignKeys.has(table)) {
+        foreignKeys.set(table, await db.all(`PRAGMA foreign_key_list(${table})`));
+        required.set(table, await notNullColumns(db, table));
+      }
+      const column = foreignKeys.get(table).find((fk) => fk.id === fkid)?.from;
+      // Tables without rowid do not occur in this schema
+      if (column && !required.get(table).has(column)) {
+        await keepCopy(db, table, rowid, column, 'nulled');
+        await db.run(`UPDATE ${table} SET ${column} = NULL WHERE rowid = ?`, [rowid]);
+        nulled[table] = (nulled[table] || 0) + 1;
+      } else {
+        await keepCopy(db, table, rowid, column, 'deleted');
+        await db.run(`DELETE FROM ${table} WHERE rowid = ?`, [rowid]);
+        deleted[table] = (deleted[table] || 0) + 1;
+      }
+    }
+  }
+  throw new Error(`Foreign key violations left after ${MAX_PASSES} cleanup passes`);
+}
+
+// Removed rows are not put back; going down only stops relying on the
+// cleanup having run. The holding table stays while it holds any rows.
+export async function down(db) {
+  const kept = await db.get(`SELECT COUNT(*) AS count FROM ${HOLDING_TABLE}`).catch(() => null);
+  if (kept && kept.count === 0) await db.run(`DROP TABLE ${HOLDING_TABLE}`);
+}
@@ -0,0 +1,25 @@
+// Trash for remove-model and tag deletion (see db/trash.js): the removed rows
+// are kept as JSON until the entry expires, is purged or is restored.
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS trash (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      label TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      image_paths TEXT NOT NULL DEFAULT '[]',
+      deleted_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_trash_expires_at ON trash(expires_at)
+  `);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS trash');
+}
@@ -0,0 +1,160 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Versioned schema migrations. Each file in ./migrations is named
+// <version>_<name>.js (e.g. 003_add_part_notes.js) and exports
+//   up(db)   - apply the change
+//   down(db) - undo it
+// where db is the promise wrapper from database.js. Applied versions are
+// recorded in schema_migrations; every migration runs in its own transaction
+// with foreign key enforcement off, so tables can be rebuilt.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// For migrations: adds a column unless the table already has it. Returns
+// whether it was added.
+export async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (columns.some((c) => c.name === column)) return false;
+  await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter((f) => MIGRATION_FILE.test(f)).sort();
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const module = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({ version: Number(version), name, up: module.up, down: module.down });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function runStep(db, migration, direction) {
+  await db.run('BEGIN');
+  try {
+    await migration[direction](db);
+    if (direction === 'up') {
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    } else {
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+    await db.run('COMMIT');
+  } catch (error) {
+    await db.run('ROLLBACK').catch(() => {});
+    throw new Error(`Migration ${label(migration)} (${direction}) failed: ${error.message}`);
+  }
+}
+
+// PRAGMA foreign_keys is ignored inside a transaction, so it is switched off
+// around the whole batch and back on afterwards.
+async function withForeignKeysOff(db, fn) {
+  await db.run('PRAGMA foreign_keys = OFF');
+  try {
+    return await fn();
+  } finally {
+    await db.run('PRAGMA foreign_keys = ON');
+  }
+}
+
+async function warnAboutViolations(db) {
+  const violations = await db.all('PRAGMA foreign_key_check');
+  if (violations.length > 0) {
+    const tables = [...new Set(violations.map((v) => v.table))].join(', ');
+    console.warn(`Warning: ${violations.length} foreign key violation(s) in ${tables}`);
+  }
+}
+
+// Applies pending migrations up to `to` (default: all). Returns the labels of
+// the migrations that ran.
+export async function migrateUp(db, { to = Infinity, migrations } = {}) {
+  const all = migrations || await loadMigrations();
+  const applied = await appliedVersions(db);
+  const pending = all.filter((m) => !applied.has(m.version) && m.version <= to);
+  if (pending.length === 0) return [];
+
+  return withForeignKeysOff(db, async () => {
+    const ran = [];
+    for (const migration of pending) {
+      await runStep(db, migration, 'up');
+      ran.push(label(migration));
+    }
+    await warnAboutViolations(db);
+    return ran;
+  });
+}
+
+// Reverts applied migrations, newest first, until only versions <= `to`
+// remain (default: the newest one only). Returns the labels reverted.
+export async function migrateDown(db, { to, migrations } = {}) {
+  const all = migrations || await loadMigrations();
+  const applied = await appliedVersions(db);
+  const versions = [...applied.keys()].sort((a, b) => b - a);
+  const target = Number.isInteger(to) ? to : (versions[1] ?? 0);
+  const toRevert = versions.filter((v) => v > target);
+
+  return withForeignKeysOff(db, async () => {
+    const reverted = [];
+    for (const version of toRevert) {
+      const migration = all.find((m) => m.version === version);
+      if (!migration) throw new Error(`No migration file for applied version ${version}`);
+      await runStep(db, migration, 'down');
+      reverted.push(label(migration));
+    }
+    return reverted;
+  });
+}
+
+// Every known migration with its applied_at (null while pending), plus
+// applied versions that have no file any more.
+export async function migrationStatus(db, { migrations } = {}) {
+  const all = migrations || await loadMigrations();
+  const applied = await appliedVersions(db);
+  const status = all.map((m) => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.get(m.version)?.applied_at || null
+  }));
+  for (const [version, row] of applied) {
+    if (!all.some((m) => m.version === version)) {
+      status.push({ version, name: row.name, appliedAt: row.applied_at, missing: true });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
@@ -0,0 +1,152 @@
+import { db } from './database.js';
+import { removeFromPartsSearchIndex } from './partsSearch.js';
+import { trashModels } from './trash.js';
+
+// Removing donor bikes (POST /api/motorcycles/remove-model): which models a
+// query matches, a preview of what removing them takes, and the removal
+// itself, which moves the rows to the trash (see trash.js).
+
+function normalizeLoose(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+export function isUsableModelQuery(query) {
+  return normalizeLoose(query) !== '';
+}
+
+// Models whose "brand model" contains the query, or is contained in it,
+// ignoring case, spaces and punctuation
+export async function findModelsMatching(query) {
+  const queryNorm = normalizeLoose(query);
+  if (!queryNorm) return [];
+  const allModels = await db.all(
+    'SELECT id, brand, model FROM motorcycles ORDER BY brand ASC, model ASC'
+  );
+  return allModels.filter((m) => {
+    const combined = normalizeLoose(`${m.brand} ${m.model}`);
+    return combined.includes(queryNorm) || queryNorm.includes(combined);
+  });
+}
+
+// What remove-model would take: per model its parts and image files. A file
+// other parts (or the trash) still use is marked shared; it stays when the
+// trash entry is purged.
+export async function previewModelRemoval(matched) {
+  const ids = matched.map((m) => m.id);
+  const placeholders = ids.map(() => '?').join(',');
+  const partCounts = await db.all(
+    `SELECT motorcycle_id, COUNT(*) AS count FROM parts WHERE motorcycle_id IN (${placeholders}) GROUP BY motorcycle_id`,
+    ids
+  );
+  const imageRows = await db.all(
+    `SELECT motorcycle_id, image_path FROM parts
+     WHERE motorcycle_id IN (${placeholders}) AND image_path IS NOT NULL
+     UNION SELECT p.motorcycle_id, pi.image_path FROM part_images pi JOIN parts p ON p.id = pi.part_id
+     WHERE p.motorcycle_id IN (${placeholders}) AND pi.image_path IS NOT NULL
+     UNION SELECT p.motorcycle_id, ph.image_path FROM parts_history ph JOIN parts p ON p.id = ph.part_id
+     WHERE p.motorcycle_id IN (${placeholders}) AND ph.image_path IS NOT NULL`,
+    [...ids, ...ids, ...ids]
+  );
+  const sharedRows = await db.all(
+    `SELECT image_path FROM parts WHERE motorcycle_id NOT IN (${placeholders})
+     UNION SELECT pi.image_path FROM part_images pi JOIN parts p ON p.id = pi.part_id
+     WHERE p.motorcycle_id NOT IN (${placeholders})
+     UNION SELECT ph.image_path FROM parts_history ph JOIN parts p ON p.id = ph.part_id
+     WHERE p.motorcycle_id NOT IN (${placeholders})
+     UNION SELECT j.value FROM trash t, json_each(t.image_paths) j`,
+    [...ids, ...ids, ...ids]
+  );
+  const shared = new Set(sharedRows.map((r) => r.image_path));
+  const partsByModel = new Map(partCounts.map((r) => [r.motorcycle_id, r.count]));
+  const imagesByModel = new Map();
+  for (const row of imageRows) {
+    if (!imagesByModel.has(row.motorcycle_id)) imagesByModel.set(row.motorcycle_id, new Set());
+    imagesByModel.get(row.motorcycle_id).add(row.image_path);
+  }
+  const imageFiles = [...new Set(imageRows.map((r) => r.image_path))].sort()
+    .map((imagePath) => ({ path: imagePath, shared: shared.has(imagePath) }));
+
+  return {
+    matches: matched.map((m) => ({
+      id: m.id,
+      brand: m.brand,
+      model: m.model,
+      parts: partsByModel.get(m.id) || 0,
+      images: imagesByModel.get(m.id)?.size || 0
+    })),
+    totals: {
+      motorcycles: matched.length,
+      parts: partCounts.reduce((sum, r) => sum + r.count, 0),
+      images: imageFiles.length,
+      sharedImages: imageFiles.filter((f) => f.shared).length
+    },
+    imageFiles
+  };
+}
+
+// Removes the matched models with their parts and everything pointing at
+// the parts, as one transaction; the rows go to a trash entry and image
+// files stay until it is purged. Returns { partRows, imagesByPart,
+// imagePaths, trash } (imagesByPart: part id -> current image paths).
+export async function removeModels(matched, { label } = {}) {
+  const motorcycleIds = matched.map((m) => m.id);
+  const placeholders = motorcycleIds.map(() => '?').join(',');
+
+  return db.transaction(async () => {
+    const partRows = await db.all(
+      `SELECT id, motorcycle_id, name, part_number, image_path
+       FROM parts
+       WHERE motorcycle_id IN (${placeholders})`,
+      motorcycleIds
+    );
+    const partIds = partRows.map((p) => p.id);
+    const imagePaths = new Set();
+    const imagesByPart = new Map();
+    for (const p of partRows) {
+      imagesByPart.set(p.id, new Set(p.image_path ? [p.image_path] : []));
+      if (p.image_path) imagePaths.add(p.image_path);
+    }
+
+    if (partIds.length > 0) {
+      const partPlaceholders = partIds.map(() => '?').join(',');
+      const extraImageRows = await db.all(
+        `SELECT part_id, image_path
+         FROM part_images
+         WHERE part_id IN (${partPlaceholders}) AND image_path IS NOT NULL`,
+        partIds
+      );
+      for (const row of extraImageRows) {
+        imagesByPart.get(row.part_id)?.add(row.image_path);
+        imagePaths.add(row.image_path);
+      }
+
+      // Older image versions only history still pointed at
+      const historyImageRows = await db.all(
+        `SELECT DISTINCT image_path FROM parts_history WHERE part_id IN (${partPlaceholders}) AND image_path IS NOT NULL`,
+        partIds
+      );
+      for (const row of historyImageRows) imagePaths.add(row.image_path);
+    }
+
+    const trash = await trashModels(motorcycleIds, {
+      label: label || [...new Set(matched.map((m) => `${m.brand} ${m.model}`.trim()))].join(', '),
+      imagePaths
+    });
+
+    if (partIds.length > 0) {
+      const partPlaceholders = partIds.map(() => '?').join(',');
+      // alerts.part_id has no foreign key, so nothing else would catch these
+      await db.run(`DELETE FROM alerts WHERE part_id IN (${partPlaceholders})`, partIds);
+      await db.run(`DELETE FROM saved_search_matches WHERE part_id IN (${partPlaceholders})`, partIds);
+      await db.run(`DELETE FROM selections WHERE part_id IN (${partPlaceholders})`, partIds);
+      await db.run(`DELETE FROM part_tags WHERE part_id IN (${partPlaceholders})`, partIds);
+      await db.run(`DELETE FROM part_images WHERE part_id IN (${partPlaceholders})`, partIds);
+      await db.run(`DELETE FROM parts_history WHERE part_id IN (${partPlaceholders})`, partIds);
+      await db.run(`DELETE FROM parts WHERE id IN (${partPlaceholders})`, partIds);
+      await removeFromPartsSearchIndex(partIds);
+    }
+
+    await db.run(`DELETE FROM motorcycles WHERE id IN (${placeholders})`, motorcycleIds);
+    return { partRows, imagesByPart, imagePaths, trash };
+  });
+}
@@ -0,0 +1,46 @@
+import { db } from './database.js';
+
+// Lifecycle of whole donor bikes: 'added' when a model page is scraped for
+// the first time, 'removed' when its link disappears from the list page and
+// 'restored' when a removed model is listed again.
+export const MOTORCYCLE_EVENTS = ['added', 'removed', 'restored'];
+
+export async function recordMotorcycleEvent(motorcycle, event, recordedAt) {
+  if (!MOTORCYCLE_EVENTS.includes(event)) {
+    throw new Error(`Unknown motorcycle event "${event}"`);
+  }
+  await db.run(
+    `INSERT INTO motorcycles_history (motorcycle_id, brand, model, url, event, recorded_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [motorcycle.id, motorcycle.brand, motorcycle.model, motorcycle.url || null, event, recordedAt]
+  );
+}
+
+// Newest first. Brand/model come from the event row so entries survive the
+// motorcycle being deleted later.
+export async function getMotorcycleEvents({ limit = 1000, motorcycleId = null } = {}) {
+  const where = motorcycleId ? 'WHERE mh.motorcycle_id = ?' : '';
+  const params = motorcycleId ? [motorcycleId, limit] : [limit];
+  return db.all(
+    `
+    SELECT
+      mh.id,
+      mh.motorcycle_id,
+      COALESCE(m.brand, mh.brand) AS brand,
+      COALESCE(m.model, mh.model) AS model,
+      COALESCE(m.url, mh.url) AS url,
+      mh.event,
+      mh.recorded_at,
+      m.first_seen,
+      m.last_seen,
+      m.removed_at,
+      (SELECT COUNT(*) FROM parts p WHERE p.motorcycle_id = mh.motorcycle_id) AS part_count
+    FROM motorcycles_history mh
+    LEFT JOIN motorcycles m ON m.id = mh.motorcycle_id
+    ${where}
+    ORDER BY mh.recorded_at DESC, mh.id DESC
+    LIMIT ?
+    `,
+    params
+  );
+}
@@ -0,0 +1,64 @@
+import { db } from './database.js';
+
+// Part numbers are written inconsistently across listings ("AP8 123 456",
+// "ap8123456", "AP8-123-456"). parts.part_number_norm keeps the uppercase
+// alphanumerics so the same OEM number can be matched across donor bikes.
+const MIN_NORMALIZED_LENGTH = 3;
+
+export function normalizePartNumber(value) {
+  const normalized = String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '');
+  // Too short to identify a part (placeholders like "-" or "0")
+  return normalized.length >= MIN_NORMALIZED_LENGTH ? normalized : null;
+}
+
+// Fill part_number_norm for rows written before the column existed.
+export async function ensurePartNumberIndex() {
+  await db.ready;
+  const rows = await db.all(
+    `SELECT id, part_number FROM parts WHERE part_number_norm IS NULL AND part_number IS NOT NULL AND TRIM(part_number) != ''`
+  );
+  let filled = 0;
+  for (const row of rows) {
+    const normalized = normalizePartNumber(row.part_number);
+    if (!normalized) continue;
+    await db.run('UPDATE parts SET part_number_norm = ? WHERE id = ?', [normalized, row.id]);
+    filled += 1;
+  }
+  if (filled > 0) console.log(`Indexed ${filled} part number(s)`);
+}
+
+// Every listing of a part number across models, available and cheapest first.
+export async function findPartsByNumber(partNumber) {
+  const normalized = normalizePartNumber(partNumber);
+  if (!normalized) return { normalized: null, listings: [] };
+  const listings = await db.all(
+    `
+    SELECT
+      p.id,
+      p.motorcycle_id,
+      p.name,
+      p.part_number,
+      p.description,
+      p.price,
+      p.currency,
+      p.image_path,
+      p.url,
+      p.is_deleted,
+      p.deleted_at,
+      p.last_seen,
+      m.brand,
+      m.model,
+      m.category
+    FROM parts p
+    JOIN motorcycles m ON p.motorcycle_id = m.id
+    WHERE p.part_number_norm = ?
+    ORDER BY p.is_deleted ASC, (p.price IS NULL) ASC, p.price ASC, m.brand ASC, m.model ASC, p.id ASC
+    `,
+    [normalized]
+  );
+  return { normalized, listings };
+}
@@ -0,0 +1,245 @@
+import { db } from './database.js';
+import { parseSearchQuery } from './partsSearch.js';
+import { toDbLocalTimestamp } from '../scrapers/scraper.js';
+
+// Paginated parts feed. Duplicate rows (same brand, model, part number and
+// name) are collapsed in SQL, keeping the most recently touched one, and
+// pages are addressed with keyset cursors so inserts between requests do not
+// shift the results.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Sort keys per sort mode; every key is non-null so row-value comparisons work.
+const SORTS = {
+  group: ["COALESCE(f.brand, '')", "COALESCE(f.model, '')", "COALESCE(f.name, '')", 'f.id'],
+  price: ['COALESCE(f.price, 0)', 'f.id'],
+  name: ["COALESCE(f.name, '')", 'f.id'],
+  changed: ['f.changed_at', 'f.id']
+};
+
+const FEED_CTE = `
+  WITH feed AS (
+    SELECT
+      p.*,
+      m.brand,
+      m.model,
+      m.category,
+      m.first_seen AS motorcycle_first_seen,
+      m.removed_at AS motorcycle_removed_at,
+      h.historyCount,
+      h.lastChangeAt,
+      MAX(COALESCE(p.scraped_at, ''), COALESCE(p.deleted_at, ''), COALESCE(h.lastChangeAt, '')) AS changed_at,
+      ROW_NUMBER() OVER (
+        PARTITION BY
+          LOWER(TRIM(COALESCE(m.brand, ''))),
+          LOWER(TRIM(COALESCE(m.model, ''))),
+          LOWER(TRIM(COALESCE(p.part_number, ''))),
+          LOWER(TRIM(COALESCE(p.name, '')))
+        ORDER BY COALESCE(p.scraped_at, p.last_seen, h.lastChangeAt, p.deleted_at, '') DESC, p.id DESC
+      ) AS dup_rank
+    FROM parts p
+    JOIN motorcycles m ON p.motorcycle_id = m.id
+    LEFT JOIN (
+      SELECT part_id, COUNT(*) AS historyCount, MAX(recorded_at) AS lastChangeAt
+      FROM parts_history
+      GROUP BY part_id
+    ) h ON h.part_id = p.id
+    %WHERE%
+  )
+`;
+
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v ?? '').split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const n = Number(String(value).replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Accepts YYYY-MM-DD (compared as-is) or anything Date can parse.
+function toSinceTimestamp(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : toDbLocalTimestamp(d);
+}
+
+function toFlag(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^(1|true|yes)$/i.test(String(value))) return true;
+  if (/^(0|false|no)$/i.test(String(value))) return false;
+  return null;
+}
+
+export function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// Sort key values of the last row of a page, or null for anything that is
+// not an array of plain values (those end up as query parameters)
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values)) return null;
+    return values.every((v) => v === null || typeof v === 'string' || typeof v === 'number') ? values : null;
+  } catch {
+    return null;
+  }
+}
+
+// Reads feed filters from a request query:
+// brand, model (repeatable or comma separated), minPrice, maxPrice,
+// deleted (0/1), tag, changedSince, q (search syntax from /api/parts/search)
+export function readFeedFilters(query = {}) {
+  return {
+    brands: toList(query.brand),
+    models: toList(query.model),
+    minPrice: toNumber(query.minPrice),
+    maxPrice: toNumber(query.maxPrice),
+    deleted: toFlag(query.deleted),
+    tag: String(query.tag || '').trim() || null,
+    changedSince: toSinceTimestamp(query.changedSince),
+    q: String(query.q || '').trim()
+  };
+}
+
+// Brand/model filters run before duplicate collapsing (they are part of the
+// duplicate key); everything else filters the collapsed rows.
+function buildFilters(filters) {
+  const inner = [];
+  const innerParams = [];
+  if (filters.brands.length > 0) {
+    inner.push(`m.brand IN (${filters.brands.map(() => '?').join(',')})`);
+    innerParams.push(...filters.brands);
+  }
+  if (filters.models.length > 0) {
+    inner.push(`m.model IN (${filters.models.map(() => '?').join(',')})`);
+    innerParams.push(...filters.models);
+  }
+
+  const outer = ['f.dup_rank = 1'];
+  const outerParams = [];
+  if (filters.minPrice !== null) {
+    outer.push('f.price >= ?');
+    outerParams.push(filters.minPrice);
+  }
+  if (filters.maxPrice !== null) {
+    outer.push('f.price <= ?');
+    outerParams.push(filters.maxPrice);
+  }
+  if (filters.deleted !== null) {
+    outer.push(filters.deleted ? 'f.is_deleted = 1' : 'f.is_deleted = 0');
+  }
+  if (filters.tag) {
+    outer.push('EXISTS (SELECT 1 FROM part_tags ft JOIN tags tt ON tt.id = ft.tag_id WHERE ft.part_id = f.id AND tt.name = ?)');
+    outerParams.push(filters.tag);
+  }
+  if (filters.changedSince) {
+    outer.push('f.changed_at >= ?');
+    outerParams.push(filters.changedSince);
+  }
+  if (filters.q) {
+    const parsed = parseSearchQuery(filters.q);
+    if (parsed.match) {
+      outer.push('f.id IN (SELECT part_id FROM parts_fts WHERE parts_fts MATCH ?)');
+      outerParams.push(parsed.match);
+    }
+    // Search filters are written against parts aliased as p
+    outer.push(...parsed.where.map((clause) => clause.replace(/\bp\./g, 'f.')));
+    outerParams.push(...parsed.params);
+  }
+
+  return {
+    cte: FEED_CTE.replace('%WHERE%', inner.length > 0 ? `WHERE ${inner.join(' AND ')}` : ''),
+    innerParams,
+    outer,
+    outerParams
+  };
+}
+
+// Returns { items, nextCursor }. sort: group | price | name | changed,
+// order: asc | desc. nextCursor is null on the last page.
+export async function getPartsFeedPage(filters, { sort = 'group', order = 'asc', limit, cursor } = {}) {
+  const sortKeys = SORTS[sort] || SORTS.group;
+  const direction = String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  const requested = Number.parseInt(limit, 10);
+  const pageSize = Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_LIMIT) : DEFAULT_LIMIT;
+
+  const built = buildFilters(filters);
+  const where = [...built.outer];
+  const params = [...built.innerParams, ...built.outerParams];
+
+  const after = decodeCursor(cursor);
+  if (cursor && (!after || after.length !== sortKeys.length)) {
+    throw new Error('Invalid cursor');
+  }
+  if (after) {
+    where.push(`(${sortKeys.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${sortKeys.map(() => '?').join(', ')})`);
+    params.push(...after);
+  }
+
+  const rows = await db.all(
+    `
+    ${built.cte}
+    SELECT
+      f.*,
+      (SELECT GROUP_CONCAT(t.name, ',') FROM part_tags pt JOIN tags t ON pt.tag_id = t.id WHERE pt.part_id = f.id) as tags,
+      ${sortKeys.map((key, i) => `${key} AS sort_key_${i}`).join(',\n      ')}
+    FROM feed f
+    WHERE ${where.join(' AND ')}
+    ORDER BY ${sortKeys.map((key) => `${key} ${direction}`).join(', ')}
+    LIMIT ?
+    `,
+    [...params, pageSize + 1]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const page = hasMore ? rows.slice(0, pageSize) : rows;
+  const last = page[page.length - 1];
+  const items = page.map((row) => {
+    const item = { ...row };
+    delete item.dup_rank;
+    sortKeys.forEach((_, i) => delete item[`sort_key_${i}`]);
+    return item;
+  });
+
+  return {
+    items,
+    nextCursor: hasMore && last ? encodeCursor(sortKeys.map((_, i) => last[`sort_key_${i}`])) : null
+  };
+}
+
+// Brand/model groups matching the filters, with part counts, so the feed can
+// render its outline before any parts are loaded. firstSeen is when the donor
+// bike first appeared; removedAt is set once every bike in the group is gone.
+export async function getPartsFeedGroups(filters) {
+  const built = buildFilters(filters);
+  return db.all(
+    `
+    ${built.cte}
+    SELECT
+      f.brand,
+      f.model,
+      f.category,
+      COUNT(*) as partCount,
+      SUM(CASE WHEN f.is_deleted = 0 THEN 1 ELSE 0 END) as availableCount,
+      MAX(f.url) as url,
+      MIN(f.motorcycle_first_seen) as firstSeen,
+      CASE WHEN COUNT(f.motorcycle_removed_at) = COUNT(*) THEN MAX(f.motorcycle_removed_at) END as removedAt
+    FROM feed f
+    WHERE ${built.outer.join(' AND ')}
+    GROUP BY f.brand, f.model
+    ORDER BY f.brand ASC, f.model ASC
+    `,
+    [...built.innerParams, ...built.outerParams]
+  );
+}
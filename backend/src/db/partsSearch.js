@@ -0,0 +1,198 @@
+import { db } from './database.js';
+
+// Full-text index over parts (parts_fts, FTS5). The unicode61 tokenizer with
+// remove_diacritics folds ä/ö/å to a/o/a on both the indexed text and queries.
+
+const FIELD_ALIASES = {
+  name: 'name',
+  nimi: 'name',
+  number: 'part_number',
+  partnumber: 'part_number',
+  part_number: 'part_number',
+  pn: 'part_number',
+  osanro: 'part_number',
+  desc: 'description',
+  description: 'description',
+  brand: 'brand',
+  model: 'model'
+};
+
+// Column weights for bm25(): part_id, name, part_number, description, brand, model
+const RANK_SQL = 'bm25(parts_fts, 0.0, 10.0, 8.0, 2.0, 4.0, 4.0)';
+
+export function foldDiacritics(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function splitQuery(q) {
+  const tokens = [];
+  const re = /(\S+?):"([^"]*)"|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(q || ''))) !== null) {
+    if (m[1] !== undefined) tokens.push({ field: m[1], value: m[2], quoted: true });
+    else if (m[3] !== undefined) tokens.push({ value: m[3], quoted: true });
+    else tokens.push({ value: m[4], quoted: false });
+  }
+  return tokens;
+}
+
+// Plain words become prefix terms; quoted text stays one exact phrase.
+function toFtsTerms(value, quoted) {
+  // FTS5 barewords are limited, so every term is a quoted string.
+  const words = foldDiacritics(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (words.length === 0) return [];
+  if (quoted) return [`"${words.join(' ')}"`];
+  return words.map((w) => `"${w}"*`);
+}
+
+function toFlag(value) {
+  return /^(1|yes|true|kylla|on)$/i.test(foldDiacritics(value));
+}
+
+// Turns "brand:aprilia fork price<50" into an FTS5 MATCH expression plus SQL
+// filters on the joined parts (p) / motorcycles (m) rows.
+export function parseSearchQuery(q) {
+  const ftsTerms = [];
+  const where = [];
+  const params = [];
+
+  for (const token of splitQuery(q)) {
+    let field = token.field;
+    let value = token.value;
+    if (!field && !token.quoted) {
+      const priceMatch = value.match(/^(?:price|hinta)(<=|>=|<|>|=|:)(\d+(?:[.,]\d+)?)(?:-(\d+(?:[.,]\d+)?))?$/i);
+      if (priceMatch) {
+        const [, op, a, b] = priceMatch;
+        const from = Number(a.replace(',', '.'));
+        if (b !== undefined) {
+          where.push('p.price BETWEEN ? AND ?');
+          params.push(from, Number(b.replace(',', '.')));
+        } else {
+          where.push(`p.price ${op === ':' ? '=' : op} ?`);
+          params.push(from);
+        }
+        continue;
+      }
+      const fieldMatch = value.match(/^([a-z_]+):(.+)$/i);
+      if (fieldMatch) {
+        field = fieldMatch[1];
+        value = fieldMatch[2];
+      }
+    }
+
+    if (field) {
+      const key = field.toLowerCase();
+      if (key === 'available') {
+        where.push(toFlag(value) ? 'p.is_deleted = 0' : 'p.is_deleted = 1');
+        continue;
+      }
+      if (key === 'deleted') {
+        where.push(toFlag(value) ? 'p.is_deleted = 1' : 'p.is_deleted = 0');
+        continue;
+      }
+      if (key === 'tag') {
+        where.push('EXISTS (SELECT 1 FROM part_tags pt2 JOIN tags t2 ON t2.id = pt2.tag_id WHERE pt2.part_id = p.id AND t2.name = ?)');
+        params.push(value);
+        continue;
+      }
+      const column = FIELD_ALIASES[key];
+      if (column) {
+        const terms = toFtsTerms(value, token.quoted);
+        if (terms.length > 0) ftsTerms.push(`${column} : (${terms.join(' ')})`);
+        continue;
+      }
+      // Unknown field: search the whole token as text
+      value = `${field}:${value}`;
+    }
+
+    ftsTerms.push(...toFtsTerms(value, token.quoted));
+  }
+
+  return {
+    match: ftsTerms.length > 0 ? ftsTerms.join(' AND ') : null,
+    where,
+    params
+  };
+}
+
+export async function syncPartsSearchIndex(partIds) {
+  const ids = [...new Set((partIds || []).filter(Boolean))];
+  if (ids.length === 0) return;
+  const placeholders = ids.map(() => '?').join(',');
+  await db.run(`DELETE FROM parts_fts WHERE part_id IN (${placeholders})`, ids);
+  await db.run(
+    `INSERT INTO parts_fts (part_id, name, part_number, description, brand, model)
+     SELECT p.id, p.name, p.part_number, p.description, m.brand, m.model
+     FROM parts p
+     JOIN motorcycles m ON m.id = p.motorcycle_id
+     WHERE p.id IN (${placeholders})`,
+    ids
+  );
+}
+
+export async function removeFromPartsSearchIndex(partIds) {
+  const ids = [...new Set((partIds || []).filter(Boolean))];
+  if (ids.length === 0) return;
+  await db.run(`DELETE FROM parts_fts WHERE part_id IN (${ids.map(() => '?').join(',')})`, ids);
+}
+
+export async function rebuildPartsSearchIndex() {
+  await db.run('DELETE FROM parts_fts');
+  await db.run(`
+    INSERT INTO parts_fts (part_id, name, part_number, description, brand, model)
+    SELECT p.id, p.name, p.part_number, p.description, m.brand, m.model
+    FROM parts p
+    JOIN motorcycles m ON m.id = p.motorcycle_id
+  `);
+}
+
+// Rebuild on startup when the index is missing rows (new install or a DB
+// written by an older version).
+export async function ensurePartsSearchIndex() {
+  await db.ready;
+  const indexed = await db.get('SELECT COUNT(*) as count FROM parts_fts');
+  const total = await db.get('SELECT COUNT(*) as count FROM parts p JOIN motorcycles m ON m.id = p.motorcycle_id');
+  if ((indexed?.count || 0) !== (total?.count || 0)) {
+    console.log(`Rebuilding parts search index (${indexed?.count || 0} -> ${total?.count || 0} rows)`);
+    await rebuildPartsSearchIndex();
+  }
+}
+
+export async function searchParts(q, { limit = 100, offset = 0 } = {}) {
+  const parsed = parseSearchQuery(q);
+  const where = [...parsed.where];
+  const params = [];
+  let from = 'parts p';
+  let rankSql = '0';
+  if (parsed.match) {
+    from = 'parts_fts JOIN parts p ON p.id = parts_fts.part_id';
+    where.unshift('parts_fts MATCH ?');
+    params.push(parsed.match);
+    rankSql = RANK_SQL;
+  }
+  params.push(...parsed.params);
+
+  const rows = await db.all(
+    `
+    SELECT
+      p.*,
+      m.brand,
+      m.model,
+      m.category,
+      ${rankSql} as rank,
+      (SELECT GROUP_CONCAT(t.name, ',') FROM part_tags pt JOIN tags t ON t.id = pt.tag_id WHERE pt.part_id = p.id) as tags,
+      (SELECT COUNT(*) FROM parts_history ph WHERE ph.part_id = p.id) as historyCount,
+      (SELECT MAX(recorded_at) FROM parts_history ph WHERE ph.part_id = p.id) as lastChangeAt
+    FROM ${from}
+    JOIN motorcycles m ON m.id = p.motorcycle_id
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY rank ASC, p.is_deleted ASC, m.brand ASC, m.model ASC, p.name ASC, p.id ASC
+    LIMIT ? OFFSET ?
+    `,
+    [...params, limit, offset]
+  );
+  return { match: parsed.match, rows };
+}
@@ -0,0 +1,102 @@
+import { db } from './database.js';
+import { toDbLocalTimestamp } from '../scrapers/scraper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// DB timestamps are naive local wall-clock strings
+function toMs(value) {
+  if (!value) return null;
+  const ms = new Date(String(value).replace(' ', 'T')).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function toPrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// parts_history keeps the version a part had *before* each change, stamped
+// with the time of the change. Walking the rows oldest first therefore gives
+// the price in effect between consecutive changes; the current row covers the
+// time since the last change.
+export async function getPartPriceHistory(partId) {
+  const part = await db.get(
+    'SELECT id, price, currency, first_seen, scraped_at, is_deleted, deleted_at FROM parts WHERE id = ?',
+    [partId]
+  );
+  if (!part) return null;
+
+  const rows = await db.all(
+    `SELECT price, currency, history_event, is_deleted, recorded_at
+     FROM parts_history
+     WHERE part_id = ?
+     ORDER BY recorded_at ASC, id ASC`,
+    [partId]
+  );
+
+  const listedSince = part.first_seen || rows[0]?.recorded_at || part.scraped_at || null;
+  const versions = [
+    ...rows.map((row, i) => ({
+      at: i === 0 ? listedSince : rows[i - 1].recorded_at,
+      price: toPrice(row.price),
+      currency: row.currency || part.currency || 'EUR',
+      isDeleted: Number(row.is_deleted || 0) === 1,
+      event: i === 0 ? 'listed' : rows[i - 1].history_event
+    })),
+    {
+      at: rows.length > 0 ? rows[rows.length - 1].recorded_at : listedSince,
+      price: toPrice(part.price),
+      currency: part.currency || 'EUR',
+      isDeleted: Number(part.is_deleted || 0) === 1,
+      event: rows.length > 0 ? rows[rows.length - 1].history_event : 'listed',
+      current: true
+    }
+  ];
+
+  // Only price changes matter for the chart; other edits would add flat steps
+  const points = [];
+  for (const version of versions) {
+    const prev = points[points.length - 1];
+    if (prev && prev.price === version.price && prev.isDeleted === version.isDeleted) {
+      if (version.current) prev.current = true;
+      continue;
+    }
+    points.push({ ...version });
+  }
+
+  const listedUntil = Number(part.is_deleted || 0) === 1 && part.deleted_at ? part.deleted_at : toDbLocalTimestamp();
+  const untilMs = toMs(listedUntil);
+
+  // Average is weighted by how long each price was asked
+  const priced = versions.filter((v) => v.price !== null && !v.isDeleted);
+  let weightedSum = 0;
+  let weightMs = 0;
+  versions.forEach((version, i) => {
+    if (version.price === null || version.isDeleted) return;
+    const fromMs = toMs(version.at);
+    const toMsValue = i + 1 < versions.length ? toMs(versions[i + 1].at) : untilMs;
+    const span = fromMs !== null && toMsValue !== null ? Math.max(toMsValue - fromMs, 0) : 0;
+    weightedSum += version.price * span;
+    weightMs += span;
+  });
+  const prices = priced.map((v) => v.price);
+  const simpleAvg = prices.length > 0 ? prices.reduce((sum, p) => sum + p, 0) / prices.length : null;
+
+  const sinceMs = toMs(listedSince);
+  return {
+    partId: part.id,
+    currency: part.currency || 'EUR',
+    currentPrice: toPrice(part.price),
+    points,
+    stats: {
+      min: prices.length > 0 ? Math.min(...prices) : null,
+      max: prices.length > 0 ? Math.max(...prices) : null,
+      avg: weightMs > 0 ? weightedSum / weightMs : simpleAvg,
+      changes: Math.max(points.length - 1, 0),
+      listedSince,
+      listedUntil: Number(part.is_deleted || 0) === 1 ? listedUntil : null,
+      listedDays: sinceMs !== null && untilMs !== null ? Math.max((untilMs - sinceMs) / DAY_MS, 0) : null
+    }
+  };
+}
@@ -0,0 +1,243 @@
+import { db } from './database.js';
+import { syncPartsSearchIndex } from './partsSearch.js';
+import { collectImageGarbage } from '../scrapers/imageStore.js';
+import { toDbLocalTimestamp } from '../scrapers/scraper.js';
+
+// Trash for remove-model and tag deletion. The deleted rows are stored as
+// JSON in one trash entry per removal, together with the image files they
+// used; imageStore.js counts those as referenced, so the files stay until
+// the entry is purged. Entries expire after TRASH_RETENTION_DAYS (default
+// 30) and are purged on startup and whenever something new is trashed.
+//
+// Kinds:
+//   models - motorcycles with their parts, images, history, selections,
+//            tag assignments, saved search matches and alerts
+//   tag    - a tag with its assignments
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Restore order: parents before children
+const MODEL_TABLES = [
+  'motorcycles', 'parts', 'part_images', 'parts_history', 'selections', 'part_tags', 'saved_search_matches', 'alerts'
+];
+
+export function trashRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.code = 'ETRASHCONFLICT';
+  return error;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+async function insertRows(table, rows) {
+  for (const row of rows) {
+    const columns = Object.keys(row);
+    await db.run(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+      columns.map((c) => row[c])
+    );
+  }
+}
+
+async function existingIds(table, column, ids) {
+  const unique = [...new Set(ids.filter((id) => id !== null && id !== undefined))];
+  if (unique.length === 0) return new Set();
+  const rows = await db.all(`SELECT ${column} AS id FROM ${table} WHERE ${column} IN (${placeholders(unique)})`, unique);
+  return new Set(rows.map((r) => r.id));
+}
+
+async function addEntry({ kind, label, summary, payload, imagePaths = [] }) {
+  const deletedAt = new Date();
+  const expiresAt = new Date(deletedAt.getTime() + trashRetentionDays() * DAY_MS);
+  const result = await db.run(
+    `INSERT INTO trash (kind, label, summary, payload, image_paths, deleted_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      kind,
+      label,
+      JSON.stringify(summary),
+      JSON.stringify(payload),
+      JSON.stringify(imagePaths),
+      toDbLocalTimestamp(deletedAt),
+      toDbLocalTimestamp(expiresAt)
+    ]
+  );
+  return { id: result.lastID, expiresAt: toDbLocalTimestamp(expiresAt) };
+}
+
+// Copies motorcycles and everything hanging off their parts into a new trash
+// entry. Call it inside the transaction that deletes them, before the
+// deletes. Returns { id, expiresAt }.
+export async function trashModels(motorcycleIds, { label, imagePaths = [] } = {}) {
+  const images = [...imagePaths];
+  const ids = placeholders(motorcycleIds);
+  const tables = {
+    motorcycles: await db.all(`SELECT * FROM motorcycles WHERE id IN (${ids})`, motorcycleIds),
+    parts: await db.all(`SELECT * FROM parts WHERE motorcycle_id IN (${ids})`, motorcycleIds)
+  };
+  const partIds = tables.parts.map((p) => p.id);
+  for (const table of MODEL_TABLES.slice(2)) {
+    tables[table] = partIds.length > 0
+      ? await db.all(`SELECT * FROM ${table} WHERE part_id IN (${placeholders(partIds)})`, partIds)
+      : [];
+  }
+  return addEntry({
+    kind: 'models',
+    label,
+    summary: {
+      motorcycles: tables.motorcycles.length,
+      parts: partIds.length,
+      images: images.length,
+      selections: tables.selections.length,
+      tagAssignments: tables.part_tags.length,
+      alerts: tables.alerts.length
+    },
+    payload: { tables },
+    imagePaths: images
+  });
+}
+
+// Copies a tag and its assignments into a new trash entry (call before
+// deleting them, in the same transaction)
+export async function trashTag(tagId) {
+  const tag = await db.get('SELECT * FROM tags WHERE id = ?', [tagId]);
+  const assignments = await db.all('SELECT * FROM part_tags WHERE tag_id = ?', [tagId]);
+  return addEntry({
+    kind: 'tag',
+    label: tag.name,
+    summary: { tagAssignments: assignments.length },
+    payload: { tag, part_tags: assignments }
+  });
+}
+
+function toListItem(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    label: row.label,
+    summary: JSON.parse(row.summary),
+    deletedAt: row.deleted_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// Trash entries, newest first (without the stored rows)
+export async function listTrash() {
+  const rows = await db.all(
+    'SELECT id, kind, label, summary, deleted_at, expires_at FROM trash ORDER BY deleted_at DESC, id DESC'
+  );
+  return rows.map(toListItem);
+}
+
+async function restoreModels(tables) {
+  const bikes = await existingIds('motorcycles', 'id', tables.motorcycles.map((m) => m.id));
+  const parts = await existingIds('parts', 'id', tables.parts.map((p) => p.id));
+  if (bikes.size > 0 || parts.size > 0) {
+    throw conflict('The removed models have been scraped again since; remove them first to restore the old data');
+  }
+
+  // References to things deleted in the meantime are dropped
+  const blobs = await existingIds('image_blobs', 'hash', tables.part_images.map((i) => i.blob_hash));
+  const tags = await existingIds('tags', 'id', tables.part_tags.map((t) => t.tag_id));
+  // Entries trashed before alerts were kept have none
+  const alerts = tables.alerts || [];
+  const searches = await existingIds(
+    'saved_searches',
+    'id',
+    [...tables.saved_search_matches, ...alerts].map((m) => m.search_id)
+  );
+  const rows = {
+    ...tables,
+    part_images: tables.part_images.map((i) => (i.blob_hash && !blobs.has(i.blob_hash) ? { ...i, blob_hash: null } : i)),
+    part_tags: tables.part_tags.filter((t) => tags.has(t.tag_id)),
+    saved_search_matches: tables.saved_search_matches.filter((m) => searches.has(m.search_id)),
+    alerts: alerts.filter((a) => searches.has(a.search_id))
+  };
+  for (const table of MODEL_TABLES) {
+    await insertRows(table, rows[table]);
+  }
+  await syncPartsSearchIndex(rows.parts.map((p) => p.id));
+  return {
+    motorcycles: rows.motorcycles.length,
+    parts: rows.parts.length,
+    tagAssignments: rows.part_tags.length,
+    alerts: rows.alerts.length
+  };
+}
+
+// A tag created again under the same name gets the old assignments added
+async function restoreTag({ tag, part_tags: assignments }) {
+  let tagId = (await db.get('SELECT id FROM tags WHERE name = ?', [tag.name]))?.id;
+  if (!tagId) {
+    const { id, ...columns } = tag;
+    const taken = await db.get('SELECT id FROM tags WHERE id = ?', [id]);
+    await insertRows('tags', [taken ? columns : tag]);
+    tagId = (await db.get('SELECT id FROM tags WHERE name = ?', [tag.name])).id;
+  }
+  const parts = await existingIds('parts', 'id', assignments.map((a) => a.part_id));
+  let restored = 0;
+  for (const assignment of assignments.filter((a) => parts.has(a.part_id))) {
+    const result = await db.run(
+      'INSERT OR IGNORE INTO part_tags (part_id, tag_id) VALUES (?, ?)',
+      [assignment.part_id, tagId]
+    );
+    restored += result.changes;
+  }
+  return { tagAssignments: restored };
+}
+
+// Puts a trash entry's rows back and removes the entry. Returns the list
+// item plus what was restored, or null when there is no such entry; throws
+// an error with code ETRASHCONFLICT when the rows cannot go back.
+export async function restoreFromTrash(id) {
+  return db.transaction(async () => {
+    const row = await db.get('SELECT * FROM trash WHERE id = ?', [id]);
+    if (!row) return null;
+    const payload = JSON.parse(row.payload);
+    const restored = row.kind === 'models'
+      ? await restoreModels(payload.tables)
+      : await restoreTag(payload);
+    await db.run('DELETE FROM trash WHERE id = ?', [id]);
+    return { ...toListItem(row), restored };
+  });
+}
+
+// Deletes trash entries for good, then the image files only they still
+// used. options: ids (default: every entry), expiredOnly.
+// Returns { purged, imagesRemoved }.
+export async function purgeTrash({ ids, expiredOnly = false } = {}) {
+  const where = [];
+  const params = [];
+  if (Array.isArray(ids)) {
+    if (ids.length === 0) return { purged: 0, imagesRemoved: 0 };
+    where.push(`id IN (${placeholders(ids)})`);
+    params.push(...ids);
+  }
+  if (expiredOnly) {
+    where.push('expires_at <= ?');
+    params.push(toDbLocalTimestamp());
+  }
+  const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const removed = await db.transaction(async () => {
+    const rows = await db.all(`SELECT image_paths FROM trash ${clause}`, params);
+    await db.run(`DELETE FROM trash ${clause}`, params);
+    return { count: rows.length, imagePaths: [...new Set(rows.flatMap((r) => JSON.parse(r.image_paths)))] };
+  });
+  const gc = removed.imagePaths.length > 0
+    ? await collectImageGarbage({ candidates: removed.imagePaths })
+    : { filesRemoved: 0 };
+  return { purged: removed.count, imagesRemoved: gc.filesRemoved };
+}
+
+export function purgeExpiredTrash() {
+  return purgeTrash({ expiredOnly: true });
+}
@@ -3,26 +3,50 @@ import cors from 'cors';
 import { db } from './db/database.js';
 import motorcyclesRouter from './routes/motorcycles.js';
 import tagsRouter from './routes/tags.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import sourcesRouter from './routes/sources.js';
+import scrapeRunsRouter from './routes/scrapeRuns.js';
+import schedulesRouter from './routes/schedules.js';
+import alertsRouter from './routes/alerts.js';
+import partsRouter from './routes/parts.js';
+import scrapeRouter from './routes/scrape.js';
+import imagesRouter, { setImageCacheHeaders } from './routes/images.js';
+import imageMaintenanceRouter from './routes/imageMaintenance.js';
+import backupsRouter from './routes/backups.js';
+import trashRouter from './routes/trash.js';
+import { ensurePartNumberIndex } from './db/partNumbers.js';
+import { ensurePartsSearchIndex } from './db/partsSearch.js';
+import { purgeExpiredTrash } from './db/trash.js';
+import { IMAGES_DIR } from './scrapers/imageStore.js';
+import { markInterruptedRuns } from './scrapers/scrapeJobs.js';
+import { startScheduler, stopScheduler } from './scrapers/scheduler.js';
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Serve images statically
-app.use('/images', express.static(path.join(__dirname, '../data/images')));
+// Resized variants (/images/thumb/..., /images/medium/..., /images/large/...)
+// and the original images
+app.use('/images', imagesRouter);
+app.use('/images', express.static(IMAGES_DIR, {
+  setHeaders: setImageCacheHeaders
+}));
 
 // Routes
 app.use('/api/motorcycles', motorcyclesRouter);
 app.use('/api/tags', tagsRouter);
+app.use('/api/sources', sourcesRouter);
+app.use('/api/scrape-runs', scrapeRunsRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/alerts', alertsRouter);
+app.use('/api/parts', partsRouter);
+app.use('/api/scrape', scrapeRouter);
+app.use('/api/images', imageMaintenanceRouter);
+app.use('/api/backups', backupsRouter);
+app.use('/api/trash', trashRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -33,17 +57,62 @@ app.get('/api/health', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`API endpoints:`);
+  console.log(`  GET  /api/motorcycles/parts-feed`);
+  console.log(`  GET  /api/motorcycles/parts-feed/groups`);
   console.log(`  GET  /api/motorcycles/parts-feed-all`);
+  console.log(`  GET  /api/motorcycles/part/:partId/price-history`);
   console.log(`  POST /api/motorcycles/scrape`);
   console.log(`  GET  /api/motorcycles/scrape-status`);
+  console.log(`  GET  /api/scrape/events (SSE)`);
   console.log(`  POST /api/motorcycles/remove-model`);
   console.log(`  POST /api/motorcycles/clear`);
   console.log(`  GET  /api/tags`);
+  console.log(`  POST /api/tags/import`);
+  console.log(`  GET  /api/sources`);
+  console.log(`  GET  /api/scrape-runs`);
+  console.log(`  GET  /api/scrape-runs/:id/diagnostics`);
+  console.log(`  GET  /api/schedules`);
+  console.log(`  GET  /api/alerts`);
+  console.log(`  GET  /api/parts/search?q=`);
+  console.log(`  GET  /api/parts/by-number/:partNumber`);
+  console.log(`  GET  /api/images/integrity`);
+  console.log(`  POST /api/images/integrity/repair`);
+  console.log(`  GET  /api/backups`);
+  console.log(`  POST /api/backups`);
+  console.log(`  POST /api/backups/:name/restore`);
+  console.log(`  GET  /api/trash`);
+  console.log(`  POST /api/trash/:id/restore`);
+  console.log(`  POST /api/trash/purge`);
+  console.log(`  GET  /images/:size(thumb|medium|large)/*`);
+});
+
+ensurePartsSearchIndex().catch((err) => {
+  console.error('Error building parts search index:', err.message);
 });
 
+ensurePartNumberIndex().catch((err) => {
+  console.error('Error indexing part numbers:', err.message);
+});
+
+db.ready
+  .then(() => purgeExpiredTrash())
+  .then(({ purged }) => {
+    if (purged > 0) console.log(`Purged ${purged} expired trash entr${purged === 1 ? 'y' : 'ies'}`);
+  })
+  .catch((err) => {
+    console.error('Error purging expired trash:', err.message);
+  });
+
+markInterruptedRuns()
+  .then(() => startScheduler())
+  .catch((err) => {
+    console.error('Error starting scrape scheduler:', err.message);
+  });
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
+  stopScheduler();
   await db.close();
   process.exit(0);
 });
@@ -0,0 +1,138 @@
+import express from 'express';
+import { db } from '../db/database.js';
+import { evaluateSavedSearches, tokenize } from '../alerts/savedSearches.js';
+import { toDbLocalTimestamp } from '../scrapers/scraper.js';
+
+const router = express.Router();
+
+// List alerts, newest first. ?unread=1 limits to alerts not yet marked read.
+router.get('/', async (req, res) => {
+  try {
+    const requested = Number.parseInt(req.query?.limit, 10);
+    const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, 1000) : 200;
+    const unreadOnly = req.query?.unread === '1' || req.query?.unread === 'true';
+    const rows = await db.all(
+      `
+      SELECT
+        a.id,
+        a.alert_type,
+        a.old_price,
+        a.new_price,
+        a.run_id,
+        a.created_at,
+        a.read_at,
+        a.search_id,
+        s.name AS search_name,
+        s.query AS search_query,
+        a.part_id,
+        p.name,
+        p.part_number,
+        p.price,
+        p.currency,
+        p.image_path,
+        p.url,
+        p.is_deleted,
+        m.brand,
+        m.model
+      FROM alerts a
+      JOIN saved_searches s ON s.id = a.search_id
+      LEFT JOIN parts p ON p.id = a.part_id
+      LEFT JOIN motorcycles m ON m.id = p.motorcycle_id
+      ${unreadOnly ? 'WHERE a.read_at IS NULL' : ''}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ?
+      `,
+      [limit]
+    );
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/unread-count', async (req, res) => {
+  try {
+    const row = await db.get('SELECT COUNT(*) as count FROM alerts WHERE read_at IS NULL');
+    res.json({ count: row?.count || 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark alerts read { ids: [1,2] }; without ids every unread alert is marked
+router.post('/read', async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids)
+      ? req.body.ids.map((id) => Number.parseInt(id, 10)).filter(Number.isInteger)
+      : [];
+    const now = toDbLocalTimestamp();
+    const result = ids.length > 0
+      ? await db.run(
+        `UPDATE alerts SET read_at = ? WHERE read_at IS NULL AND id IN (${ids.map(() => '?').join(',')})`,
+        [now, ...ids]
+      )
+      : await db.run('UPDATE alerts SET read_at = ? WHERE read_at IS NULL', [now]);
+    res.json({ success: true, marked: result.changes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List saved searches with their current match counts
+router.get('/searches', async (req, res) => {
+  try {
+    const rows = await db.all(`
+      SELECT
+        s.*,
+        (SELECT COUNT(*) FROM saved_search_matches ssm WHERE ssm.search_id = s.id) as matchCount,
+        (SELECT COUNT(*) FROM alerts a WHERE a.search_id = s.id AND a.read_at IS NULL) as unreadCount
+      FROM saved_searches s
+      ORDER BY s.id ASC
+    `);
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a search { query, name }; current matches become the baseline
+router.post('/searches', async (req, res) => {
+  try {
+    const query = String(req.body?.query || '').trim();
+    if (tokenize(query).length === 0) {
+      return res.status(400).json({ error: 'query is required' });
+    }
+    const name = String(req.body?.name || '').trim() || query;
+
+    const existing = await db.get('SELECT id FROM saved_searches WHERE query = ?', [query]);
+    if (existing) {
+      return res.status(409).json({ error: 'Search already saved', id: existing.id });
+    }
+
+    const { lastID } = await db.run('INSERT INTO saved_searches (name, query) VALUES (?, ?)', [name, query]);
+    const [result] = await evaluateSavedSearches({ searchId: lastID, baseline: true });
+    return res.status(201).json({ id: lastID, name, query, matchCount: result?.new_match || 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a saved search and its alerts
+router.delete('/searches/:id', async (req, res) => {
+  try {
+    const search = await db.get('SELECT id FROM saved_searches WHERE id = ?', [req.params.id]);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    await db.transaction(async () => {
+      await db.run('DELETE FROM alerts WHERE search_id = ?', [search.id]);
+      await db.run('DELETE FROM saved_search_matches WHERE search_id = ?', [search.id]);
+      await db.run('DELETE FROM saved_searches WHERE id = ?', [search.id]);
+    });
+    return res.json({ success: true, id: search.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
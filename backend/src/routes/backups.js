@@ -0,0 +1,107 @@
+import express from 'express';
+import {
+  createBackup,
+  deleteBackup,
+  getBackup,
+  getBackupPath,
+  isBackupName,
+  listBackups,
+  restoreBackup
+} from '../backups/backups.js';
+import { isScrapeRunning } from '../scrapers/scrapeJobs.js';
+
+const router = express.Router();
+
+function readBackupFlag(req) {
+  if (typeof req.body?.backup === 'boolean') return req.body.backup;
+  const query = req.query?.backup;
+  if (query === '1' || query === 'true') return true;
+  if (query === '0' || query === 'false') return false;
+  return null;
+}
+
+// Middleware for destructive routes: backs up first when the request asks
+// for it ({ backup: true } or ?backup=1) or BACKUP_BEFORE_DESTRUCTIVE=1 is
+// set (backup false opts out). Dry runs are let through without one. The
+// backup's name ends up in res.locals.backup.
+export function backupBeforeDestructive(reason) {
+  return async (req, res, next) => {
+    const dryRun = req.body?.dryRun === true || req.query?.dryRun === '1' || req.query?.dryRun === 'true';
+    if (dryRun) return next();
+    const wanted = readBackupFlag(req) ?? process.env.BACKUP_BEFORE_DESTRUCTIVE === '1';
+    if (!wanted) return next();
+    try {
+      res.locals.backup = (await createBackup({ reason: `before-${reason}`, automatic: true })).name;
+    } catch (error) {
+      return res.status(500).json({ error: `Backup before ${reason} failed: ${error.message}` });
+    }
+    return next();
+  };
+}
+
+// List backups, newest first
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listBackups());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a backup. Body: { reason } (optional label)
+router.post('/', async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || 'manual').trim() || 'manual';
+    res.status(201).json(await createBackup({ reason }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a backup archive
+router.get('/:name/download', async (req, res) => {
+  try {
+    if (!(await getBackup(req.params.name))) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.download(getBackupPath(req.params.name), req.params.name);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a backup over the current database and images. The current state
+// is backed up first unless the body says { backupFirst: false }.
+router.post('/:name/restore', async (req, res) => {
+  try {
+    if (isScrapeRunning()) {
+      return res.status(409).json({ error: 'Scrape already running' });
+    }
+    if (!isBackupName(req.params.name)) {
+      return res.status(400).json({ error: 'Invalid backup name' });
+    }
+    if (!(await getBackup(req.params.name))) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.json(await restoreBackup(req.params.name, { backupFirst: req.body?.backupFirst !== false }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a backup
+router.delete('/:name', async (req, res) => {
+  try {
+    if (!isBackupName(req.params.name)) {
+      return res.status(400).json({ error: 'Invalid backup name' });
+    }
+    if (!(await deleteBackup(req.params.name))) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import { isScrapeRunning } from '../scrapers/scrapeJobs.js';
+import { checkImageIntegrity } from '../scrapers/imageIntegrity.js';
+
+const router = express.Router();
+
+// Integrity report of every part image (read only)
+router.get('/integrity', async (req, res) => {
+  try {
+    res.json(await checkImageIntegrity());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-download broken images and mark the ones that stay broken.
+// Body: { download: false } only marks them.
+router.post('/integrity/repair', async (req, res) => {
+  try {
+    if (isScrapeRunning()) {
+      return res.status(409).json({ error: 'Scrape already running' });
+    }
+    res.json(await checkImageIntegrity({ repair: true, download: req.body?.download !== false }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import { IMAGE_SIZES, ensureImageVariant, sourcePathOfVariant } from '../scrapers/imageVariants.js';
+
+const router = express.Router();
+
+// Blob files never change under their name (it is their hash); files from
+// before content-addressed storage may be replaced by a later scrape
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+const SHORT_CACHE = 'public, max-age=86400';
+
+function acceptsWebp(req) {
+  return /image\/webp/i.test(req.get('Accept') || '');
+}
+
+// Resized image: /images/<size>/<path below data/images>, size being one of
+// thumb, medium or large. WebP when the browser accepts it, otherwise JPEG
+// (PNG for PNG sources). A missing variant is generated on the fly.
+router.get(`/:size(${Object.keys(IMAGE_SIZES).join('|')})/*`, async (req, res) => {
+  try {
+    const imagePath = `images/${req.params[0]}`;
+    // Variants of variants are not a thing
+    if (sourcePathOfVariant(imagePath)) return res.status(404).json({ error: 'Image not found' });
+
+    const format = acceptsWebp(req) ? 'webp' : 'fallback';
+    const abs = await ensureImageVariant(imagePath, req.params.size, format);
+    if (!abs) return res.status(404).json({ error: 'Image not found' });
+
+    res.set('Vary', 'Accept');
+    res.set('Cache-Control', req.params[0].startsWith('blobs/') ? IMMUTABLE_CACHE : SHORT_CACHE);
+    res.sendFile(abs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cache headers for the original files served by express.static
+export function setImageCacheHeaders(res, filePath) {
+  const relative = filePath.replace(/\\/g, '/');
+  res.set('Cache-Control', relative.includes('/images/blobs/') ? IMMUTABLE_CACHE : SHORT_CACHE);
+}
+
+export default router;
@@ -1,29 +1,68 @@
 import express from 'express';
 import { db } from '../db/database.js';
-import { scrapeCategoryList, scrapeMotorcyclePage } from '../scrapers/scraper.js';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getPartsFeedGroups, getPartsFeedPage, readFeedFilters } from '../db/partsFeed.js';
+import { getMotorcycleEvents } from '../db/motorcycleHistory.js';
+import { getPartPriceHistory } from '../db/priceHistory.js';
+import { findModelsMatching, isUsableModelQuery, previewModelRemoval, removeModels } from '../db/modelRemoval.js';
+import { purgeExpiredTrash } from '../db/trash.js';
+import { backupBeforeDestructive } from './backups.js';
+import { collectImageGarbage } from '../scrapers/imageStore.js';
+import { abortScrapeJob, getScrapeStatus, isScrapeRunning, startScrapeJob } from '../scrapers/scrapeJobs.js';
+import { SCRAPE_MODES } from '../scrapers/scraper.js';
 
 const router = express.Router();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-let scrapeJob = { running: false, controller: null, startedAt: null };
-
-function normalizeLoose(text) {
-  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
-}
-
-function toSafeImageAbs(imagePath) {
-  const rel = String(imagePath || '').replace(/\\/g, '/').replace(/^\/+/, '');
-  if (!rel.startsWith('images/')) return null;
-  const abs = path.join(__dirname, '../../data', rel);
-  const root = path.join(__dirname, '../../data/images');
-  if (!abs.startsWith(root)) return null;
-  return abs;
-}
-
-// Global parts feed for main page
+
+// Motorcycle history event -> changed_fields entry in /changes-history
+const BIKE_EVENT_FIELDS = {
+  added: 'new_donor_bike',
+  removed: 'donor_bike_sold_out',
+  restored: 'donor_bike_back'
+};
+
+// Paginated parts feed. Filters: brand, model, minPrice, maxPrice, deleted,
+// tag, changedSince, q. Paging: sort (group|price|name|changed), order
+// (asc|desc), limit and the nextCursor of the previous page as cursor.
+router.get('/parts-feed', async (req, res) => {
+  try {
+    const filters = readFeedFilters(req.query || {});
+    const page = await getPartsFeedPage(filters, {
+      sort: req.query?.sort,
+      order: req.query?.order,
+      limit: req.query?.limit,
+      cursor: req.query?.cursor
+    });
+    res.json(page);
+  } catch (error) {
+    if (/cursor|fts5|MATCH/i.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Brand/model groups of the parts feed (same filters as /parts-feed) with
+// totals for the header stats
+router.get('/parts-feed/groups', async (req, res) => {
+  try {
+    const groups = await getPartsFeedGroups(readFeedFilters(req.query || {}));
+    const brands = new Set(groups.map((g) => g.brand));
+    res.json({
+      groups,
+      totals: {
+        parts: groups.reduce((sum, g) => sum + (g.partCount || 0), 0),
+        motorcycles: groups.length,
+        brands: brands.size
+      }
+    });
+  } catch (error) {
+    if (/fts5|MATCH/i.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Global parts feed for main page (everything in one response; prefer /parts-feed)
 router.get('/parts-feed-all', async (req, res) => {
   try {
     const rows = await db.all(`
@@ -73,7 +112,7 @@ router.get('/parts-feed-all', async (req, res) => {
 router.get('/part/:partId/images', async (req, res) => {
   try {
     const rows = await db.all(
-      `SELECT image_url, image_path, sort_order
+      `SELECT image_url, image_path, width, height, sort_order
        FROM part_images
        WHERE part_id = ?
        ORDER BY (image_path IS NULL) ASC, sort_order ASC, id ASC`,
@@ -94,17 +133,19 @@ router.get('/part/:partId/images', async (req, res) => {
   }
 });
 
-// Trigger web scraper to update data
+// Trigger web scraper to update data (or abort the running scrape)
 router.post('/scrape', async (req, res) => {
   try {
-    if (scrapeJob.running) {
-      scrapeJob.controller?.abort();
-      scrapeJob = { running: false, controller: null, startedAt: null };
-      return res.json({ status: 'aborted', running: false });
+    if (isScrapeRunning()) {
+      const { runId } = getScrapeStatus();
+      abortScrapeJob();
+      return res.json({ status: 'aborted', running: false, runId });
     }
 
     // Accept optional brand filter in body { brands: ['Aprilia','Cagiva'] }
     const allowedBrands = Array.isArray(req.body?.brands) ? req.body.brands : null;
+    // Optional source filter { sources: ['purkuosat'] }; defaults to every enabled source
+    const sources = Array.isArray(req.body?.sources) ? req.body.sources : null;
     const requestedMaxLinks = Number.parseInt(req.body?.maxLinks, 10);
     const hasMaxLinks = Number.isInteger(requestedMaxLinks) && requestedMaxLinks > 0;
     const testMode = req.body?.testMode === true;
@@ -112,53 +153,38 @@ router.post('/scrape', async (req, res) => {
     const downloadImages = req.body?.downloadImages === false ? false : !testMode;
     const modelUrl = typeof req.body?.modelUrl === 'string' ? req.body.modelUrl.trim() : '';
     const modelText = typeof req.body?.modelText === 'string' ? req.body.modelText.trim() : '';
-    const controller = new AbortController();
-    scrapeJob = { running: true, controller, startedAt: new Date().toISOString() };
+    // { mode: 'incremental' } only revisits changed pages; 'full' (default) re-parses everything
+    const mode = req.body?.mode === undefined || req.body?.mode === null ? 'full' : String(req.body.mode);
+    if (!SCRAPE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SCRAPE_MODES.join(', ')}` });
+    }
+
+    // Run scraper in background without blocking response
+    const job = await startScrapeJob({
+      brands: allowedBrands,
+      sources,
+      maxLinksPerCategory,
+      downloadImages,
+      mode,
+      modelUrl,
+      modelText
+    });
+    if (!job) {
+      return res.status(409).json({ error: 'Scrape already running' });
+    }
 
     res.json({
       status: 'scraping',
-      running: true
+      running: true,
+      runId: job.runId
     });
-
-    // Run scraper in background without blocking response
-    if (modelUrl) {
-      const link = {
-        text: modelText || modelUrl,
-        href: modelUrl,
-        category: 'motorcycles'
-      };
-      scrapeMotorcyclePage(link, allowedBrands, {
-        downloadImages,
-        signal: controller.signal,
-        scrapeStartedAt: scrapeJob.startedAt
-      }).catch(err => {
-        console.error('Background single-model scraper error:', err);
-      }).finally(() => {
-        scrapeJob = { running: false, controller: null, startedAt: null };
-      });
-    } else {
-      scrapeCategoryList(allowedBrands, {
-        maxLinksPerCategory,
-        downloadImages,
-        signal: controller.signal,
-        scrapeStartedAt: scrapeJob.startedAt
-      }).catch(err => {
-        console.error('Background scraper error:', err);
-      }).finally(() => {
-        scrapeJob = { running: false, controller: null, startedAt: null };
-      });
-    }
   } catch (error) {
-    scrapeJob = { running: false, controller: null, startedAt: null };
     res.status(500).json({ error: error.message });
   }
 });
 
 router.get('/scrape-status', (req, res) => {
-  res.json({
-    running: scrapeJob.running,
-    startedAt: scrapeJob.startedAt
-  });
+  res.json(getScrapeStatus());
 });
 
 // Global history of scraper-detected updates, grouped client-side by recorded_at
@@ -282,7 +308,28 @@ router.get('/changes-history', async (req, res) => {
       };
     });
 
-    res.json(out.filter((r) => (r.changed_fields || []).length > 0));
+    const partRows = out.filter((r) => (r.changed_fields || []).length > 0);
+    if (partId) {
+      res.json(partRows);
+      return;
+    }
+
+    // Donor bikes coming and going are listed alongside the part changes
+    const bikeRows = (await getMotorcycleEvents({ limit })).map((event) => ({
+      history_id: `bike-${event.id}`,
+      motorcycle_id: event.motorcycle_id,
+      recorded_at: event.recorded_at,
+      history_event: `bike_${event.event}`,
+      brand: event.brand,
+      model: event.model,
+      url: event.url,
+      part_count: event.part_count,
+      changed_fields: [BIKE_EVENT_FIELDS[event.event]]
+    }));
+    const merged = [...partRows, ...bikeRows]
+      .sort((a, b) => String(b.recorded_at || '').localeCompare(String(a.recorded_at || '')))
+      .slice(0, limit);
+    res.json(merged);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -308,59 +355,61 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Clear stored motorcycles, parts, selections, history and images
-router.post('/clear', async (req, res) => {
+// Clear stored motorcycles, parts, selections, history and images. The trash
+// is kept, along with the image files its entries need, so removed models
+// can still be restored afterwards.
+router.post('/clear', backupBeforeDestructive('clear'), async (req, res) => {
   try {
-    // Optional body { keepImages: true }
+    // Optional body { keepImages: true, backup: true }
     const keepImages = req.body?.keepImages === true;
 
-    await db.run('DELETE FROM selections');
-    await db.run('DELETE FROM part_tags');
-    await db.run('DELETE FROM tags');
-    await db.run('DELETE FROM part_images');
-    await db.run('DELETE FROM parts_history');
-    await db.run('DELETE FROM parts');
-    await db.run('DELETE FROM motorcycles');
+    await db.transaction(async () => {
+      await db.run('DELETE FROM alerts');
+      await db.run('DELETE FROM saved_search_matches');
+      await db.run('DELETE FROM selections');
+      await db.run('DELETE FROM part_tags');
+      await db.run('DELETE FROM tags');
+      await db.run('DELETE FROM part_images');
+      await db.run('DELETE FROM parts_history');
+      await db.run('DELETE FROM parts');
+      await db.run('DELETE FROM motorcycles_history');
+      await db.run('DELETE FROM motorcycles');
+      await db.run('DELETE FROM parts_fts');
+    });
 
     if (!keepImages) {
-      // remove all local image copies (including nested source-style folders)
-      const imagesDir = path.join(__dirname, '../../data/images');
-      try {
-        await fs.rm(imagesDir, { recursive: true, force: true });
-        await fs.mkdir(imagesDir, { recursive: true });
-      } catch (err) {
-        // ignore if dir missing
-      }
+      // Nothing but the trash references images any more: the sweep removes
+      // every other local copy (including nested source-style folders) and
+      // its blob rows
+      await collectImageGarbage({ minAgeMs: 0 });
     }
 
-    res.json({ status: 'cleared' });
+    res.json({ status: 'cleared', backup: res.locals.backup || null });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Remove one targeted model and related data
-router.post('/remove-model', async (req, res) => {
+// Remove the models matching a query and their related data. The rows go to
+// the trash (see db/trash.js), restorable until the entry expires. Body:
+// { query, dryRun } - dryRun (or ?dryRun=1) only reports the matched models,
+// their part counts and image files.
+router.post('/remove-model', backupBeforeDestructive('remove-model'), async (req, res) => {
   try {
     const query = String(req.body?.query || '').trim();
+    const dryRun = req.query?.dryRun === '1' || req.query?.dryRun === 'true' || req.body?.dryRun === true;
     if (!query) return res.status(400).json({ error: 'query is required' });
+    if (!isUsableModelQuery(query)) return res.status(400).json({ error: 'query must contain letters/numbers' });
 
-    const queryNorm = normalizeLoose(query);
-    if (!queryNorm) return res.status(400).json({ error: 'query must contain letters/numbers' });
-
-    const allModels = await db.all(
-      'SELECT id, brand, model FROM motorcycles ORDER BY brand ASC, model ASC'
-    );
-
-    const matched = allModels.filter((m) => {
-      const combined = normalizeLoose(`${m.brand} ${m.model}`);
-      return combined.includes(queryNorm) || queryNorm.includes(combined);
-    });
-
+    const matched = await findModelsMatching(query);
     if (matched.length === 0) {
       return res.status(404).json({ error: 'No model matched query', query });
     }
 
+    if (dryRun) {
+      return res.json({ dryRun: true, query, ...(await previewModelRemoval(matched)) });
+    }
+
     const matchedLabels = matched.map((m) => `${m.brand} ${m.model}`.trim());
     const uniqueLabels = [...new Set(matchedLabels)];
     console.log('\nRemove-model request:');
@@ -368,89 +417,35 @@ router.post('/remove-model', async (req, res) => {
       console.log(`  - ${label}`);
     });
 
-    const motorcycleIds = matched.map((m) => m.id);
-    const modelLabelById = new Map(matched.map((m) => [m.id, `${m.brand} ${m.model}`.trim()]));
-    const placeholders = motorcycleIds.map(() => '?').join(',');
-
-    const partRows = await db.all(
-      `SELECT id, motorcycle_id, name, part_number, image_path
-       FROM parts
-       WHERE motorcycle_id IN (${placeholders})`,
-      motorcycleIds
-    );
-    const partIds = partRows.map((p) => p.id);
-    const imagePaths = new Set();
-    for (const p of partRows) {
-      if (p?.image_path) imagePaths.add(p.image_path);
-    }
-
-    if (partIds.length > 0) {
-      const partPlaceholders = partIds.map(() => '?').join(',');
-      const extraImageRows = await db.all(
-        `SELECT part_id, image_path
-         FROM part_images
-         WHERE part_id IN (${partPlaceholders})`,
-        partIds
-      );
-      const imageRowsByPart = new Map();
-      for (const row of extraImageRows) {
-        if (!imageRowsByPart.has(row.part_id)) imageRowsByPart.set(row.part_id, []);
-        imageRowsByPart.get(row.part_id).push(row);
-        if (row?.image_path) imagePaths.add(row.image_path);
-      }
+    // Rows go to the trash as one unit; image files stay until it is purged
+    const { partRows, imagesByPart, imagePaths, trash } = await removeModels(matched, { label: uniqueLabels.join(', ') });
+    await purgeExpiredTrash();
 
-      console.log(`  Removing ${partRows.length} part(s) across ${motorcycleIds.length} model(s):`);
-      const partsByModel = new Map();
-      for (const p of partRows) {
-        const key = p.motorcycle_id;
-        if (!partsByModel.has(key)) partsByModel.set(key, []);
-        partsByModel.get(key).push(p);
-      }
-      for (const modelId of motorcycleIds) {
-        const rows = partsByModel.get(modelId) || [];
+    if (partRows.length > 0) {
+      console.log(`  Removed ${partRows.length} part(s) across ${matched.length} model(s):`);
+      for (const m of matched) {
+        const rows = partRows.filter((p) => p.motorcycle_id === m.id);
         if (rows.length === 0) continue;
-        const label = modelLabelById.get(modelId) || modelId;
-        console.log(`  ${label}: ${rows.length} part(s)`);
+        console.log(`  ${`${m.brand} ${m.model}`.trim()}: ${rows.length} part(s)`);
         for (const p of rows) {
           console.log(`    - ${p.part_number || p.id} | ${p.name || ''}`);
-          const perPartImages = new Set();
-          if (p.image_path) perPartImages.add(p.image_path);
-          const extraRows = imageRowsByPart.get(p.id) || [];
-          for (const img of extraRows) {
-            if (img?.image_path) perPartImages.add(img.image_path);
-          }
-          Array.from(perPartImages).forEach((imgPath) => {
+          for (const imgPath of imagesByPart.get(p.id) || []) {
             console.log(`      - ${imgPath}`);
-          });
+          }
         }
       }
-
-      await db.run(`DELETE FROM selections WHERE part_id IN (${partPlaceholders})`, partIds);
-      await db.run(`DELETE FROM part_tags WHERE part_id IN (${partPlaceholders})`, partIds);
-      await db.run(`DELETE FROM part_images WHERE part_id IN (${partPlaceholders})`, partIds);
-      await db.run(`DELETE FROM parts_history WHERE part_id IN (${partPlaceholders})`, partIds);
-      await db.run(`DELETE FROM parts WHERE id IN (${partPlaceholders})`, partIds);
-    }
-
-    await db.run(`DELETE FROM motorcycles WHERE id IN (${placeholders})`, motorcycleIds);
-    for (const imagePath of imagePaths) {
-      const abs = toSafeImageAbs(imagePath);
-      if (!abs) continue;
-      try {
-        await fs.rm(abs, { force: true });
-      } catch (err) {
-        // ignore missing files
-      }
     }
-
-    console.log(`Remove-model done: ${matched.length} model(s), ${partIds.length} part(s)\n`);
+    console.log(`Remove-model done: ${matched.length} model(s), ${partRows.length} part(s), ${imagePaths.size} image file(s) kept in trash #${trash.id}\n`);
 
     return res.json({
       removed: {
         motorcycles: matched.length,
-        parts: partIds.length
+        parts: partRows.length,
+        images: imagePaths.size
       },
-      matches: matched.map((m) => ({ brand: m.brand, model: m.model }))
+      matches: matched.map((m) => ({ brand: m.brand, model: m.model })),
+      trash,
+      backup: res.locals.backup || null
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -467,4 +462,15 @@ router.get('/part/:partId/history', async (req, res) => {
   }
 });
 
+// Price time series (history rows + current price) with min/max/avg and listing age
+router.get('/part/:partId/price-history', async (req, res) => {
+  try {
+    const history = await getPartPriceHistory(req.params.partId);
+    if (!history) return res.status(404).json({ error: 'Part not found' });
+    return res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { findPartsByNumber } from '../db/partNumbers.js';
+import { searchParts } from '../db/partsSearch.js';
+
+const router = express.Router();
+
+// Ranked full-text search over parts.
+// q supports prefix words, "exact phrases", field filters (brand:, model:,
+// name:, pn:, desc:, tag:, available:) and price<50 / price>=10 / price:10-50.
+router.get('/search', async (req, res) => {
+  try {
+    const q = typeof req.query?.q === 'string' ? req.query.q.trim() : '';
+    const requestedLimit = Number.parseInt(req.query?.limit, 10);
+    const limit = Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 5000) : 100;
+    const requestedOffset = Number.parseInt(req.query?.offset, 10);
+    const offset = Number.isInteger(requestedOffset) && requestedOffset > 0 ? requestedOffset : 0;
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const { match, rows } = await searchParts(q, { limit, offset });
+    return res.json({ q, match, limit, offset, results: rows });
+  } catch (error) {
+    if (/fts5|MATCH/i.test(error.message)) {
+      return res.status(400).json({ error: `Invalid search query: ${error.message}` });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every listing of a part number across donor bikes (matched on the
+// normalized number, so spacing/dashes/case do not matter)
+router.get('/by-number/:partNumber', async (req, res) => {
+  try {
+    const { normalized, listings } = await findPartsByNumber(req.params.partNumber);
+    if (!normalized) {
+      return res.status(400).json({ error: 'Part number is too short to match' });
+    }
+    const available = listings.filter((p) => !p.is_deleted);
+    const priced = available.filter((p) => p.price !== null && p.price !== undefined);
+    return res.json({
+      partNumber: req.params.partNumber,
+      normalized,
+      total: listings.length,
+      available: available.length,
+      motorcycles: new Set(listings.map((p) => p.motorcycle_id)).size,
+      cheapest: priced.length > 0 ? priced[0] : null,
+      listings
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+import express from 'express';
+import { db } from '../db/database.js';
+import { computeNextRunAt, runSchedule } from '../scrapers/scheduler.js';
+import { SCRAPE_MODES } from '../scrapers/scraper.js';
+
+const router = express.Router();
+
+function toScheduleJson(row) {
+  let brands = [];
+  try {
+    brands = row.brands ? JSON.parse(row.brands) : [];
+  } catch {
+    brands = [];
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    brands,
+    maxLinks: row.max_links || null,
+    downloadImages: Number(row.download_images) !== 0,
+    mode: row.mode || 'full',
+    enabled: Number(row.enabled) !== 0,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastRunId: row.last_run_id,
+    createdAt: row.created_at
+  };
+}
+
+// Merge request body onto an existing schedule (or defaults). Throws with a
+// user-facing message on invalid input.
+function readScheduleBody(body = {}, existing = null) {
+  const out = {
+    name: existing?.name ?? '',
+    cron: existing?.cron ?? '',
+    brands: existing?.brands ?? null,
+    max_links: existing?.max_links ?? null,
+    download_images: existing?.download_images ?? 1,
+    mode: existing?.mode ?? 'full',
+    enabled: existing?.enabled ?? 1
+  };
+
+  if (body.name !== undefined) out.name = String(body.name || '').trim();
+  if (body.cron !== undefined) out.cron = String(body.cron || '').trim().replace(/\s+/g, ' ');
+  if (body.brands !== undefined) {
+    const list = Array.isArray(body.brands)
+      ? body.brands
+      : String(body.brands || '').split(',');
+    const brands = list.map((b) => String(b || '').trim()).filter(Boolean);
+    out.brands = brands.length > 0 ? JSON.stringify(brands) : null;
+  }
+  if (body.maxLinks !== undefined) {
+    const maxLinks = Number.parseInt(body.maxLinks, 10);
+    out.max_links = Number.isInteger(maxLinks) && maxLinks > 0 ? maxLinks : null;
+  }
+  if (body.downloadImages !== undefined) out.download_images = body.downloadImages === false ? 0 : 1;
+  if (body.enabled !== undefined) out.enabled = body.enabled === false ? 0 : 1;
+  if (body.mode !== undefined) {
+    out.mode = String(body.mode || 'full');
+    if (!SCRAPE_MODES.includes(out.mode)) throw new Error(`mode must be one of: ${SCRAPE_MODES.join(', ')}`);
+  }
+
+  if (!out.name) out.name = out.cron;
+  if (!out.cron) throw new Error('cron is required');
+  out.next_run_at = computeNextRunAt(out.cron);
+  // e.g. "0 0 30 2 *": valid fields, but no date ever matches
+  if (!out.next_run_at) throw new Error(`Cron expression never matches a date: "${out.cron}"`);
+  return out;
+}
+
+// List schedules
+router.get('/', async (req, res) => {
+  try {
+    const rows = await db.all('SELECT * FROM scrape_schedules ORDER BY id ASC');
+    res.json(rows.map(toScheduleJson));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a schedule { name, cron, brands, maxLinks, downloadImages, mode, enabled }
+router.post('/', async (req, res) => {
+  try {
+    let values;
+    try {
+      values = readScheduleBody(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const { lastID } = await db.run(
+      `INSERT INTO scrape_schedules (name, cron, brands, max_links, download_images, mode, enabled, next_run_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [values.name, values.cron, values.brands, values.max_links, values.download_images, values.mode, values.enabled, values.next_run_at]
+    );
+    const row = await db.get('SELECT * FROM scrape_schedules WHERE id = ?', [lastID]);
+    return res.status(201).json(toScheduleJson(row));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a schedule; omitted fields keep their value
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await db.get('SELECT * FROM scrape_schedules WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    let values;
+    try {
+      values = readScheduleBody(req.body || {}, existing);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    await db.run(
+      `UPDATE scrape_schedules
+       SET name = ?, cron = ?, brands = ?, max_links = ?, download_images = ?, mode = ?, enabled = ?, next_run_at = ?
+       WHERE id = ?`,
+      [values.name, values.cron, values.brands, values.max_links, values.download_images, values.mode, values.enabled, values.next_run_at, existing.id]
+    );
+    const row = await db.get('SELECT * FROM scrape_schedules WHERE id = ?', [existing.id]);
+    return res.json(toScheduleJson(row));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a schedule
+router.delete('/:id', async (req, res) => {
+  try {
+    const { changes } = await db.run('DELETE FROM scrape_schedules WHERE id = ?', [req.params.id]);
+    if (!changes) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    return res.json({ success: true, id: Number(req.params.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a schedule now, outside its cron times
+router.post('/:id/run', async (req, res) => {
+  try {
+    const schedule = await db.get('SELECT * FROM scrape_schedules WHERE id = ?', [req.params.id]);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const job = await runSchedule(schedule);
+    if (!job) {
+      return res.status(409).json({ error: 'Scrape already running', status: 'skipped_busy' });
+    }
+    return res.json({ status: 'scraping', running: true, runId: job.runId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
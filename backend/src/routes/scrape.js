@@ -0,0 +1,49 @@
+import express from 'express';
+import { getScrapeStatus } from '../scrapers/scrapeJobs.js';
+import { getBufferedScrapeEvents, subscribeScrapeEvents } from '../scrapers/scrapeEvents.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15000;
+
+function writeEvent(res, event) {
+  const idLine = event.id ? `id: ${event.id}\n` : '';
+  res.write(`${idLine}data: ${JSON.stringify(event)}\n\n`);
+}
+
+// Live scrape log as Server-Sent Events. Each message is one JSON event with
+// a `type`: status (sent first, the same shape as /api/motorcycles/scrape-status),
+// run_started, page_fetched, models_found, model_started, part_inserted,
+// part_updated, part_deleted, image_downloaded, image_skipped, image_failed,
+// models_gone, error, model_finished and run_finished.
+// A reconnect with Last-Event-ID (or ?since=<id>) replays what was missed;
+// a fresh connection gets the buffered events of the running scrape.
+router.get('/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const status = getScrapeStatus();
+  writeEvent(res, { type: 'status', ...status });
+
+  const since = Number.parseInt(req.get('Last-Event-ID') || req.query?.since, 10);
+  const missed = Number.isInteger(since)
+    ? getBufferedScrapeEvents(since)
+    : getBufferedScrapeEvents().filter((event) => status.running && event.runId === status.runId);
+  for (const event of missed) writeEvent(res, event);
+
+  const unsubscribe = subscribeScrapeEvents((event) => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import express from 'express';
+import { db } from '../db/database.js';
+import { getScrapeStatus } from '../scrapers/scrapeJobs.js';
+
+const router = express.Router();
+
+// Stored JSON column (filters, diagnostics), null when empty or unreadable
+function parseJson(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Live counters win over the stored ones for the run that is still going.
+function toRunJson(row) {
+  const status = getScrapeStatus();
+  const live = status.running && status.runId === row.id ? status.progress : null;
+  const modelsTotal = live ? live.modelsTotal : row.models_total;
+  const modelsDone = live ? live.modelsDone : row.models_done;
+  return {
+    id: row.id,
+    kind: row.kind,
+    trigger: row.trigger,
+    filters: parseJson(row.filters),
+    status: row.status,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    modelsTotal: modelsTotal || 0,
+    modelsDone: modelsDone || 0,
+    pagesProcessed: (live ? live.pagesProcessed : row.pages_processed) || 0,
+    partsProcessed: (live ? live.partsProcessed : row.parts_processed) || 0,
+    imagesProcessed: (live ? live.imagesProcessed : row.images_processed) || 0,
+    currentModel: live ? live.currentModel : row.current_model,
+    diagnostics: {
+      blocksSkipped: row.blocks_skipped || 0,
+      duplicatesMerged: row.duplicates_merged || 0,
+      missingPartNumber: row.missing_part_number || 0,
+      missingImage: row.missing_image || 0
+    }
+  };
+}
+
+// Parse diagnostic totals per run, summed over its model pages
+const RUN_SELECT = `
+  SELECT r.*, d.blocks_skipped, d.duplicates_merged, d.missing_part_number, d.missing_image
+  FROM scrape_runs r
+  LEFT JOIN (
+    SELECT run_id,
+           SUM(blocks_skipped) AS blocks_skipped,
+           SUM(duplicates_merged) AS duplicates_merged,
+           SUM(missing_part_number) AS missing_part_number,
+           SUM(missing_image) AS missing_image
+    FROM scrape_run_models
+    GROUP BY run_id
+  ) d ON d.run_id = r.id
+`;
+
+// List recent scrape runs, newest first
+router.get('/', async (req, res) => {
+  try {
+    const requested = Number.parseInt(req.query?.limit, 10);
+    const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, 500) : 50;
+    const rows = await db.all(`${RUN_SELECT} ORDER BY r.id DESC LIMIT ?`, [limit]);
+    res.json(rows.map(toRunJson));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live progress of the running scrape, e.g. "model 14 of 212"
+router.get('/current', async (req, res) => {
+  try {
+    const status = getScrapeStatus();
+    if (!status.running || !status.runId) {
+      return res.json({ running: false, run: null });
+    }
+    const row = await db.get(`${RUN_SELECT} WHERE r.id = ?`, [status.runId]);
+    return res.json({
+      running: true,
+      aborting: status.aborting,
+      run: row ? toRunJson(row) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One run with its per-model results
+router.get('/:id', async (req, res) => {
+  try {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid run id' });
+    }
+    const row = await db.get(`${RUN_SELECT} WHERE r.id = ?`, [id]);
+    if (!row) {
+      return res.status(404).json({ error: 'Scrape run not found' });
+    }
+    const models = await db.all(
+      `SELECT motorcycle_id, label, url, status, parts_found, parts_inserted, parts_updated, parts_deleted, images_processed,
+              blocks_skipped, duplicates_merged, missing_part_number, missing_image, error, finished_at
+       FROM scrape_run_models
+       WHERE run_id = ?
+       ORDER BY id ASC`,
+      [id]
+    );
+    return res.json({ ...toRunJson(row), models });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Parse diagnostics of a run: per model page, the blocks the parser skipped
+// (and why), merged duplicates and parts without a part number or image.
+// ?issues=1 leaves out pages that parsed cleanly.
+router.get('/:id/diagnostics', async (req, res) => {
+  try {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid run id' });
+    }
+    const row = await db.get(`${RUN_SELECT} WHERE r.id = ?`, [id]);
+    if (!row) {
+      return res.status(404).json({ error: 'Scrape run not found' });
+    }
+    const issuesOnly = ['1', 'true'].includes(String(req.query?.issues || '').toLowerCase());
+    const rows = await db.all(
+      `SELECT motorcycle_id, label, url, status, parts_found, blocks_skipped, duplicates_merged, missing_part_number, missing_image, diagnostics
+       FROM scrape_run_models
+       WHERE run_id = ?
+       ${issuesOnly ? 'AND (blocks_skipped > 0 OR duplicates_merged > 0 OR missing_part_number > 0 OR missing_image > 0)' : ''}
+       ORDER BY blocks_skipped DESC, id ASC`,
+      [id]
+    );
+    const models = rows.map((m) => {
+      const detail = parseJson(m.diagnostics);
+      return {
+        motorcycleId: m.motorcycle_id,
+        label: m.label,
+        url: m.url,
+        status: m.status,
+        partsFound: m.parts_found || 0,
+        blocksSeen: detail?.blocksSeen ?? null,
+        blocksSkipped: m.blocks_skipped || 0,
+        duplicatesMerged: m.duplicates_merged || 0,
+        missingPartNumber: m.missing_part_number || 0,
+        missingImage: m.missing_image || 0,
+        skippedByReason: detail?.skippedByReason || {},
+        skipped: detail?.skipped || [],
+        duplicates: detail?.duplicates || [],
+        noPartNumber: detail?.noPartNumber || [],
+        noImage: detail?.noImage || []
+      };
+    });
+    const run = toRunJson(row);
+    return res.json({ runId: run.id, status: run.status, startedAt: run.startedAt, totals: run.diagnostics, models });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
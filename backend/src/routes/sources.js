@@ -0,0 +1,51 @@
+import express from 'express';
+import { db } from '../db/database.js';
+import { getSource, syncSourceRows } from '../scrapers/sources/index.js';
+
+const router = express.Router();
+
+// List scrape sources with their motorcycle/part counts
+router.get('/', async (req, res) => {
+  try {
+    await syncSourceRows();
+    const rows = await db.all(`
+      SELECT
+        s.id,
+        s.name,
+        s.base_url,
+        s.enabled,
+        (SELECT COUNT(*) FROM motorcycles m WHERE m.source_id = s.id) as motorcycles,
+        (SELECT COUNT(*) FROM parts p WHERE p.source_id = s.id) as parts
+      FROM sources s
+      ORDER BY s.id ASC
+    `);
+    res.json(rows.map((row) => ({
+      ...row,
+      enabled: Number(row.enabled) === 1,
+      categories: (getSource(row.id)?.categories || []).map((c) => ({ name: c.name, url: c.url }))
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enable or disable a source for category scrapes
+router.patch('/:id', async (req, res) => {
+  try {
+    const source = getSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+    if (typeof req.body?.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled (boolean) required' });
+    }
+
+    await syncSourceRows();
+    await db.run('UPDATE sources SET enabled = ? WHERE id = ?', [req.body.enabled ? 1 : 0, source.id]);
+    return res.json({ success: true, id: source.id, enabled: req.body.enabled });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
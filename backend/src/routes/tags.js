@@ -1,5 +1,9 @@
 import express from 'express';
 import { db } from '../db/database.js';
+import { EXPORT_FORMATS, loadCollection, toCsv, toHtml, toJson } from '../collections/exportCollection.js';
+import { importTagAssignments, readImportRows } from '../collections/importCollection.js';
+import { purgeExpiredTrash, trashTag } from '../db/trash.js';
+import { backupBeforeDestructive } from './backups.js';
 
 const router = express.Router();
 
@@ -40,6 +44,57 @@ router.get('/:tag', async (req, res) => {
   }
 });
 
+// Bulk-assign tags from CSV (text/csv body or { csv }) or JSON ({ rows },
+// an array, or a JSON export). Rows resolve by part id, or by part number
+// plus brand/model. ?tag= applies to rows without a tag column and
+// ?dryRun=1 only reports what would match.
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const rows = readImportRows(req.body, req.query?.tag);
+    if (!rows) {
+      return res.status(400).json({ error: 'Expected CSV text, { csv }, { rows } or an array of rows' });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No rows to import' });
+    }
+    const dryRun = req.query?.dryRun === '1' || req.query?.dryRun === 'true' || req.body?.dryRun === true;
+    const result = await importTagAssignments(rows, { dryRun });
+    return res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export a tag's parts: ?format=csv (spreadsheet), json, or html (printable
+// sheet with embedded thumbnails and totals)
+router.get('/:tag/export', async (req, res) => {
+  try {
+    const format = String(req.query?.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const collection = await loadCollection(String(req.params.tag || '').trim());
+    if (!collection) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const fileBase = collection.tag.replace(/[^\p{L}\p{N}._-]+/gu, '_') || 'collection';
+    if (format === 'json') {
+      res.attachment(`${fileBase}.json`);
+      return res.json(toJson(collection));
+    }
+    if (format === 'html') {
+      res.type('html');
+      return res.send(await toHtml(collection));
+    }
+    res.attachment(`${fileBase}.csv`);
+    res.type('text/csv; charset=utf-8');
+    return res.send(toCsv(collection.parts));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Rename a tag
 router.post('/rename', async (req, res) => {
   try {
@@ -78,17 +133,28 @@ router.post('/assign', async (req, res) => {
       return res.status(400).json({ error: 'partId and tag required' });
     }
 
-    let tagRow = await db.get('SELECT id FROM tags WHERE name = ?', [name]);
-    if (!tagRow) {
-      await db.run('INSERT INTO tags (name) VALUES (?)', [name]);
-      tagRow = await db.get('SELECT id FROM tags WHERE name = ?', [name]);
+    // part_tags.part_id is a foreign key: an unknown part is a 404, and the
+    // tag is only created together with its first assignment
+    const assigned = await db.transaction(async () => {
+      const part = await db.get('SELECT id FROM parts WHERE id = ?', [partId]);
+      if (!part) return false;
+
+      let tagRow = await db.get('SELECT id FROM tags WHERE name = ?', [name]);
+      if (!tagRow) {
+        await db.run('INSERT INTO tags (name) VALUES (?)', [name]);
+        tagRow = await db.get('SELECT id FROM tags WHERE name = ?', [name]);
+      }
+
+      await db.run(
+        'INSERT OR IGNORE INTO part_tags (part_id, tag_id) VALUES (?, ?)',
+        [part.id, tagRow.id]
+      );
+      return true;
+    });
+    if (!assigned) {
+      return res.status(404).json({ error: 'Part not found' });
     }
 
-    await db.run(
-      'INSERT OR IGNORE INTO part_tags (part_id, tag_id) VALUES (?, ?)',
-      [partId, tagRow.id]
-    );
-
     res.json({ success: true, partId, tag: name });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -115,8 +181,9 @@ router.delete('/assign', async (req, res) => {
   }
 });
 
-// Delete a whole tag and all its assignments
-router.delete('/:tag', async (req, res) => {
+// Delete a whole tag and all its assignments. They go to the trash (see
+// db/trash.js); ?dryRun=1 only reports how many assignments would go.
+router.delete('/:tag', backupBeforeDestructive('delete-tag'), async (req, res) => {
   try {
     const name = String(req.params?.tag || '').trim();
     if (!name) {
@@ -128,10 +195,20 @@ router.delete('/:tag', async (req, res) => {
       return res.status(404).json({ error: 'Tag not found' });
     }
 
-    await db.run('DELETE FROM part_tags WHERE tag_id = ?', [tagRow.id]);
-    await db.run('DELETE FROM tags WHERE id = ?', [tagRow.id]);
+    if (req.query?.dryRun === '1' || req.query?.dryRun === 'true' || req.body?.dryRun === true) {
+      const { count } = await db.get('SELECT COUNT(*) AS count FROM part_tags WHERE tag_id = ?', [tagRow.id]);
+      return res.json({ dryRun: true, tag: name, assignments: count });
+    }
+
+    const trash = await db.transaction(async () => {
+      const entry = await trashTag(tagRow.id);
+      await db.run('DELETE FROM part_tags WHERE tag_id = ?', [tagRow.id]);
+      await db.run('DELETE FROM tags WHERE id = ?', [tagRow.id]);
+      return entry;
+    });
+    await purgeExpiredTrash();
 
-    return res.json({ success: true, deletedTag: name });
+    return res.json({ success: true, deletedTag: name, trash, backup: res.locals.backup || null });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
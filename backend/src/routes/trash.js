@@ -0,0 +1,64 @@
+import express from 'express';
+import { listTrash, purgeTrash, restoreFromTrash, trashRetentionDays } from '../db/trash.js';
+import { isScrapeRunning } from '../scrapers/scrapeJobs.js';
+import { backupBeforeDestructive } from './backups.js';
+
+const router = express.Router();
+
+function readId(req) {
+  const id = Number.parseInt(req.params.id, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// List trash entries (removed models and tags), newest first
+router.get('/', async (req, res) => {
+  try {
+    res.json({ retentionDays: trashRetentionDays(), items: await listTrash() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put an entry's rows back
+router.post('/:id/restore', async (req, res) => {
+  try {
+    if (isScrapeRunning()) {
+      return res.status(409).json({ error: 'Scrape already running' });
+    }
+    const id = readId(req);
+    if (!id) return res.status(400).json({ error: 'Invalid trash id' });
+    const result = await restoreFromTrash(id);
+    if (!result) return res.status(404).json({ error: 'Trash entry not found' });
+    res.json(result);
+  } catch (error) {
+    if (error.code === 'ETRASHCONFLICT') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Empty the trash, or with { expiredOnly: true } only the expired entries
+router.post('/purge', backupBeforeDestructive('purge-trash'), async (req, res) => {
+  try {
+    const result = await purgeTrash({ expiredOnly: req.body?.expiredOnly === true });
+    res.json({ ...result, backup: res.locals.backup || null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete one entry for good
+router.delete('/:id', backupBeforeDestructive('purge-trash'), async (req, res) => {
+  try {
+    const id = readId(req);
+    if (!id) return res.status(400).json({ error: 'Invalid trash id' });
+    const result = await purgeTrash({ ids: [id] });
+    if (result.purged === 0) return res.status(404).json({ error: 'Trash entry not found' });
+    res.json({ ...result, backup: res.locals.backup || null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,97 @@
+// Minimal 5-field cron parser: "minute hour day-of-month month day-of-week".
+// Supports *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 8-18/2).
+// Day-of-week accepts 0-7 where both 0 and 7 mean Sunday.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseField(raw, field) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${field.name} field: "${raw}"`);
+    const [, startRaw, endRaw, stepRaw] = m;
+    const step = stepRaw ? Number(stepRaw) : 1;
+    let start;
+    let end;
+    if (startRaw === '*') {
+      if (endRaw) throw new Error(`Invalid cron ${field.name} field: "${raw}"`);
+      start = field.min;
+      end = field.max;
+    } else {
+      start = Number(startRaw);
+      end = endRaw ? Number(endRaw) : (stepRaw ? field.max : start);
+    }
+    if (step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`Cron ${field.name} out of range: "${raw}"`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+export function parseCron(expression) {
+  const raw = String(expression || '').trim();
+  const tokens = raw.split(/\s+/).filter(Boolean);
+  if (tokens.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have 5 fields: "${raw}"`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = tokens.map((t, i) => parseField(t, FIELDS[i]));
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+  return {
+    expression: raw,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Classic cron: when both day fields are restricted, either may match.
+    dayOfMonthAny: tokens[2] === '*',
+    dayOfWeekAny: tokens[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthAny && cron.dayOfWeekAny) return true;
+  if (cron.dayOfMonthAny) return dowMatch;
+  if (cron.dayOfWeekAny) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// Next local time strictly after `from` that matches the expression, or null.
+export function nextCronTime(cronOrExpression, from = new Date()) {
+  const cron = typeof cronOrExpression === 'string' ? parseCron(cronOrExpression) : cronOrExpression;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (!cron.month.has(d.getMonth() + 1) || !matchesDay(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
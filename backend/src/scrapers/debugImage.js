@@ -1,10 +1,12 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { configureFixturesFromArgs } from './fixtures.js';
+import { httpGet } from './httpClient.js';
 
 async function main() {
-  const url = 'https://www.purkuosat.net/apriliamx12505.htm';
+  configureFixturesFromArgs();
+  const url = process.argv.slice(2).find((arg) => !arg.startsWith('--')) || 'https://www.purkuosat.net/apriliamx12505.htm';
   console.log('Fetching', url);
-  const res = await axios.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+  const res = await httpGet(url);
   const $ = cheerio.load(res.data);
 
   $('table').slice(0,3).each((ti, table) => {
@@ -0,0 +1,64 @@
+// Structured record of what the parser dropped or could not fill in on one
+// model page. Adapters report skipped blocks; parseParts adds merged
+// duplicates and parts without a part number or image. Counts are exact,
+// the detail lists are capped so one broken page cannot bloat the run record.
+export const SKIP_REASONS = ['no_name', 'no_price', 'zero_price'];
+export const MAX_DIAGNOSTIC_ENTRIES = 100;
+
+export function createParseDiagnostics() {
+  return {
+    blocksSeen: 0,
+    partsParsed: 0,
+    counts: { skipped: 0, duplicates: 0, noPartNumber: 0, noImage: 0 },
+    skippedByReason: Object.fromEntries(SKIP_REASONS.map((reason) => [reason, 0])),
+    skipped: [],
+    duplicates: [],
+    noPartNumber: [],
+    noImage: []
+  };
+}
+
+function pushCapped(list, entry) {
+  if (list.length < MAX_DIAGNOSTIC_ENTRIES) list.push(entry);
+}
+
+// Short, single-line excerpt of a block so the layout can be recognised
+export function blockSnippet(text, max = 160) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+// entry: { reason, name, partNumber, snippet, location }
+export function recordSkippedBlock(diagnostics, entry) {
+  if (!diagnostics) return;
+  diagnostics.counts.skipped += 1;
+  if (entry.reason in diagnostics.skippedByReason) diagnostics.skippedByReason[entry.reason] += 1;
+  pushCapped(diagnostics.skipped, entry);
+}
+
+export function recordDuplicate(diagnostics, entry) {
+  if (!diagnostics) return;
+  diagnostics.counts.duplicates += 1;
+  pushCapped(diagnostics.duplicates, entry);
+}
+
+// Called once with the merged part list
+export function recordParsedParts(diagnostics, parts) {
+  if (!diagnostics) return;
+  diagnostics.partsParsed = parts.length;
+  for (const part of parts) {
+    const entry = { name: part.name, partNumber: part.partNumber || null, price: part.price };
+    if (!part.partNumber) {
+      diagnostics.counts.noPartNumber += 1;
+      pushCapped(diagnostics.noPartNumber, entry);
+    }
+    if (!part.imageUrl && (!part.imageUrls || part.imageUrls.length === 0)) {
+      diagnostics.counts.noImage += 1;
+      pushCapped(diagnostics.noImage, entry);
+    }
+  }
+}
+
+export function hasDiagnosticIssues(diagnostics) {
+  return Boolean(diagnostics) && Object.values(diagnostics.counts).some((n) => n > 0);
+}
@@ -0,0 +1,141 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Record/replay layer for scraper HTTP traffic.
+//   off    - plain network requests (default)
+//   record - fetch from the network and save every response under the
+//            fixtures directory (body + <name>.json with status and headers)
+//   replay - serve saved responses only; a missing fixture is an error and
+//            nothing touches the network
+// Set with SCRAPER_FIXTURES=record|replay (and SCRAPER_FIXTURES_DIR), or the
+// --record / --replay flags of the scraper CLIs.
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures');
+
+let fixtureMode = FIXTURE_MODES.includes(process.env.SCRAPER_FIXTURES) ? process.env.SCRAPER_FIXTURES : 'off';
+let fixturesDir = process.env.SCRAPER_FIXTURES_DIR
+  ? path.resolve(process.env.SCRAPER_FIXTURES_DIR)
+  : DEFAULT_FIXTURES_DIR;
+
+export function configureFixtures({ mode, dir } = {}) {
+  if (mode !== undefined) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}" (expected ${FIXTURE_MODES.join(', ')})`);
+    }
+    fixtureMode = mode;
+  }
+  if (dir) fixturesDir = path.resolve(dir);
+  return { mode: fixtureMode, dir: fixturesDir };
+}
+
+export function getFixtureConfig() {
+  return { mode: fixtureMode, dir: fixturesDir };
+}
+
+// Reads --record / --replay / --fixtures-dir=<dir> from CLI arguments
+export function configureFixturesFromArgs(argv = process.argv.slice(2)) {
+  const options = {};
+  for (const arg of argv) {
+    if (arg === '--record') options.mode = 'record';
+    else if (arg === '--replay') options.mode = 'replay';
+    else if (arg.startsWith('--fixtures-dir=')) options.dir = arg.slice('--fixtures-dir='.length);
+  }
+  const config = configureFixtures(options);
+  if (config.mode !== 'off') console.log(`Fixtures: ${config.mode} (${config.dir})`);
+  return config;
+}
+
+// <host>/<readable slug>-<hash>: stable per URL and still browsable by hand
+export function fixturePathFor(url, dir = fixturesDir) {
+  const u = new URL(url);
+  const hash = crypto.createHash('sha1').update(u.toString()).digest('hex').slice(0, 10);
+  const slug = decodeURIComponent(`${u.pathname}${u.search}`)
+    .replace(/[^a-zA-Z0-9._-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(-80) || 'index';
+  return path.join(dir, u.host.replace(/[^a-zA-Z0-9.-]+/g, '_'), `${slug}-${hash}`);
+}
+
+async function readFixture(url) {
+  const base = fixturePathFor(url);
+  let meta;
+  try {
+    meta = JSON.parse(await fs.readFile(`${base}.json`, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const body = await fs.readFile(`${base}.body`);
+  return { meta, body };
+}
+
+async function writeFixture(url, response, body) {
+  const base = fixturePathFor(url);
+  await fs.mkdir(path.dirname(base), { recursive: true });
+  await fs.writeFile(`${base}.body`, body);
+  const meta = {
+    url,
+    status: response.status,
+    headers: { ...response.headers },
+    size: body.length,
+    recordedAt: new Date().toISOString()
+  };
+  await fs.writeFile(`${base}.json`, `${JSON.stringify(meta, null, 2)}\n`);
+}
+
+function missingFixture(url) {
+  const error = new Error(`No fixture recorded for ${url}`);
+  error.code = 'EFIXTURE';
+  return error;
+}
+
+function toBody(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  return Buffer.from(JSON.stringify(data), 'utf8');
+}
+
+// Drop-in for axios.get(url, config); the transport under httpClient.js
+export async function fixtureGet(url, config = {}) {
+  if (fixtureMode === 'replay') {
+    const fixture = await readFixture(url);
+    if (!fixture) throw missingFixture(url);
+    const binary = config.responseType === 'arraybuffer';
+    return {
+      status: fixture.meta.status,
+      headers: fixture.meta.headers || {},
+      data: binary ? fixture.body : fixture.body.toString('utf8'),
+      config,
+      fromFixture: true
+    };
+  }
+
+  const response = await axios.get(url, config);
+  if (fixtureMode === 'record') {
+    await writeFixture(url, response, toBody(response.data));
+  }
+  return response;
+}
+
+// Drop-in for axios.head(url, config); replays the headers of the recorded GET
+export async function fixtureHead(url, config = {}) {
+  if (fixtureMode === 'replay') {
+    const fixture = await readFixture(url);
+    if (!fixture) throw missingFixture(url);
+    return {
+      status: fixture.meta.status,
+      headers: { ...(fixture.meta.headers || {}), 'content-length': String(fixture.body.length) },
+      data: '',
+      config,
+      fromFixture: true
+    };
+  }
+  return axios.head(url, config);
+}
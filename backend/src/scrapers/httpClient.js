@@ -0,0 +1,249 @@
+import { fixtureGet, fixtureHead, getFixtureConfig } from './fixtures.js';
+import { createPool } from './pool.js';
+import { ALLOW_ALL, DISALLOW_ALL, isPathAllowed, parseRobotsTxt } from './robots.js';
+
+// Shared HTTP client for everything the scraper fetches (pages and images).
+//   - robots.txt is read once per host and honoured, including Crawl-delay
+//   - page requests to one host are spaced at least `minIntervalMs` apart,
+//     image requests (`kind: 'image'`) `imageIntervalMs` apart, and at most
+//     `maxConcurrentPerHost` requests of either kind are in flight at once
+//   - network errors, 429 and 5xx are retried with exponential backoff
+//     (Retry-After is respected)
+//   - an honest User-Agent identifies the tool
+//   - `validators` ({ etag, lastModified }) turn a GET into a conditional
+//     request; a 304 comes back as { notModified: true }
+// Configure with SCRAPER_USER_AGENT, SCRAPER_CONTACT, SCRAPER_RATE_LIMIT_MS,
+// SCRAPER_IMAGE_RATE_LIMIT_MS, SCRAPER_CONCURRENCY, SCRAPER_MAX_RETRIES and SCRAPER_ROBOTS=off, or
+// configureHttpClient().
+// Replayed fixtures skip all of this; nothing goes over the network then.
+const USER_AGENT_PRODUCT = 'mp-pitstop/1.0';
+export const DEFAULT_USER_AGENT = `${USER_AGENT_PRODUCT} (personal parts tracker)`;
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const ROBOTS_RETRY_TTL_MS = 5 * 60 * 1000;
+const MAX_BACKOFF_MS = 30000;
+
+function envInt(name, fallback) {
+  const parsed = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function defaultUserAgent() {
+  if (process.env.SCRAPER_USER_AGENT) return process.env.SCRAPER_USER_AGENT;
+  const contact = String(process.env.SCRAPER_CONTACT || '').trim();
+  return contact ? `${USER_AGENT_PRODUCT} (personal parts tracker; +${contact})` : DEFAULT_USER_AGENT;
+}
+
+const config = {
+  userAgent: defaultUserAgent(),
+  // A gap between requests caps a host at 1000 / interval requests per second
+  // whatever the concurrency, so it only applies to the few, server-rendered
+  // pages. Images are static files; they are bounded by the concurrency alone
+  // unless imageIntervalMs is set. A robots.txt Crawl-delay spaces both.
+  minIntervalMs: envInt('SCRAPER_RATE_LIMIT_MS', 1000),
+  imageIntervalMs: envInt('SCRAPER_IMAGE_RATE_LIMIT_MS', 0),
+  maxConcurrentPerHost: Math.max(1, envInt('SCRAPER_CONCURRENCY', 4)),
+  maxRetries: envInt('SCRAPER_MAX_RETRIES', 3),
+  backoffMs: 1000,
+  timeoutMs: 10000,
+  respectRobots: String(process.env.SCRAPER_ROBOTS || '').toLowerCase() !== 'off'
+};
+
+// host -> { nextAt, pool, robots, robotsExpiresAt, robotsLoading }
+const hosts = new Map();
+
+export function configureHttpClient(options = {}) {
+  for (const key of Object.keys(config)) {
+    if (options[key] !== undefined) config[key] = options[key];
+  }
+  hosts.clear();
+  return { ...config };
+}
+
+export function getHttpClientConfig() {
+  return { ...config };
+}
+
+function hostState(url) {
+  const host = new URL(url).host;
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      nextAt: 0,
+      pool: createPool(config.maxConcurrentPerHost),
+      robots: null,
+      robotsExpiresAt: 0,
+      robotsLoading: null
+    });
+  }
+  return hosts.get(host);
+}
+
+function abortError() {
+  return new Error('Scrape aborted');
+}
+
+function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (!ms || ms <= 0) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+  });
+}
+
+// Reserves the next slot for the host before waiting, so concurrent callers
+// queue up behind each other instead of all firing when the gap elapses.
+async function waitForSlot(state, signal, kind = 'page') {
+  const crawlDelayMs = (state.robots?.crawlDelay || 0) * 1000;
+  const interval = Math.max(kind === 'image' ? config.imageIntervalMs : config.minIntervalMs, crawlDelayMs);
+  const now = Date.now();
+  const startAt = Math.max(now, state.nextAt);
+  state.nextAt = startAt + interval;
+  await sleep(startAt - now, signal);
+}
+
+async function loadRobots(url, state, signal) {
+  if (state.robots && state.robotsExpiresAt > Date.now()) return state.robots;
+  if (state.robotsLoading) return state.robotsLoading;
+
+  const robotsUrl = new URL('/robots.txt', url).toString();
+  state.robotsLoading = (async () => {
+    let robots;
+    let ttl = ROBOTS_TTL_MS;
+    try {
+      await waitForSlot(state, signal);
+      const response = await fixtureGet(robotsUrl, {
+        timeout: config.timeoutMs,
+        signal,
+        headers: { 'User-Agent': config.userAgent },
+        validateStatus: () => true
+      });
+      if (response.status >= 200 && response.status < 300) {
+        robots = parseRobotsTxt(String(response.data || ''), config.userAgent);
+      } else if (response.status >= 400 && response.status < 500) {
+        // No robots.txt (or not readable by anyone): everything is allowed
+        robots = ALLOW_ALL;
+      } else {
+        robots = DISALLOW_ALL;
+        ttl = ROBOTS_RETRY_TTL_MS;
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Unreachable robots.txt means "assume everything is disallowed" for a while
+      console.error(`Could not read ${robotsUrl}: ${error.message}`);
+      robots = DISALLOW_ALL;
+      ttl = ROBOTS_RETRY_TTL_MS;
+    }
+    state.robots = robots;
+    state.robotsExpiresAt = Date.now() + ttl;
+    return robots;
+  })();
+
+  try {
+    return await state.robotsLoading;
+  } finally {
+    state.robotsLoading = null;
+  }
+}
+
+export async function isAllowedByRobots(url, signal) {
+  if (!config.respectRobots || getFixtureConfig().mode === 'replay') return true;
+  const u = new URL(url);
+  const robots = await loadRobots(url, hostState(url), signal);
+  return isPathAllowed(robots, `${u.pathname}${u.search}`);
+}
+
+function retryAfterMs(headers) {
+  const raw = headers?.['retry-after'];
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUS.has(error.response.status);
+  return RETRYABLE_CODES.has(error.code) || /timeout/i.test(error.message || '');
+}
+
+function backoffDelay(attempt, error) {
+  const hinted = retryAfterMs(error.response?.headers);
+  if (hinted !== null) return Math.min(hinted, MAX_BACKOFF_MS);
+  const base = config.backoffMs * 2 ** attempt;
+  const jitter = base * 0.2 * (Math.random() * 2 - 1);
+  return Math.min(Math.round(base + jitter), MAX_BACKOFF_MS);
+}
+
+export function validatorsFrom(headers = {}) {
+  return {
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null
+  };
+}
+
+async function request(method, url, options = {}) {
+  const { signal, validators, headers, kind, ...rest } = options;
+  const send = method === 'head' ? fixtureHead : fixtureGet;
+  const fixtureMode = getFixtureConfig().mode;
+
+  if (fixtureMode === 'replay') {
+    const response = await send(url, { ...rest, signal });
+    return { ...response, notModified: response.status === 304, validators: validatorsFrom(response.headers) };
+  }
+
+  if (!(await isAllowedByRobots(url, signal))) {
+    const error = new Error(`Blocked by robots.txt: ${url}`);
+    error.code = 'EROBOTS';
+    throw error;
+  }
+
+  // Recording wants full bodies, so fixtures never hold a bare 304
+  const conditional = method === 'get' && fixtureMode === 'off' && Boolean(validators?.etag || validators?.lastModified);
+  const requestHeaders = { 'User-Agent': config.userAgent, ...headers };
+  if (conditional && validators.etag) requestHeaders['If-None-Match'] = validators.etag;
+  if (conditional && validators.lastModified) requestHeaders['If-Modified-Since'] = validators.lastModified;
+
+  const state = hostState(url);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // Backoff waits happen outside the pool so they do not hold a slot
+      const response = await state.pool.run(async () => {
+        await waitForSlot(state, signal, kind);
+        return send(url, {
+          timeout: config.timeoutMs,
+          maxRedirects: 5,
+          ...rest,
+          signal,
+          headers: requestHeaders,
+          validateStatus: (status) => (status >= 200 && status < 300) || (conditional && status === 304)
+        });
+      }, signal);
+      return { ...response, notModified: response.status === 304, validators: validatorsFrom(response.headers) };
+    } catch (error) {
+      if (signal?.aborted) throw abortError();
+      if (attempt >= config.maxRetries || !isRetryable(error)) throw error;
+      const delay = backoffDelay(attempt, error);
+      console.log(`      Retrying ${url} in ${delay} ms (${error.response?.status || error.code || error.message})`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// axios-style GET; extra options: signal, validators, kind ('page' or 'image')
+export function httpGet(url, options = {}) {
+  return request('get', url, options);
+}
+
+export function httpHead(url, options = {}) {
+  return request('head', url, options);
+}
@@ -1,146 +1,96 @@
-import axios from 'axios';
+import { httpGet } from './httpClient.js';
+import {
+  IMAGES_DIR,
+  getImageDownload,
+  imageAbsPath,
+  imageExtension,
+  imageFileExists,
+  saveImageDownload,
+  setBlobDimensions,
+  storeBlob,
+  touchImageDownload
+} from './imageStore.js';
+import { generateImageVariants } from './imageVariants.js';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const IMAGES_DIR = path.join(__dirname, '../../data/images');
-
-function parseContentLength(headers) {
-  const raw = headers?.['content-length'];
-  if (!raw) return null;
-  const parsed = Number.parseInt(raw, 10);
-  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
-}
-
-async function getRemoteImageSize(imageUrl) {
-  try {
-    const response = await axios.head(imageUrl, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      maxRedirects: 5
-    });
-    return parseContentLength(response.headers);
-  } catch (error) {
-    return null;
-  }
-}
-
-async function getLocalFileSize(filepath) {
+// Downloads an image into the content-addressed store (imageStore.js).
+// "Unchanged" means the same SHA-256 as the blob this URL gave last time; a
+// conditional GET (ETag / Last-Modified) avoids the transfer when the server
+// supports it. Resized variants are generated along with the blob.
+// Returns { filename, filepath, size, hash, width, height, status,
+// previous_filepath } where status is downloaded_new, downloaded_updated or
+// skipped_unchanged.
+// options: { signal } - an abort is rethrown, any other failure returns null
+export async function downloadImage(imageUrl, options = {}) {
+  const signal = options?.signal;
   try {
-    const stat = await fs.stat(filepath);
-    return stat.isFile() ? stat.size : null;
-  } catch (error) {
-    return null;
-  }
-}
-
-function getLocalImagePathFromUrl(imageUrl) {
-  try {
-    const u = new URL(imageUrl);
-    const normalized = decodeURIComponent(u.pathname).replace(/\\/g, '/');
-    const marker = '/images/';
-    const idx = normalized.toLowerCase().indexOf(marker);
-    const relative = idx >= 0 ? normalized.slice(idx + marker.length) : normalized.replace(/^\/+/, '');
-    const safeRelative = relative
-      .split('/')
-      .filter(Boolean)
-      .filter((seg) => seg !== '.' && seg !== '..')
-      .join('/');
-
-    if (!safeRelative) return null;
-    return safeRelative;
-  } catch (error) {
-    return null;
-  }
-}
+    const previous = await getImageDownload(imageUrl);
+    const previousOnDisk = Boolean(previous?.path) && await imageFileExists(imageAbsPath(previous.path));
 
-export async function downloadImage(imageUrl) {
-  try {
-    const relative = getLocalImagePathFromUrl(imageUrl);
-    if (!relative) {
-      throw new Error(`Unable to derive local path from URL: ${imageUrl}`);
-    }
-
-    // Ensure images directory exists
-    try {
-      await fs.mkdir(IMAGES_DIR, { recursive: true });
-    } catch (err) {
-      // Directory might already exist
-    }
-
-    const filepath = path.join(IMAGES_DIR, relative);
-    const dir = path.dirname(filepath);
-    await fs.mkdir(dir, { recursive: true });
-
-    const [localSize, remoteSize] = await Promise.all([
-      getLocalFileSize(filepath),
-      getRemoteImageSize(imageUrl)
-    ]);
-
-    if (localSize !== null && remoteSize !== null && localSize === remoteSize) {
-      const displayPath = `images/${relative.replace(/\\/g, '/')}`;
-      return {
-        filename: path.basename(relative),
-        filepath: displayPath,
-        size: localSize,
-        status: 'skipped_unchanged'
-      };
-    }
-
-    const response = await axios.get(imageUrl, {
+    const response = await httpGet(imageUrl, {
       responseType: 'arraybuffer',
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
+      kind: 'image',
+      signal,
+      validators: previousOnDisk ? { etag: previous.etag, lastModified: previous.last_modified } : null
     });
 
-    if (localSize !== null && localSize === response.data.length) {
-      const displayPath = `images/${relative.replace(/\\/g, '/')}`;
+    if (response.notModified) {
+      await touchImageDownload(imageUrl);
+      const dimensions = await prepareVariants(previous.blob_hash, previous.path, previous);
       return {
-        filename: path.basename(relative),
-        filepath: displayPath,
-        size: localSize,
+        filename: path.basename(previous.path),
+        filepath: previous.path,
+        size: previous.size,
+        hash: previous.blob_hash,
+        ...dimensions,
         status: 'skipped_unchanged'
       };
     }
 
-    let previousFilepath = null;
-    if (localSize !== null) {
-      const parsed = path.parse(relative);
-      const historyRelative = path.join(
-        '_history',
-        parsed.dir,
-        `${parsed.name}__${Date.now()}${parsed.ext}`
-      );
-      const historyAbs = path.join(IMAGES_DIR, historyRelative);
-      await fs.mkdir(path.dirname(historyAbs), { recursive: true });
-      await fs.copyFile(filepath, historyAbs);
-      previousFilepath = `images/${historyRelative.replace(/\\/g, '/')}`;
-    }
+    const blob = await storeBlob(Buffer.from(response.data), {
+      ext: imageExtension(imageUrl),
+      contentType: response.headers?.['content-type'] || null
+    });
+    await saveImageDownload(imageUrl, blob.hash, response.validators);
+    const dimensions = await prepareVariants(blob.hash, blob.path, blob, { force: blob.created });
 
-    await fs.writeFile(filepath, response.data);
-    const displayPath = `images/${relative.replace(/\\/g, '/')}`;
+    let status = 'downloaded_new';
+    if (previous?.blob_hash === blob.hash) status = 'skipped_unchanged';
+    else if (previous?.blob_hash) status = 'downloaded_updated';
 
     return {
-      filename: path.basename(relative),
-      filepath: displayPath,
-      size: response.data.length,
-      status: localSize === null ? 'downloaded_new' : 'downloaded_updated',
-      previous_filepath: previousFilepath
+      filename: path.basename(blob.path),
+      filepath: blob.path,
+      size: blob.size,
+      hash: blob.hash,
+      ...dimensions,
+      status,
+      previous_filepath: status === 'downloaded_updated' ? previous.path : null
     };
-
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error(`Failed to download image from ${imageUrl}:`, error.message);
     return null;
   }
 }
 
+// Generates the missing variants of a blob and records its dimensions the
+// first time. A blob sharp cannot read is still stored; it just has no
+// variants or dimensions.
+async function prepareVariants(hash, imagePath, known, { force = false } = {}) {
+  try {
+    const dimensions = await generateImageVariants(imagePath, { force });
+    if (dimensions.width !== known.width || dimensions.height !== known.height) {
+      await setBlobDimensions(hash, dimensions);
+    }
+    return dimensions;
+  } catch (error) {
+    console.error(`Failed to create variants of ${imagePath}:`, error.message);
+    return { width: known.width ?? null, height: known.height ?? null };
+  }
+}
+
 export async function ensureImagesDirectory() {
   try {
     await fs.mkdir(IMAGES_DIR, { recursive: true });
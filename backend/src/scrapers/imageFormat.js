@@ -0,0 +1,36 @@
+// Format sniffing for stored image files, without decoding them. Used by the
+// integrity check (imageIntegrity.js) to spot files that are not images at
+// all or were cut short while being written.
+
+const JPEG_SOS = Buffer.from([0xff, 0xda]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+// 'jpeg', 'png', 'gif', 'webp' or null
+export function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+// Whether the file reaches the end marker of its format. Bytes appended after
+// the marker (some cameras add trailers) are fine.
+export function isImageComplete(buffer, format = detectImageFormat(buffer)) {
+  switch (format) {
+    case 'jpeg':
+      // Entropy-coded data never contains FF D9, so the end of image marker
+      // must follow the last start of scan (an EXIF thumbnail has its own
+      // pair earlier in the file)
+      return buffer.lastIndexOf(JPEG_EOI) > buffer.lastIndexOf(JPEG_SOS);
+    case 'png':
+      return buffer.lastIndexOf('IEND', undefined, 'ascii') > 8;
+    case 'gif':
+      return buffer.includes(0x3b, 13);
+    case 'webp':
+      return buffer.readUInt32LE(4) + 8 <= buffer.length;
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import { db } from '../db/database.js';
+import { downloadImage } from './imageDownloader.js';
+import { detectImageFormat, isImageComplete } from './imageFormat.js';
+import { hashImage, imageAbsPath } from './imageStore.js';
+import { toDbLocalTimestamp } from './scraper.js';
+
+// Integrity check of the images parts point at: part_images rows and the
+// primary parts.image_path. Each file must exist, look like a complete image
+// and, when it is a blob, still have the hash it is stored under.
+//
+// Problems:
+//   not_downloaded - the row has no file yet (e.g. a test mode scrape)
+//   missing        - the file is gone
+//   invalid        - the file is not an image
+//   incomplete     - the image is cut short
+//   hash_mismatch  - the blob's content no longer matches its hash
+
+export const IMAGE_PROBLEMS = ['not_downloaded', 'missing', 'invalid', 'incomplete', 'hash_mismatch'];
+
+async function inspectFile(imagePath, expectedHash) {
+  const abs = imageAbsPath(imagePath);
+  if (!abs) return 'missing';
+  let data;
+  try {
+    data = await fs.readFile(abs);
+  } catch {
+    return 'missing';
+  }
+  const format = detectImageFormat(data);
+  if (!format) return 'invalid';
+  if (!isImageComplete(data, format)) return 'incomplete';
+  if (expectedHash && hashImage(data) !== expectedHash) return 'hash_mismatch';
+  return null;
+}
+
+function emptyReport(repair) {
+  return {
+    repair,
+    checked: 0,
+    ok: 0,
+    problems: Object.fromEntries(IMAGE_PROBLEMS.map((p) => [p, 0])),
+    repaired: 0,
+    markedBroken: 0,
+    unrepaired: 0,
+    items: []
+  };
+}
+
+// Checks every part image and, with repair, downloads the broken ones again.
+// options:
+//   repair   - fix what can be fixed; images that cannot be downloaded (or
+//              every broken one when download is false) get broken_at set
+//   download - re-download broken images during a repair (default true)
+//   signal   - AbortSignal for the downloads
+// Returns a report with per-problem counts and one item per broken image.
+export async function checkImageIntegrity(options = {}) {
+  const repair = options.repair === true;
+  const download = repair && options.download !== false;
+  const report = emptyReport(repair);
+  const now = toDbLocalTimestamp();
+
+  const blobHashes = new Map(
+    (await db.all('SELECT hash, path FROM image_blobs')).map((b) => [b.path, b.hash])
+  );
+  // Parts often share an image; each file is read and each URL downloaded once
+  const fileResults = new Map();
+  const inspect = (imagePath, expectedHash) => {
+    const key = `${imagePath}\n${expectedHash || ''}`;
+    if (!fileResults.has(key)) fileResults.set(key, inspectFile(imagePath, expectedHash));
+    return fileResults.get(key);
+  };
+  const downloads = new Map();
+  const redownload = async (imageUrl, imagePath, problem) => {
+    if (!downloads.has(imageUrl)) {
+      downloads.set(imageUrl, (async () => {
+        // A damaged blob has to go first or storing the download would keep it
+        if (problem !== 'missing' && blobHashes.has(imagePath)) {
+          await fs.rm(imageAbsPath(imagePath), { force: true });
+        }
+        return downloadImage(imageUrl, { signal: options.signal });
+      })());
+    }
+    return downloads.get(imageUrl);
+  };
+
+  const rows = await db.all(
+    `SELECT pi.id, pi.part_id, pi.image_url, pi.image_path, pi.blob_hash, pi.broken_at
+     FROM part_images pi
+     ORDER BY pi.part_id ASC, pi.sort_order ASC, pi.id ASC`
+  );
+  const checkedPaths = new Set();
+  for (const row of rows) {
+    report.checked += 1;
+    if (row.image_path) checkedPaths.add(row.image_path);
+    const problem = row.image_path
+      ? await inspect(row.image_path, row.blob_hash || blobHashes.get(row.image_path))
+      : 'not_downloaded';
+
+    if (!problem) {
+      report.ok += 1;
+      if (repair && row.broken_at) {
+        await db.run('UPDATE part_images SET broken_at = NULL, broken_reason = NULL WHERE id = ?', [row.id]);
+      }
+      continue;
+    }
+
+    report.problems[problem] += 1;
+    const item = { partId: row.part_id, imageUrl: row.image_url, imagePath: row.image_path, problem, action: null };
+    report.items.push(item);
+    if (!repair) continue;
+
+    const dl = download && row.image_url ? await redownload(row.image_url, row.image_path, problem) : null;
+    if (dl?.filepath) {
+      await db.run(
+        `UPDATE part_images
+         SET image_path = ?, blob_hash = ?, width = ?, height = ?, broken_at = NULL, broken_reason = NULL
+         WHERE id = ?`,
+        [dl.filepath, dl.hash || null, dl.width || null, dl.height || null, row.id]
+      );
+      // The primary image of the part is the row for parts.image_url
+      await db.run('UPDATE parts SET image_path = ? WHERE id = ? AND image_url = ?', [dl.filepath, row.part_id, row.image_url]);
+      checkedPaths.add(dl.filepath);
+      item.action = 'repaired';
+      item.newPath = dl.filepath;
+      report.repaired += 1;
+    } else if (problem === 'not_downloaded' && !download) {
+      // Nothing is wrong with a file that was never fetched
+      report.unrepaired += 1;
+    } else {
+      await db.run('UPDATE part_images SET broken_at = ?, broken_reason = ? WHERE id = ?', [now, problem, row.id]);
+      item.action = 'marked_broken';
+      report.markedBroken += 1;
+    }
+  }
+
+  // Primary images of parts scraped before part_images existed
+  const legacyParts = await db.all(
+    `SELECT id, image_url, image_path FROM parts
+     WHERE image_path IS NOT NULL
+     ORDER BY id ASC`
+  );
+  for (const part of legacyParts) {
+    if (checkedPaths.has(part.image_path)) continue;
+    report.checked += 1;
+    const problem = await inspect(part.image_path, blobHashes.get(part.image_path));
+    if (!problem) {
+      report.ok += 1;
+      continue;
+    }
+
+    report.problems[problem] += 1;
+    const item = { partId: part.id, imageUrl: part.image_url, imagePath: part.image_path, problem, action: null };
+    report.items.push(item);
+    if (!repair) continue;
+
+    const dl = download && part.image_url ? await redownload(part.image_url, part.image_path, problem) : null;
+    if (dl?.filepath) {
+      await db.run('UPDATE parts SET image_path = ? WHERE id = ?', [dl.filepath, part.id]);
+      item.action = 'repaired';
+      item.newPath = dl.filepath;
+      report.repaired += 1;
+    } else {
+      // parts has no broken flag; the item stays in the report
+      report.unrepaired += 1;
+    }
+  }
+
+  return report;
+}
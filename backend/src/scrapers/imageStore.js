@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { db } from '../db/database.js';
+import { sourcePathOfVariant, variantPathsOf } from './imageVariants.js';
+import { toDbLocalTimestamp } from './scraper.js';
+
+// Content-addressed image storage. Every distinct image is written once to
+// data/images/blobs/<first two hex chars>/<sha256><ext> and recorded in
+// image_blobs; part_images.blob_hash links part images to their blob, and
+// image_downloads remembers which blob each remote URL gave last time.
+// Older versions stay on disk for as long as parts_history points at them;
+// collectImageGarbage() removes whatever nothing references any more,
+// including the resized variants (imageVariants.js) of removed images.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../../data');
+export const IMAGES_DIR = process.env.IMAGES_DIR ? path.resolve(process.env.IMAGES_DIR) : path.join(DATA_DIR, 'images');
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp']);
+// Files younger than this may belong to a scrape that has downloaded them
+// but not linked them to a part yet, so a full sweep leaves them alone
+const GC_MIN_AGE_MS = 60 * 60 * 1000;
+
+export function hashImage(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+export function imageExtension(imageUrl) {
+  try {
+    const ext = path.extname(new URL(imageUrl).pathname).toLowerCase();
+    return IMAGE_EXTENSIONS.has(ext) ? ext : '';
+  } catch {
+    return '';
+  }
+}
+
+function blobPathFor(hash, ext) {
+  return `images/blobs/${hash.slice(0, 2)}/${hash}${ext}`;
+}
+
+// "images/..." path as stored in the db -> absolute path inside data/images
+export function imageAbsPath(imagePath) {
+  const rel = String(imagePath || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  if (!rel.startsWith('images/')) return null;
+  const abs = path.join(IMAGES_DIR, rel.slice('images/'.length));
+  if (!abs.startsWith(IMAGES_DIR + path.sep)) return null;
+  return abs;
+}
+
+export async function imageFileExists(abs) {
+  try {
+    return (await fs.stat(abs)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Stores `data` unless a blob with the same hash exists (a missing file is
+// written again). Returns { hash, path, size, width, height, created };
+// width/height are null until setBlobDimensions() has run for the blob.
+export async function storeBlob(data, { ext = '', contentType = null } = {}) {
+  const hash = hashImage(data);
+  const existing = await db.get('SELECT hash, path, size, width, height FROM image_blobs WHERE hash = ?', [hash]);
+  const blobPath = existing?.path || blobPathFor(hash, ext);
+  const abs = imageAbsPath(blobPath);
+
+  let created = false;
+  if (!(await imageFileExists(abs))) {
+    await fs.mkdir(path.dirname(abs), { recursive: true });
+    // Write under a unique temporary name first so a crash never leaves a
+    // partial blob and parallel downloads of the same image do not collide
+    const tmp = `${abs}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, abs);
+    created = true;
+  }
+  if (!existing) {
+    await db.run(
+      'INSERT OR IGNORE INTO image_blobs (hash, path, size, content_type, created_at) VALUES (?, ?, ?, ?, ?)',
+      [hash, blobPath, data.length, contentType, toDbLocalTimestamp()]
+    );
+  }
+  return {
+    hash,
+    path: blobPath,
+    size: data.length,
+    width: existing?.width ?? null,
+    height: existing?.height ?? null,
+    created
+  };
+}
+
+export async function setBlobDimensions(hash, { width, height }) {
+  await db.run('UPDATE image_blobs SET width = ?, height = ? WHERE hash = ?', [width, height, hash]);
+}
+
+// Previous download of `url` with its blob, or null
+export async function getImageDownload(url) {
+  const row = await db.get(
+    `SELECT d.url, d.blob_hash, d.etag, d.last_modified, b.path, b.size, b.width, b.height
+     FROM image_downloads d
+     LEFT JOIN image_blobs b ON b.hash = d.blob_hash
+     WHERE d.url = ?`,
+    [url]
+  );
+  return row || null;
+}
+
+export async function saveImageDownload(url, blobHash, validators = {}) {
+  await db.run(
+    `INSERT INTO image_downloads (url, blob_hash, etag, last_modified, checked_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(url) DO UPDATE SET
+       blob_hash = excluded.blob_hash,
+       etag = excluded.etag,
+       last_modified = excluded.last_modified,
+       checked_at = excluded.checked_at`,
+    [url, blobHash, validators.etag || null, validators.lastModified || null, toDbLocalTimestamp()]
+  );
+}
+
+export async function touchImageDownload(url) {
+  await db.run('UPDATE image_downloads SET checked_at = ? WHERE url = ?', [toDbLocalTimestamp(), url]);
+}
+
+function toImagePath(abs) {
+  return `images/${path.relative(IMAGES_DIR, abs).split(path.sep).join('/')}`;
+}
+
+async function listImageFiles(dir = IMAGES_DIR) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const abs = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listImageFiles(abs)));
+    else if (entry.isFile()) files.push(abs);
+  }
+  return files;
+}
+
+async function removeEmptyDirs(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) await removeEmptyDirs(path.join(dir, entry.name));
+  }
+  if (dir !== IMAGES_DIR && (await fs.readdir(dir)).length === 0) {
+    await fs.rmdir(dir).catch(() => {});
+  }
+}
+
+// Paths (and blob hashes) still in use: current part images, the older
+// versions parts_history points at and the images of trashed parts.
+async function imageReferences() {
+  const rows = await db.all(`
+    SELECT image_path FROM parts WHERE image_path IS NOT NULL
+    UNION SELECT image_path FROM part_images WHERE image_path IS NOT NULL
+    UNION SELECT image_path FROM parts_history WHERE image_path IS NOT NULL
+    UNION SELECT j.value FROM trash t, json_each(t.image_paths) j
+  `);
+  const hashes = await db.all('SELECT DISTINCT blob_hash FROM part_images WHERE blob_hash IS NOT NULL');
+  return {
+    paths: new Set(rows.map((r) => String(r.image_path).replace(/\\/g, '/').replace(/^\/+/, ''))),
+    hashes: new Set(hashes.map((r) => r.blob_hash))
+  };
+}
+
+// Removes image files and blob rows nothing references.
+// options:
+//   candidates - only consider these image paths (e.g. the images of parts
+//                that were just deleted); default is a sweep of data/images
+//   dryRun     - report what would go without deleting anything
+//   minAgeMs   - a sweep skips files modified more recently than this
+// Returns { blobsRemoved, filesRemoved, bytesFreed, files, dryRun }.
+export async function collectImageGarbage(options = {}) {
+  const dryRun = options.dryRun === true;
+  const minAgeMs = Number.isFinite(options.minAgeMs) ? options.minAgeMs : GC_MIN_AGE_MS;
+  const refs = await imageReferences();
+
+  const blobs = await db.all('SELECT hash, path FROM image_blobs');
+  const unusedBlobs = blobs.filter((b) => !refs.hashes.has(b.hash) && !refs.paths.has(b.path));
+  const unusedHashes = new Set(unusedBlobs.map((b) => b.hash));
+  const keep = new Set(refs.paths);
+  for (const blob of blobs) {
+    if (!unusedHashes.has(blob.hash)) keep.add(blob.path);
+  }
+
+  const sweep = !Array.isArray(options.candidates);
+  const candidateFiles = new Set(sweep
+    ? await listImageFiles()
+    : options.candidates.flatMap((p) => [p, ...variantPathsOf(p)]).map(imageAbsPath).filter(Boolean));
+
+  const now = Date.now();
+  const removed = [];
+  let bytesFreed = 0;
+  for (const abs of candidateFiles) {
+    const imagePath = toImagePath(abs);
+    if (keep.has(sourcePathOfVariant(imagePath) || imagePath)) continue;
+    let stat;
+    try {
+      stat = await fs.stat(abs);
+    } catch {
+      continue;
+    }
+    if (!stat.isFile()) continue;
+    if (sweep && now - stat.mtimeMs < minAgeMs) continue;
+    removed.push(imagePath);
+    bytesFreed += stat.size;
+    if (!dryRun) await fs.rm(abs, { force: true });
+  }
+
+  // Blob rows go with their file; a sweep also drops rows whose file is gone
+  const removedPaths = new Set(removed);
+  const blobsToDrop = unusedBlobs.filter((b) => (
+    removedPaths.has(b.path) || (sweep && !candidateFiles.has(imageAbsPath(b.path)))
+  ));
+  if (!dryRun) {
+    await db.transaction(async () => {
+      for (const blob of blobsToDrop) {
+        await db.run('DELETE FROM image_downloads WHERE blob_hash = ?', [blob.hash]);
+        await db.run('DELETE FROM image_blobs WHERE hash = ?', [blob.hash]);
+      }
+    });
+    if (removed.length > 0) await removeEmptyDirs(IMAGES_DIR);
+  }
+
+  return { blobsRemoved: blobsToDrop.length, filesRemoved: removed.length, bytesFreed, files: removed, dryRun };
+}
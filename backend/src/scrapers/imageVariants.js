@@ -0,0 +1,105 @@
+import sharp from 'sharp';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { imageAbsPath } from './imageStore.js';
+
+// Resized copies of stored images for the feed and the viewer. Every size is
+// written twice: WebP, and JPEG (PNG for PNG sources, to keep transparency).
+// Variants live under data/images/_variants/<size>/ next to the path of the
+// image they were made from, e.g.
+//   images/blobs/ab/<hash>.jpg -> images/_variants/thumb/blobs/ab/<hash>.jpg.webp
+// They are generated when an image is downloaded and, for older images, on
+// first request (routes/images.js).
+
+// Longest side in pixels; images are never enlarged
+export const IMAGE_SIZES = {
+  thumb: 320,
+  medium: 800,
+  large: 1600
+};
+
+export const VARIANTS_PREFIX = 'images/_variants/';
+
+function fallbackFormat(imagePath) {
+  return path.extname(imagePath).toLowerCase() === '.png' ? 'png' : 'jpg';
+}
+
+// "images/..." path of one variant; format is 'webp' or 'fallback'
+export function variantPathFor(imagePath, size, format) {
+  const rel = String(imagePath || '').replace(/\\/g, '/').replace(/^\/+/, '').replace(/^images\//, '');
+  const ext = format === 'webp' ? 'webp' : fallbackFormat(imagePath);
+  return `${VARIANTS_PREFIX}${size}/${rel}.${ext}`;
+}
+
+// Every variant path of an image, e.g. to delete them along with it
+export function variantPathsOf(imagePath) {
+  return Object.keys(IMAGE_SIZES).flatMap((size) => [
+    variantPathFor(imagePath, size, 'webp'),
+    variantPathFor(imagePath, size, 'fallback')
+  ]);
+}
+
+// Source image path a variant was made from, or null for other paths
+export function sourcePathOfVariant(imagePath) {
+  const rel = String(imagePath || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  if (!rel.startsWith(VARIANTS_PREFIX)) return null;
+  const match = rel.slice(VARIANTS_PREFIX.length).match(/^[^/]+\/(.+)\.(webp|jpg|png)$/);
+  return match ? `images/${match[1]}` : null;
+}
+
+async function writeVariant(pipeline, abs) {
+  await fs.mkdir(path.dirname(abs), { recursive: true });
+  const tmp = `${abs}.${crypto.randomUUID()}.tmp`;
+  await pipeline.toFile(tmp);
+  await fs.rename(tmp, abs);
+}
+
+async function renderVariant(sourceAbs, imagePath, size, format) {
+  const max = IMAGE_SIZES[size];
+  const abs = imageAbsPath(variantPathFor(imagePath, size, format));
+  let pipeline = sharp(sourceAbs, { failOn: 'none' })
+    .rotate()
+    .resize({ width: max, height: max, fit: 'inside', withoutEnlargement: true });
+  if (format === 'webp') pipeline = pipeline.webp({ quality: 80 });
+  else if (fallbackFormat(imagePath) === 'png') pipeline = pipeline.png();
+  else pipeline = pipeline.jpeg({ quality: 82, mozjpeg: true });
+  await writeVariant(pipeline, abs);
+  return abs;
+}
+
+// Size of the stored image as displayed (EXIF orientation applied)
+export async function readImageDimensions(imagePath) {
+  const meta = await sharp(imageAbsPath(imagePath), { failOn: 'none' }).metadata();
+  const rotated = meta.orientation >= 5;
+  const width = rotated ? meta.height : meta.width;
+  const height = rotated ? meta.width : meta.height;
+  return { width: width || null, height: height || null };
+}
+
+// Writes all variants of an image that are missing (or all with force) and
+// returns its dimensions.
+export async function generateImageVariants(imagePath, { force = false } = {}) {
+  const sourceAbs = imageAbsPath(imagePath);
+  if (!sourceAbs) throw new Error(`Not a stored image: ${imagePath}`);
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    for (const format of ['webp', 'fallback']) {
+      const abs = imageAbsPath(variantPathFor(imagePath, size, format));
+      if (!force && (await fs.stat(abs).catch(() => null))) continue;
+      await renderVariant(sourceAbs, imagePath, size, format);
+    }
+  }
+  return readImageDimensions(imagePath);
+}
+
+// Absolute path of one variant, rendering it first when it is missing or
+// older than its source. Returns null when the source does not exist.
+export async function ensureImageVariant(imagePath, size, format) {
+  const sourceAbs = imageAbsPath(imagePath);
+  const sourceStat = sourceAbs ? await fs.stat(sourceAbs).catch(() => null) : null;
+  if (!sourceStat?.isFile()) return null;
+  const abs = imageAbsPath(variantPathFor(imagePath, size, format));
+  const stat = await fs.stat(abs).catch(() => null);
+  if (stat && stat.mtimeMs >= sourceStat.mtimeMs) return abs;
+  return renderVariant(sourceAbs, imagePath, size, format);
+}
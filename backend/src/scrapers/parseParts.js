@@ -0,0 +1,43 @@
+import * as cheerio from 'cheerio';
+import { recordDuplicate, recordParsedParts } from './diagnostics.js';
+import { getSourceForUrl } from './sources/registry.js';
+
+// Pure part of scrapeParts: model page HTML in, part records out. No database
+// or network access, so it can run against stored pages (fixtures, golden
+// tests) and be compared across parser changes.
+//
+// `page` is an HTML string or an already loaded cheerio root. Parts with the
+// same part number (or name, when there is none) are merged into one record
+// with the union of their image URLs. Pass `options.diagnostics` (see
+// createParseDiagnostics) to collect skipped blocks and other oddities.
+export function parseParts(page, pageUrl, options = {}) {
+  const source = options.source || getSourceForUrl(pageUrl);
+  if (!source) {
+    throw new Error(`No source adapter for ${pageUrl}`);
+  }
+  const $ = typeof page === 'string' ? cheerio.load(page) : page;
+  const diagnostics = options.diagnostics || null;
+  const parts = source.parsePartBlocks($, pageUrl, diagnostics);
+
+  const uniquePartsMap = new Map();
+  for (const p of parts) {
+    const key = p.partNumber || p.name;
+    if (!uniquePartsMap.has(key)) {
+      uniquePartsMap.set(key, { ...p, imageUrls: [...new Set(p.imageUrls || (p.imageUrl ? [p.imageUrl] : []))] });
+      continue;
+    }
+    const current = uniquePartsMap.get(key);
+    recordDuplicate(diagnostics, {
+      key,
+      name: p.name,
+      partNumber: p.partNumber || null,
+      price: p.price,
+      keptPrice: current.price
+    });
+    current.imageUrls = [...new Set([...(current.imageUrls || []), ...(p.imageUrls || []), ...(p.imageUrl ? [p.imageUrl] : [])])];
+    if (!current.imageUrl && p.imageUrl) current.imageUrl = p.imageUrl;
+  }
+  const uniqueParts = Array.from(uniquePartsMap.values());
+  recordParsedParts(diagnostics, uniqueParts);
+  return uniqueParts;
+}
@@ -0,0 +1,58 @@
+// Small promise pool: at most `limit` tasks run at once, the rest wait in
+// FIFO order. A queued task whose signal is aborted never starts.
+export function createPool(limit) {
+  const size = Math.max(1, Number.parseInt(limit, 10) || 1);
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    while (active < size && queue.length > 0) {
+      const task = queue.shift();
+      if (task.signal?.aborted) {
+        task.reject(new Error('Scrape aborted'));
+        continue;
+      }
+      active += 1;
+      Promise.resolve()
+        .then(task.fn)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          active -= 1;
+          next();
+        });
+    }
+  };
+
+  return {
+    run(fn, signal) {
+      if (signal?.aborted) return Promise.reject(new Error('Scrape aborted'));
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, signal, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get pending() {
+      return queue.length;
+    }
+  };
+}
+
+// Runs fn(item, index) for every item with at most `limit` in flight and
+// returns the results in input order. The first failure rejects, and no
+// further items start after it.
+export async function mapPool(items, limit, fn, { signal } = {}) {
+  const pool = createPool(limit);
+  let failed = false;
+  return Promise.all(items.map((item, index) => pool.run(async () => {
+    if (failed) throw new Error('Skipped after an earlier failure');
+    try {
+      return await fn(item, index);
+    } catch (error) {
+      failed = true;
+      throw error;
+    }
+  }, signal)));
+}
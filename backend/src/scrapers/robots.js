@@ -0,0 +1,76 @@
+// Minimal robots.txt support (RFC 9309): user-agent groups, Allow/Disallow
+// with * and $ wildcards (longest match wins, Allow wins ties) and the
+// non-standard but common Crawl-delay.
+
+function productToken(userAgent) {
+  return String(userAgent || '').split(/[\s/]/)[0].toLowerCase();
+}
+
+// Returns { rules: [{ allow, pattern }], crawlDelay } for the group that
+// applies to `userAgent`, falling back to the `*` group.
+export function parseRobotsTxt(text, userAgent = '*') {
+  const token = productToken(userAgent);
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value === '*' ? '*' : productToken(value));
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number.parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  // The whole product token, case-insensitively: a "bot" group is not for "mybot"
+  const named = groups.filter((g) => g.agents.some((a) => a !== '*' && token && a === token));
+  const chosen = named.length > 0 ? named : groups.filter((g) => g.agents.includes('*'));
+  return {
+    rules: chosen.flatMap((g) => g.rules),
+    crawlDelay: chosen.map((g) => g.crawlDelay).find((d) => d !== null) ?? null
+  };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((chunk) => chunk.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// `pathWithQuery` is the URL path plus query string, e.g. "/images/a.jpg"
+export function isPathAllowed(robots, pathWithQuery) {
+  let best = null;
+  for (const rule of robots?.rules || []) {
+    if (!patternToRegExp(rule.pattern).test(pathWithQuery)) continue;
+    const length = rule.pattern.length;
+    if (!best || length > best.length || (length === best.length && rule.allow)) {
+      best = { allow: rule.allow, length };
+    }
+  }
+  return best ? best.allow : true;
+}
+
+export const ALLOW_ALL = { rules: [], crawlDelay: null };
+export const DISALLOW_ALL = { rules: [{ allow: false, pattern: '/' }], crawlDelay: null };
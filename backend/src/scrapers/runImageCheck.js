@@ -0,0 +1,40 @@
+import { db } from '../db/database.js';
+import { ensureImagesDirectory } from './imageDownloader.js';
+import { checkImageIntegrity } from './imageIntegrity.js';
+
+// Checks that every part image exists, is a complete image and matches its
+// hash.
+//   --repair        re-download broken images, mark the ones that fail
+//   --no-download   with --repair, only mark broken images
+//   --quiet         print the summary only
+async function main() {
+  await db.ready;
+  const repair = process.argv.includes('--repair');
+  if (repair) await ensureImagesDirectory();
+  const report = await checkImageIntegrity({
+    repair,
+    download: !process.argv.includes('--no-download')
+  });
+
+  if (!process.argv.includes('--quiet')) {
+    for (const item of report.items) {
+      const action = item.action === 'repaired' ? ` -> ${item.newPath}` : (item.action ? ` (${item.action})` : '');
+      console.log(`  ${item.problem.padEnd(14)} part ${item.partId} ${item.imagePath || item.imageUrl || ''}${action}`);
+    }
+  }
+  const problems = Object.entries(report.problems)
+    .filter(([, count]) => count > 0)
+    .map(([problem, count]) => `${count} ${problem}`);
+  console.log(`Checked ${report.checked} image(s): ${report.ok} ok${problems.length ? `, ${problems.join(', ')}` : ''}`);
+  if (repair) {
+    console.log(`Repaired ${report.repaired}, marked broken ${report.markedBroken}, left as is ${report.unrepaired}`);
+  }
+  await db.close();
+  // Non-zero exit when something is still wrong, for cron/monitoring use
+  process.exitCode = report.items.length > (repair ? report.repaired : 0) ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+import { db } from '../db/database.js';
+import { collectImageGarbage } from './imageStore.js';
+
+// Removes image files and blobs nothing references any more.
+//   --dry-run   only list what would be removed
+//   --all       include files changed within the last hour (only safe while
+//               no scrape is running)
+async function main() {
+  await db.ready;
+  const dryRun = process.argv.includes('--dry-run');
+  const result = await collectImageGarbage({
+    dryRun,
+    minAgeMs: process.argv.includes('--all') ? 0 : undefined
+  });
+  for (const file of result.files) {
+    console.log(`  ${dryRun ? 'would remove' : 'removed'} ${file}`);
+  }
+  const mb = (result.bytesFreed / (1024 * 1024)).toFixed(1);
+  console.log(`${dryRun ? 'Dry run: ' : ''}${result.filesRemoved} file(s), ${result.blobsRemoved} blob record(s), ${mb} MB`);
+  await db.close();
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -1,10 +1,13 @@
 import { scrapeMotorcyclePage } from './scraper.js';
 import { ensureImagesDirectory } from './imageDownloader.js';
+import { configureFixturesFromArgs } from './fixtures.js';
 
 async function main(){
+  configureFixturesFromArgs();
   await ensureImagesDirectory();
-  const url = process.argv[2] || 'https://www.purkuosat.net/apriliamx12505.htm';
-  const label = process.argv[3] || 'Aprilia 125';
+  const args = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+  const url = args[0] || 'https://www.purkuosat.net/apriliamx12505.htm';
+  const label = args[1] || 'Aprilia 125';
   console.log('Scraping single model page', url);
   const link = { text: label, href: url, category: 'motorcycles' };
   await scrapeMotorcyclePage(link, null, { downloadImages: true });
@@ -1,11 +1,15 @@
-import { scrapeCategoryList } from './scraper.js';
+import { startScrapeJob } from './scrapeJobs.js';
 import { ensureImagesDirectory } from './imageDownloader.js';
+import { configureFixturesFromArgs } from './fixtures.js';
 
 async function main() {
   console.log('Starting web scraper...');
+  configureFixturesFromArgs();
   await ensureImagesDirectory();
-  await scrapeCategoryList();
-  process.exit(0);
+  const mode = process.argv.includes('--incremental') ? 'incremental' : 'full';
+  const job = await startScrapeJob({ mode }, 'cli');
+  const result = await job.done;
+  process.exit(result.status === 'completed' ? 0 : 1);
 }
 
 main().catch(error => {
@@ -0,0 +1,120 @@
+import { db } from '../db/database.js';
+import { nextCronTime, parseCron } from './cron.js';
+import { isScrapeRunning, startScrapeJob } from './scrapeJobs.js';
+import { toDbLocalTimestamp } from './scraper.js';
+
+const TICK_MS = 30 * 1000;
+
+let timer = null;
+let ticking = false;
+
+function fromDbLocalTimestamp(value) {
+  const m = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m;
+  return new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s || 0));
+}
+
+export function computeNextRunAt(cronExpression, from = new Date()) {
+  const next = nextCronTime(parseCron(cronExpression), from);
+  return next ? toDbLocalTimestamp(next) : null;
+}
+
+export function scheduleToScrapeParams(schedule) {
+  let brands = null;
+  try {
+    const parsed = schedule.brands ? JSON.parse(schedule.brands) : null;
+    brands = Array.isArray(parsed) && parsed.length > 0 ? parsed : null;
+  } catch {
+    brands = null;
+  }
+  const maxLinks = Number(schedule.max_links);
+  return {
+    brands,
+    maxLinksPerCategory: Number.isInteger(maxLinks) && maxLinks > 0 ? maxLinks : null,
+    downloadImages: Number(schedule.download_images) !== 0,
+    mode: schedule.mode === 'incremental' ? 'incremental' : 'full'
+  };
+}
+
+async function recordScheduleResult(scheduleId, fields) {
+  const keys = Object.keys(fields);
+  await db.run(
+    `UPDATE scrape_schedules SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`,
+    [...keys.map((k) => fields[k]), scheduleId]
+  );
+}
+
+// Starts a scrape for one schedule. Resolves to the started job, or null when
+// another scrape was already running and this run was skipped.
+export async function runSchedule(schedule) {
+  const now = toDbLocalTimestamp();
+  if (isScrapeRunning()) {
+    console.log(`Schedule ${schedule.id} (${schedule.name}) skipped: a scrape is already running`);
+    await recordScheduleResult(schedule.id, { last_run_at: now, last_status: 'skipped_busy' });
+    return null;
+  }
+
+  const job = await startScrapeJob(scheduleToScrapeParams(schedule), 'schedule');
+  if (!job) {
+    await recordScheduleResult(schedule.id, { last_run_at: now, last_status: 'skipped_busy' });
+    return null;
+  }
+
+  console.log(`Schedule ${schedule.id} (${schedule.name}) started scrape run ${job.runId}`);
+  await recordScheduleResult(schedule.id, { last_run_at: now, last_status: 'running', last_run_id: job.runId });
+  job.done
+    .then((result) => recordScheduleResult(schedule.id, { last_status: result.status }))
+    .catch((err) => console.error(`Error recording schedule ${schedule.id} result:`, err.message));
+  return job;
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date();
+    const schedules = await db.all('SELECT * FROM scrape_schedules WHERE enabled = 1 ORDER BY id ASC');
+    for (const schedule of schedules) {
+      const dueAt = fromDbLocalTimestamp(schedule.next_run_at);
+      if (!dueAt || dueAt > now) continue;
+
+      // Advance first so a failing run does not fire again on every tick.
+      await recordScheduleResult(schedule.id, { next_run_at: computeNextRunAt(schedule.cron, now) });
+      try {
+        await runSchedule(schedule);
+      } catch (err) {
+        console.error(`Schedule ${schedule.id} failed to start:`, err.message);
+        await recordScheduleResult(schedule.id, { last_run_at: toDbLocalTimestamp(), last_status: 'failed' });
+      }
+    }
+  } catch (err) {
+    console.error('Scheduler tick error:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+// Runs missed while the server was down are not replayed; every schedule is
+// re-armed from the current time on startup.
+export async function startScheduler() {
+  if (timer) return;
+  await db.ready;
+  const schedules = await db.all('SELECT id, cron FROM scrape_schedules');
+  for (const schedule of schedules) {
+    try {
+      await recordScheduleResult(schedule.id, { next_run_at: computeNextRunAt(schedule.cron) });
+    } catch (err) {
+      console.error(`Schedule ${schedule.id} has an invalid cron expression:`, err.message);
+    }
+  }
+  timer = setInterval(tick, TICK_MS);
+  timer.unref?.();
+  console.log(`Scheduler started (${schedules.length} schedule(s))`);
+}
+
+export function stopScheduler() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+
+// In-process feed of scrape events for /api/scrape/events. Every event gets
+// an increasing id; the most recent ones are buffered so a client that opens
+// the log mid-run, or reconnects with Last-Event-ID, can catch up.
+const MAX_BUFFERED_EVENTS = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+const buffer = [];
+let lastId = 0;
+
+export function publishScrapeEvent(event) {
+  lastId += 1;
+  const entry = { id: lastId, at: new Date().toISOString(), ...event };
+  buffer.push(entry);
+  if (buffer.length > MAX_BUFFERED_EVENTS) buffer.shift();
+  emitter.emit('event', entry);
+  return entry;
+}
+
+// Buffered events newer than `afterId`. An id from before a server restart
+// is larger than anything buffered now, so the whole buffer is returned.
+export function getBufferedScrapeEvents(afterId = 0) {
+  const id = Number(afterId) || 0;
+  if (id > lastId) return buffer.slice();
+  return buffer.filter((event) => event.id > id);
+}
+
+// Returns an unsubscribe function
+export function subscribeScrapeEvents(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
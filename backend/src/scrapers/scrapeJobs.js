@@ -0,0 +1,283 @@
+import { db } from '../db/database.js';
+import { evaluateSavedSearches } from '../alerts/savedSearches.js';
+import { publishScrapeEvent } from './scrapeEvents.js';
+import { scrapeCategoryList, scrapeMotorcyclePage, toDbLocalTimestamp } from './scraper.js';
+
+// Only one scrape runs at a time; its live progress is kept here, the
+// durable record lives in scrape_runs / scrape_run_models and every progress
+// event is also published to the live log (scrapeEvents.js).
+let currentJob = null;
+
+function emptyProgress() {
+  return {
+    modelsTotal: 0,
+    modelsDone: 0,
+    pagesProcessed: 0,
+    partsProcessed: 0,
+    imagesProcessed: 0,
+    currentModel: null
+  };
+}
+
+function queueWrite(job, fn) {
+  job.writes = job.writes
+    .then(fn)
+    .catch((err) => console.error(`Error recording scrape run ${job.runId}:`, err.message));
+}
+
+// Scraper events carry whole link/result objects; the live log gets a flat
+// copy without the parse diagnostics.
+function toLogEvent(event) {
+  if (event.type === 'model_started') {
+    return { type: event.type, label: event.link?.text || null, url: event.link?.href || null };
+  }
+  if (event.type === 'model_finished') {
+    const result = event.result || {};
+    return {
+      type: event.type,
+      label: result.label || event.link?.text || null,
+      url: result.url || event.link?.href || null,
+      motorcycleId: result.motorcycleId || null,
+      status: result.status || 'failed',
+      partsFound: result.partsFound || 0,
+      partsInserted: result.partsInserted || 0,
+      partsUpdated: result.partsUpdated || 0,
+      partsDeleted: result.partsDeleted || 0,
+      images: result.images || 0,
+      error: result.error || null
+    };
+  }
+  return { ...event };
+}
+
+function publish(job, event) {
+  publishScrapeEvent({ ...event, runId: job.runId, progress: { ...job.progress } });
+}
+
+function handleProgress(job, event) {
+  const progress = job.progress;
+  if (event.type === 'page_fetched') {
+    progress.pagesProcessed += 1;
+  } else if (event.type === 'models_found') {
+    progress.modelsTotal += Number(event.count) || 0;
+    queueWrite(job, () => db.run(
+      'UPDATE scrape_runs SET models_total = ?, pages_processed = ? WHERE id = ?',
+      [progress.modelsTotal, progress.pagesProcessed, job.runId]
+    ));
+  } else if (event.type === 'model_started') {
+    progress.currentModel = event.link?.text || null;
+  } else if (event.type === 'model_finished') {
+    const result = event.result || {};
+    progress.modelsDone += 1;
+    progress.partsProcessed += Number(result.partsFound) || 0;
+    progress.imagesProcessed += Number(result.images) || 0;
+    const snapshot = { ...progress };
+    const diagnostics = result.diagnostics || null;
+    const counts = diagnostics?.counts || {};
+    queueWrite(job, async () => {
+      await db.run(
+        `INSERT INTO scrape_run_models (run_id, motorcycle_id, label, url, status, parts_found, parts_inserted, parts_updated, parts_deleted, images_processed,
+                                        blocks_skipped, duplicates_merged, missing_part_number, missing_image, diagnostics, error, finished_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          job.runId,
+          result.motorcycleId || null,
+          result.label || event.link?.text || null,
+          result.url || event.link?.href || null,
+          result.status || 'failed',
+          result.partsFound || 0,
+          result.partsInserted || 0,
+          result.partsUpdated || 0,
+          result.partsDeleted || 0,
+          result.images || 0,
+          counts.skipped || 0,
+          counts.duplicates || 0,
+          counts.noPartNumber || 0,
+          counts.noImage || 0,
+          diagnostics ? JSON.stringify(diagnostics) : null,
+          result.error || null,
+          toDbLocalTimestamp()
+        ]
+      );
+      await db.run(
+        `UPDATE scrape_runs
+         SET models_total = ?, models_done = ?, pages_processed = ?, parts_processed = ?, images_processed = ?, current_model = ?
+         WHERE id = ?`,
+        [
+          snapshot.modelsTotal,
+          snapshot.modelsDone,
+          snapshot.pagesProcessed,
+          snapshot.partsProcessed,
+          snapshot.imagesProcessed,
+          snapshot.currentModel,
+          job.runId
+        ]
+      );
+    });
+  }
+  publish(job, toLogEvent(event));
+}
+
+async function runJob(job, params) {
+  const onProgress = (event) => handleProgress(job, event);
+  const signal = job.controller.signal;
+  let outcome;
+
+  try {
+    if (params.modelUrl) {
+      const link = {
+        text: params.modelText || params.modelUrl,
+        href: params.modelUrl,
+        category: 'motorcycles'
+      };
+      job.progress.modelsTotal = 1;
+      onProgress({ type: 'model_started', link });
+      const result = await scrapeMotorcyclePage(link, params.brands, {
+        downloadImages: params.downloadImages,
+        mode: params.mode,
+        signal,
+        scrapeStartedAt: job.startedAt,
+        onProgress
+      });
+      onProgress({ type: 'model_finished', link, result });
+      outcome = ['ok', 'skipped', 'unchanged'].includes(result.status)
+        ? { status: 'completed' }
+        : { status: result.status, error: result.error };
+    } else {
+      outcome = await scrapeCategoryList(params.brands, {
+        sources: params.sources,
+        maxLinksPerCategory: params.maxLinksPerCategory,
+        downloadImages: params.downloadImages,
+        mode: params.mode,
+        signal,
+        scrapeStartedAt: job.startedAt,
+        onProgress
+      });
+    }
+  } catch (err) {
+    outcome = { status: 'failed', error: err.message };
+  }
+
+  if (!outcome?.status) outcome = { status: 'completed' };
+  if (signal.aborted && outcome.status !== 'failed') outcome = { status: 'aborted' };
+
+  const progress = job.progress;
+  await job.writes;
+  try {
+    await db.run(
+      `UPDATE scrape_runs
+       SET status = ?, error = ?, models_total = ?, models_done = ?, pages_processed = ?, parts_processed = ?, images_processed = ?,
+           current_model = NULL, finished_at = ?
+       WHERE id = ?`,
+      [
+        outcome.status,
+        outcome.error || null,
+        progress.modelsTotal,
+        progress.modelsDone,
+        progress.pagesProcessed,
+        progress.partsProcessed,
+        progress.imagesProcessed,
+        toDbLocalTimestamp(),
+        job.runId
+      ]
+    );
+  } catch (err) {
+    console.error(`Error finishing scrape run ${job.runId}:`, err.message);
+  }
+
+  try {
+    const alertCounts = await evaluateSavedSearches({ runId: job.runId });
+    for (const r of alertCounts) {
+      if (r.new_match || r.price_drop || r.gone) {
+        console.log(`  Saved search "${r.name}": ${r.new_match} new, ${r.price_drop} price drop(s), ${r.gone} gone`);
+      }
+    }
+  } catch (err) {
+    console.error(`Error evaluating saved searches for run ${job.runId}:`, err.message);
+  } finally {
+    currentJob = null;
+  }
+
+  publish(job, { type: 'run_finished', status: outcome.status, error: outcome.error || null });
+
+  console.log(`Scrape run ${job.runId} ${outcome.status}: ${progress.modelsDone}/${progress.modelsTotal} model(s)`);
+  return { runId: job.runId, ...outcome };
+}
+
+export function getScrapeStatus() {
+  if (!currentJob) {
+    return { running: false, startedAt: null, runId: null, progress: null };
+  }
+  return {
+    running: true,
+    aborting: currentJob.controller.signal.aborted,
+    startedAt: currentJob.startedAt,
+    runId: currentJob.runId,
+    trigger: currentJob.trigger,
+    progress: { ...currentJob.progress }
+  };
+}
+
+export function isScrapeRunning() {
+  return currentJob !== null;
+}
+
+export function abortScrapeJob() {
+  if (!currentJob) return false;
+  currentJob.controller.abort();
+  return true;
+}
+
+// params: { brands, sources, maxLinksPerCategory, downloadImages, mode, modelUrl, modelText }
+// Returns null when another scrape is already running. The returned job's
+// `done` promise settles with { runId, status, error } once the run ends.
+export async function startScrapeJob(params = {}, trigger = 'manual') {
+  if (currentJob) return null;
+
+  const job = {
+    runId: null,
+    trigger,
+    controller: new AbortController(),
+    startedAt: new Date().toISOString(),
+    progress: emptyProgress(),
+    writes: Promise.resolve(),
+    done: null
+  };
+  currentJob = job;
+
+  try {
+    await db.ready;
+    const filters = {
+      brands: params.brands || null,
+      sources: params.sources || null,
+      maxLinks: params.maxLinksPerCategory || null,
+      downloadImages: params.downloadImages !== false,
+      mode: params.mode || 'full',
+      modelUrl: params.modelUrl || null,
+      modelText: params.modelText || null
+    };
+    const { lastID } = await db.run(
+      `INSERT INTO scrape_runs (kind, trigger, filters, status, started_at) VALUES (?, ?, ?, 'running', ?)`,
+      [params.modelUrl ? 'model' : 'category', trigger, JSON.stringify(filters), toDbLocalTimestamp(job.startedAt)]
+    );
+    job.runId = lastID;
+  } catch (err) {
+    currentJob = null;
+    throw err;
+  }
+
+  publish(job, { type: 'run_started', trigger, kind: params.modelUrl ? 'model' : 'category', mode: params.mode || 'full' });
+  job.done = runJob(job, params);
+  return job;
+}
+
+// Runs still marked running belong to a previous process that exited mid-scrape.
+export async function markInterruptedRuns() {
+  await db.ready;
+  const { changes } = await db.run(
+    `UPDATE scrape_runs SET status = 'interrupted', current_model = NULL, finished_at = COALESCE(finished_at, ?)
+     WHERE status = 'running'`,
+    [toDbLocalTimestamp()]
+  );
+  if (changes > 0) console.log(`Marked ${changes} unfinished scrape run(s) as interrupted`);
+}
@@ -1,7 +1,14 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { db } from '../db/database.js';
+import { recordMotorcycleEvent } from '../db/motorcycleHistory.js';
+import { normalizePartNumber } from '../db/partNumbers.js';
+import { syncPartsSearchIndex } from '../db/partsSearch.js';
 import { downloadImage } from './imageDownloader.js';
+import { createParseDiagnostics, hasDiagnosticIssues } from './diagnostics.js';
+import { getHttpClientConfig, httpGet } from './httpClient.js';
+import { mapPool } from './pool.js';
+import { parseParts } from './parseParts.js';
+import { ensureSourceRow, getEnabledSources, getSource, getSourceForUrl, motorcycleIdSeedFor } from './sources/index.js';
 import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,11 +16,12 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const CATEGORIES = [
-  { name: 'PURKUPYÖRÄT', url: 'https://www.purkuosat.net/lista.htm', category: 'motorcycles' },
-];
+// full: fetch and parse every model page.
+// incremental: skip pages that answer 304 or whose HTML hash matches the last
+// scrape, and visit links that are new on the list page first.
+export const SCRAPE_MODES = ['full', 'incremental'];
 
-function toDbLocalTimestamp(input) {
+export function toDbLocalTimestamp(input) {
   const d = input ? new Date(input) : new Date();
   if (Number.isNaN(d.getTime())) return toDbLocalTimestamp(null);
   const pad = (n) => String(n).padStart(2, '0');
@@ -34,6 +42,10 @@ function normalizeModelUrl(url) {
   }
 }
 
+function hashPage(html) {
+  return crypto.createHash('sha256').update(String(html ?? '')).digest('hex');
+}
+
 function normalizeFilterList(allowedBrands) {
   if (!Array.isArray(allowedBrands)) return [];
   return allowedBrands
@@ -80,33 +92,21 @@ function formatImageStatus(status) {
   return 'skipped, unchanged';
 }
 
+function emitProgress(options, event) {
+  if (typeof options?.onProgress !== 'function') return;
+  try {
+    options.onProgress(event);
+  } catch (err) {
+    console.error('Progress listener error:', err.message);
+  }
+}
+
 function ensureNotAborted(signal) {
   if (signal?.aborted) {
     throw new Error('Scrape aborted');
   }
 }
 
-async function waitOrAbort(ms, signal) {
-  if (!ms || ms <= 0) return;
-  await new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      signal?.removeEventListener?.('abort', onAbort);
-      resolve();
-    }, ms);
-    const onAbort = () => {
-      clearTimeout(timer);
-      signal?.removeEventListener?.('abort', onAbort);
-      reject(new Error('Scrape aborted'));
-    };
-    if (signal?.aborted) {
-      clearTimeout(timer);
-      reject(new Error('Scrape aborted'));
-      return;
-    }
-    signal?.addEventListener?.('abort', onAbort);
-  });
-}
-
 function matchesAllowedFilter(filters, linkText, brand, model) {
   if (!filters.length) return true;
   const haystack = String(`${linkText || ''} ${brand || ''} ${model || ''}`)
@@ -119,6 +119,56 @@ function matchesAllowedFilter(filters, linkText, brand, model) {
   return filters.some(tokens => tokens.every(token => haystack.includes(token)));
 }
 
+// Links never scraped before go to the front, in list order
+async function newLinksFirst(source, links) {
+  const rows = await db.all('SELECT url FROM motorcycles WHERE source_id = ? AND removed_at IS NULL', [source.id]);
+  const known = new Set(rows.map((r) => normalizeModelUrl(r.url)));
+  const fresh = links.filter((l) => !known.has(normalizeModelUrl(l.href)));
+  if (fresh.length > 0) console.log(`${fresh.length} new model page(s), scraping those first`);
+  return [...fresh, ...links.filter((l) => known.has(normalizeModelUrl(l.href)))];
+}
+
+// Listed models get last_seen bumped. A model whose link is no longer on the
+// list page is gone: all of its parts are marked deleted, the motorcycle gets
+// removed_at and a 'removed' history event. When most of the list vanished
+// at once the page layout more likely changed, so nothing is marked.
+async function trackListedModels(source, category, links, scrapeTimestamp, options = {}) {
+  const rows = await db.all(
+    'SELECT id, brand, model, url FROM motorcycles WHERE source_id = ? AND category = ? AND removed_at IS NULL',
+    [source.id, category.category]
+  );
+  const listed = new Set(links.map((l) => normalizeModelUrl(l.href)));
+  const seenIds = rows.filter((r) => listed.has(normalizeModelUrl(r.url))).map((r) => r.id);
+  if (seenIds.length > 0) {
+    await db.run(
+      `UPDATE motorcycles SET last_seen = ? WHERE id IN (${seenIds.map(() => '?').join(', ')})`,
+      [scrapeTimestamp, ...seenIds]
+    );
+  }
+
+  const gone = rows.filter((r) => !listed.has(normalizeModelUrl(r.url)));
+  if (gone.length === 0) return [];
+  if (links.length === 0 || (gone.length > 5 && gone.length > rows.length / 2)) {
+    console.log(`${gone.length} of ${rows.length} known model(s) missing from ${category.name}; list page looks broken, not marking them gone`);
+    return [];
+  }
+
+  for (const motorcycle of gone) {
+    console.log(`  Model gone from ${category.name}: ${motorcycle.brand} ${motorcycle.model}`);
+    await db.transaction(async () => {
+      await markDeletedParts(motorcycle.id, [], scrapeTimestamp, options);
+      // Forget the page state so a returning model is scraped in full
+      await db.run(
+        'UPDATE motorcycles SET removed_at = ?, etag = NULL, last_modified = NULL, page_hash = NULL WHERE id = ?',
+        [scrapeTimestamp, motorcycle.id]
+      );
+      await recordMotorcycleEvent(motorcycle, 'removed', scrapeTimestamp);
+    });
+  }
+  emitProgress(options, { type: 'models_gone', source: source.id, category: category.name, count: gone.length });
+  return gone;
+}
+
 export async function scrapeCategoryList(allowedBrands = null, options = {}) {
   const maxLinksPerCategory = Number.isInteger(options.maxLinksPerCategory) && options.maxLinksPerCategory > 0
     ? options.maxLinksPerCategory
@@ -127,290 +177,283 @@ export async function scrapeCategoryList(allowedBrands = null, options = {}) {
   const filters = normalizeFilterList(allowedBrands);
   const signal = options.signal;
   const scrapeTimestamp = resolveScrapeTimestamp(options);
+  const mode = options.mode === 'incremental' ? 'incremental' : 'full';
 
   try {
-    for (const category of CATEGORIES) {
-      ensureNotAborted(signal);
-      console.log(`\nFetching category: ${category.name}`);
-      const response = await axios.get(category.url, {
-        timeout: 10000,
-        signal,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+    const sources = await getEnabledSources(options.sources);
+    if (sources.length === 0) {
+      console.log('No enabled sources to scrape.');
+      return { status: 'completed' };
+    }
 
-      const $ = cheerio.load(response.data);
-      const links = [];
-
-      // Parse motorcycle/category links ONLY inside the main column (#column_l)
-      $('#column_l a[href*=".htm"]').each((i, elem) => {
-        const href = $(elem).attr('href');
-        // Normalize whitespace in link text
-        const text = ($(elem).text() || '').replace(/\s+/g, ' ').trim();
-
-        // Filter for actual motorcycle model pages
-        if (href && text.length > 2 && !text.match(/^(PURKUO|Home|TARVIKE|RENKAAT|ÖLJY|OSTAMME|MYYNTI|YHTEYSTIEDOT|FAQ|OHJEET|Pakoputki)/i)) {
-          const fullUrl = href.startsWith('http') ? href : `https://www.purkuosat.net/${href}`;
-          links.push({
-            text,
-            href: fullUrl,
-            category: category.category
-          });
+    for (const source of sources) {
+      for (const category of source.categories) {
+        ensureNotAborted(signal);
+        console.log(`\nFetching category: ${category.name} (${source.name})`);
+        const response = await httpGet(category.url, { signal });
+        emitProgress(options, { type: 'page_fetched', url: category.url });
+
+        const $ = cheerio.load(response.data);
+        const links = source.parseListPage($, category).map((l) => ({ ...l, sourceId: source.id }));
+
+        // Remove duplicates
+        const uniqueLinks = Array.from(new Map(links.map(l => [l.href, l])).values());
+        const linksToScrape = maxLinksPerCategory ? uniqueLinks.slice(0, maxLinksPerCategory) : uniqueLinks;
+        console.log(`Found ${uniqueLinks.length} motorcycle model pages`);
+        if (maxLinksPerCategory) {
+          console.log(`Test mode limit: scraping first ${linksToScrape.length} model page(s)`);
         }
-      });
 
-      // Remove duplicates
-      const uniqueLinks = Array.from(new Map(links.map(l => [l.href, l])).values());
-      const linksToScrape = maxLinksPerCategory ? uniqueLinks.slice(0, maxLinksPerCategory) : uniqueLinks;
-      console.log(`Found ${uniqueLinks.length} motorcycle model pages`);
-      if (maxLinksPerCategory) {
-        console.log(`Test mode limit: scraping first ${linksToScrape.length} model page(s)`);
-      }
+        await trackListedModels(source, category, uniqueLinks, scrapeTimestamp, options);
 
-      // Scrape each motorcycle page
-      for (let i = 0; i < linksToScrape.length; i++) {
-        ensureNotAborted(signal);
-        const link = linksToScrape[i];
         // Quick pre-filter using link text to avoid fetching pages for other brands
-        const [linkBrand, linkModel] = extractBrandModel(link.text);
-        if (!matchesAllowedFilter(filters, link.text, linkBrand, linkModel)) continue;
-        console.log(`  [${i + 1}/${linksToScrape.length}] ${link.text}`);
-        console.log(`      ${link.href}`);
-        await scrapeMotorcyclePage(link, allowedBrands, { downloadImages, signal, scrapeTimestamp });
-        // Add small delay to be respectful to server
-        await waitOrAbort(500, signal);
+        let candidates = linksToScrape.filter((link) => {
+          const [linkBrand, linkModel] = extractBrandModel(link.text);
+          return matchesAllowedFilter(filters, link.text, linkBrand, linkModel);
+        });
+        if (mode === 'incremental') {
+          candidates = await newLinksFirst(source, candidates);
+        }
+        emitProgress(options, { type: 'models_found', source: source.id, category: category.name, count: candidates.length });
+
+        // Scrape each motorcycle page. The next few pages are fetched while
+        // the current one is stored; the HTTP client enforces the per-host
+        // limits, and pages are still stored one at a time in link order.
+        const pageOptions = { downloadImages, signal, scrapeTimestamp, mode, onProgress: options.onProgress };
+        const prefetch = getHttpClientConfig().maxConcurrentPerHost;
+        const fetches = new Map();
+        for (let i = 0; i < candidates.length; i++) {
+          ensureNotAborted(signal);
+          for (let k = i; k < Math.min(i + prefetch, candidates.length); k++) {
+            if (!fetches.has(k)) fetches.set(k, fetchModelPage(candidates[k], allowedBrands, pageOptions));
+          }
+          const link = candidates[i];
+          console.log(`  [${i + 1}/${candidates.length}] ${link.text}`);
+          console.log(`      ${link.href}`);
+          emitProgress(options, { type: 'model_started', link });
+          const page = await fetches.get(i);
+          fetches.delete(i);
+          const result = await storeModelPage(page, pageOptions);
+          emitProgress(options, { type: 'model_finished', link, result });
+        }
       }
     }
 
     console.log('\nScraping complete.');
+    return { status: 'completed' };
   } catch (error) {
     if (error.message === 'Scrape aborted') {
       console.log('\nScraping aborted.');
-      return;
+      return { status: 'aborted' };
     }
     console.error('Error scraping categories:', error.message);
+    return { status: 'failed', error: error.message };
   }
 }
 
+function emptyOutcome(link, listingUrl) {
+  return {
+    status: 'ok',
+    label: link.text,
+    url: listingUrl,
+    motorcycleId: null,
+    partsFound: 0,
+    partsInserted: 0,
+    partsUpdated: 0,
+    partsDeleted: 0,
+    images: 0,
+    diagnostics: null,
+    error: null
+  };
+}
+
 export async function scrapeMotorcyclePage(link, allowedBrands = null, options = {}) {
+  const page = await fetchModelPage(link, allowedBrands, options);
+  return storeModelPage(page, options);
+}
+
+// Network half of a model page scrape: filter check and (conditional) GET.
+// Several of these may run ahead of the page being stored. Never throws; a
+// failure is kept on the page and reported when it is stored.
+export async function fetchModelPage(link, allowedBrands = null, options = {}) {
+  const listingUrl = normalizeModelUrl(link.href);
+  const page = { link, listingUrl, outcome: emptyOutcome(link, listingUrl), skipped: false, error: null };
+
   try {
-    const scrapeTimestamp = resolveScrapeTimestamp(options);
     ensureNotAborted(options.signal);
-    const listingUrl = normalizeModelUrl(link.href);
-    const response = await axios.get(listingUrl, {
-      timeout: 10000,
-      signal: options.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    const $ = cheerio.load(response.data);
-    
+    page.source = getSource(link.sourceId) || getSourceForUrl(listingUrl);
+    if (!page.source) {
+      throw new Error(`No source adapter for ${listingUrl}`);
+    }
     // Extract brand and model from link text
-    const [brand, model] = extractBrandModel(link.text);
+    [page.brand, page.model] = extractBrandModel(link.text);
 
     // If allowedBrands provided, skip if this brand is not in the list
     const filters = normalizeFilterList(allowedBrands);
-    if (!matchesAllowedFilter(filters, link.text, brand, model)) return;
+    if (!matchesAllowedFilter(filters, link.text, page.brand, page.model)) {
+      page.skipped = true;
+      return page;
+    }
 
-    let motorcycleId = generateId(`${brand}-${model}`);
+    // Validators and hash from the last complete scrape of this page; in
+    // incremental mode a 304 or an identical hash means nothing changed.
+    page.known = options.mode === 'incremental'
+      ? await db.get('SELECT id, etag, last_modified, page_hash FROM motorcycles WHERE url = ? AND removed_at IS NULL', [listingUrl])
+      : null;
+    page.response = await httpGet(listingUrl, {
+      signal: options.signal,
+      validators: page.known ? { etag: page.known.etag, lastModified: page.known.last_modified } : null
+    });
+    emitProgress(options, { type: 'page_fetched', url: listingUrl });
+  } catch (error) {
+    page.error = error;
+  }
+  return page;
+}
 
-    // Prefer matching by source URL to avoid duplicates when brand mapping improves later.
-    const existingByUrl = await db.get('SELECT id, brand, model FROM motorcycles WHERE url = ?', [listingUrl]);
-    if (existingByUrl) {
-      motorcycleId = existingByUrl.id;
-      if (existingByUrl.brand !== brand || existingByUrl.model !== model) {
-        await db.run(
-           `UPDATE motorcycles
-           SET brand = ?, model = ?, category = ?, last_updated = ?
-           WHERE id = ?`,
-          [brand, model, link.category, scrapeTimestamp, motorcycleId]
-        );
-      }
-    } else {
-      // Fallback to generated id match for compatibility with existing DB records.
-      const existingById = await db.get('SELECT id FROM motorcycles WHERE id = ?', [motorcycleId]);
-      if (existingById) {
+// Database half: called for one page at a time, in link order, so the
+// parts_history rows of a run are written in a consistent sequence.
+export async function storeModelPage(page, options = {}) {
+  const { link, listingUrl, source, brand, model, known, response, outcome } = page;
+  if (page.skipped) {
+    outcome.status = 'skipped';
+    return outcome;
+  }
+
+  try {
+    if (page.error) throw page.error;
+    const scrapeTimestamp = resolveScrapeTimestamp(options);
+    ensureNotAborted(options.signal);
+
+    const pageHash = response.notModified ? null : hashPage(response.data);
+    if (known && (response.notModified || (known.page_hash && known.page_hash === pageHash))) {
+      await db.transaction(async () => {
         await db.run(
-          `UPDATE motorcycles
-           SET brand = ?, model = ?, category = ?, url = ?, last_updated = ?
-           WHERE id = ?`,
-          [brand, model, link.category, listingUrl, scrapeTimestamp, motorcycleId]
+          'UPDATE parts SET last_seen = ? WHERE motorcycle_id = ? AND is_deleted = 0',
+          [scrapeTimestamp, known.id]
         );
+        await db.run('UPDATE motorcycles SET last_seen = ? WHERE id = ?', [scrapeTimestamp, known.id]);
+      });
+      console.log(response.notModified ? '    Not modified since last scrape, skipping' : '    Page unchanged since last scrape, skipping');
+      outcome.status = 'unchanged';
+      outcome.motorcycleId = known.id;
+      return outcome;
+    }
+
+    const $ = cheerio.load(response.data);
+    const prepared = await prepareParts($, listingUrl, { ...options, source });
+
+    // The page is written as one unit: a crash, an abort or a failing
+    // statement leaves the model as it was before this scrape
+    const { motorcycleId, result, deletedCount } = await db.transaction(async () => {
+      // A single-model scrape may be the first write on a fresh database
+      await ensureSourceRow(source);
+      let motorcycleId = generateId(motorcycleIdSeedFor(source, brand, model));
+      // Set when the bike had been marked gone; recorded once the page is stored
+      let restored = false;
+
+      // Prefer matching by source URL to avoid duplicates when brand mapping improves later.
+      const existingByUrl = await db.get('SELECT id, brand, model, removed_at FROM motorcycles WHERE url = ?', [listingUrl]);
+      if (existingByUrl) {
+        motorcycleId = existingByUrl.id;
+        restored = Boolean(existingByUrl.removed_at);
+        if (existingByUrl.brand !== brand || existingByUrl.model !== model) {
+          await db.run(
+            `UPDATE motorcycles
+             SET brand = ?, model = ?, category = ?, source_id = ?, last_updated = ?
+             WHERE id = ?`,
+            [brand, model, link.category, source.id, scrapeTimestamp, motorcycleId]
+          );
+        }
       } else {
+        // Fallback to generated id match for compatibility with existing DB records.
+        const existingById = await db.get('SELECT id, removed_at FROM motorcycles WHERE id = ?', [motorcycleId]);
+        if (existingById) {
+          restored = Boolean(existingById.removed_at);
+          await db.run(
+            `UPDATE motorcycles
+             SET brand = ?, model = ?, category = ?, url = ?, source_id = ?, last_updated = ?
+             WHERE id = ?`,
+            [brand, model, link.category, listingUrl, source.id, scrapeTimestamp, motorcycleId]
+          );
+        } else {
+          await db.run(
+            `INSERT INTO motorcycles (id, brand, model, category, url, source_id, first_seen, last_seen)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [motorcycleId, brand, model, link.category, listingUrl, source.id, scrapeTimestamp, scrapeTimestamp]
+          );
+          await recordMotorcycleEvent({ id: motorcycleId, brand, model, url: listingUrl }, 'added', scrapeTimestamp);
+        }
+      }
+
+      // Scrape parts from this page
+      const result = await scrapeParts($, motorcycleId, listingUrl, { ...options, scrapeTimestamp, source, prepared });
+      const deletedCount = await markDeletedParts(motorcycleId, result.seenPartIds, scrapeTimestamp, options);
       await db.run(
-        `INSERT INTO motorcycles (id, brand, model, category, url) VALUES (?, ?, ?, ?, ?)`,
-        [motorcycleId, brand, model, link.category, listingUrl]
+        `UPDATE motorcycles
+         SET etag = ?, last_modified = ?, page_hash = ?, removed_at = NULL,
+             first_seen = COALESCE(first_seen, ?), last_seen = ?
+         WHERE id = ?`,
+        [response.validators.etag, response.validators.lastModified, pageHash, scrapeTimestamp, scrapeTimestamp, motorcycleId]
       );
-    }
-    }
-
-    // Scrape parts from this page
-    const result = await scrapeParts($, motorcycleId, listingUrl, { ...options, scrapeTimestamp });
-    await markDeletedParts(motorcycleId, result.seenPartIds, scrapeTimestamp);
+      if (restored) {
+        await recordMotorcycleEvent({ id: motorcycleId, brand, model, url: listingUrl }, 'restored', scrapeTimestamp);
+      }
+      return { motorcycleId, result, deletedCount };
+    });
 
+    outcome.motorcycleId = motorcycleId;
+    outcome.partsFound = result.count;
+    outcome.partsInserted = result.inserted;
+    outcome.partsUpdated = result.updated;
+    outcome.partsDeleted = deletedCount;
+    outcome.images = result.images;
+    outcome.diagnostics = result.diagnostics;
+    return outcome;
   } catch (error) {
     console.error(`    Error scraping ${link.text}: ${error.message}`);
+    outcome.status = error.message === 'Scrape aborted' ? 'aborted' : 'failed';
+    outcome.error = error.message;
+    return outcome;
   }
 }
 
-export async function scrapeParts($, motorcycleId, pageUrl, options = {}) {
-  const parts = [];
-  const downloadImages = options.downloadImages !== false;
-  const scrapeTimestamp = resolveScrapeTimestamp(options);
-  const cleanText = (value) =>
-    (value || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
-
-  // The site uses blocks where a row contains 'OSA' with the part name,
-  // followed by rows like OSANRO / LISÄTIEDOT / HINTA. We'll walk tables and
-  // collect those blocks into part records.
-  $('table').each((ti, table) => {
-    const rows = $(table).find('tr').toArray();
-
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const cells = $(row).find('td');
-      if (!cells || cells.length === 0) continue;
-
-      const texts = cells.map((ci, c) => cleanText($(c).text())).get();
-
-      // Detect header row with 'OSA' label
-      const hasOsa = texts.some(t => /^OSA$/i.test(t) || t.toUpperCase().startsWith('OSA'));
-      if (hasOsa) {
-        // Part name is usually in the same row (last non-empty cell)
-        const name = texts.reverse().find(t => t && !/^\-+$/.test(t)) || '';
-        texts.reverse();
-
-        let partNumber = '';
-        let description = '';
-        let price = 0;
-
-        // Inspect following rows for OSANRO, LISÄTIEDOT, HINTA until next OSA or end
-        let j = i + 1;
-        for (; j < rows.length; j++) {
-          const crow = rows[j];
-          const ccells = $(crow).find('td');
-          if (!ccells || ccells.length === 0) continue;
-          const ctexts = ccells.map((ci, c) => cleanText($(c).text())).get();
-
-          // stop if a new OSA block starts (do not match OSANRO)
-          if (ctexts.some(t => /^OSA$/i.test(t))) break;
-
-          const label = (ctexts[0] || '').toUpperCase();
-          const rowText = ctexts.join(' ').trim();
-
-          if (!partNumber && label.includes('OSANRO')) {
-            const direct = cleanText($(ccells[1]).text());
-            partNumber = direct || '';
-            if (!partNumber) {
-              const m = rowText.match(/OSANRO\s*[:\-]?\s*([A-Z0-9._-]+)/i);
-              if (m && m[1] !== '0') partNumber = m[1];
-            }
-          }
-
-          if (!description && (label.includes('LISÄTIEDOT') || label.includes('LISATIEDOT'))) {
-            description = cleanText($(ccells[1]).text()) || cleanText(ctexts.slice(1).join(' '));
-          }
-
-          if (label.includes('HINTA') || rowText.toUpperCase().includes('EUR')) {
-            const match = ctexts.join(' ').match(/(\d+(?:[,\.]\d{1,2})?)\s*EUR/);
-            if (match) price = parseFloat(match[1].replace(',', '.'));
-          } else {
-            // fallback: price may be somewhere in the row
-            const match = ctexts.join(' ').match(/(\d+(?:[,\.]\d{1,2})?)\s*EUR/);
-            if (match) price = parseFloat(match[1].replace(',', '.'));
-          }
-        }
-
-        if (name && price > 0) {
-          // Prefer the first image in the whole table (rowspanned thumbnail)
-          let imageUrl = '';
-          let imageAlt = '';
-          const imageCandidates = new Set();
-          const tableImgs = $(table).find('img').toArray();
-          if (tableImgs.length > 0) {
-            for (const img of tableImgs) {
-              const tiSrc = $(img).attr('src') || '';
-              const tiParent = $(img).parent('a').attr('href') || '';
-              if (tiParent && tiParent.length > 0) imageCandidates.add(resolveUrl(tiParent, pageUrl));
-              if (tiSrc && tiSrc.length > 0) imageCandidates.add(resolveUrl(tiSrc, pageUrl));
-            }
-            imageAlt = $(tableImgs[0]).attr('alt') || '';
-            if (imageCandidates.size > 0) {
-              imageUrl = [...imageCandidates][0];
-            }
-          }
-
-          // Fallback: check current row and following rows
-          if (!imageUrl) {
-            const imgs = $(row).find('img').toArray();
-            if (imgs.length > 0) {
-              const src = $(imgs[0]).attr('src') || '';
-              const parentHref = $(imgs[0]).parent('a').attr('href') || '';
-              imageUrl = (parentHref && parentHref.length > 0) ? parentHref : src;
-              imageAlt = $(imgs[0]).attr('alt') || '';
-              if (parentHref) imageCandidates.add(resolveUrl(parentHref, pageUrl));
-              if (src) imageCandidates.add(resolveUrl(src, pageUrl));
-            }
-          }
-
-          if (!imageUrl) {
-            for (let k = i + 1; k < j; k++) {
-              const r2 = rows[k];
-              const imgs2 = $(r2).find('img').toArray();
-              if (imgs2.length > 0) {
-                const src2 = $(imgs2[0]).attr('src') || '';
-                const parentHref2 = $(imgs2[0]).parent('a').attr('href') || '';
-                imageUrl = (parentHref2 && parentHref2.length > 0) ? parentHref2 : src2;
-                imageAlt = $(imgs2[0]).attr('alt') || '';
-                if (parentHref2) imageCandidates.add(resolveUrl(parentHref2, pageUrl));
-                if (src2) imageCandidates.add(resolveUrl(src2, pageUrl));
-                break;
-              }
-            }
-          }
-
-          if (!imageUrl) {
-            console.log(`      No image found for part '${name.trim()}' in detected block.`);
-          }
+// Everything scrapeParts needs from outside the database: the parsed parts
+// and their downloaded images. storeModelPage runs this before opening its
+// transaction so no network wait happens while the transaction holds the db.
+export async function prepareParts($, pageUrl, options = {}) {
+  const source = options.source || getSourceForUrl(pageUrl);
+  if (!source) {
+    throw new Error(`No source adapter for ${pageUrl}`);
+  }
+  const diagnostics = createParseDiagnostics();
+  const parts = parseParts($, pageUrl, { source, diagnostics });
+  console.log(`    Found ${parts.length} parts`);
+  if (hasDiagnosticIssues(diagnostics)) {
+    const { skipped, duplicates, noPartNumber, noImage } = diagnostics.counts;
+    console.log(`    Parse diagnostics: ${skipped} skipped, ${duplicates} merged, ${noPartNumber} without part number, ${noImage} without image`);
+  }
 
-          parts.push({
-            name: name.trim(),
-            partNumber: partNumber || (imageAlt && imageAlt.match(/RS\d+/) ? imageAlt.match(/RS\d+/)[0] : ''),
-            description: description.trim(),
-            price,
-            currency: 'EUR',
-            imageUrl: imageUrl ? resolveUrl(imageUrl, pageUrl) : null,
-            imageUrls: [...imageCandidates]
-          });
-        }
+  // Images are downloaded up front, concurrently; the part rows are then
+  // written one by one using the results.
+  const downloads = options.downloadImages !== false ? await downloadPartImages(parts, options) : null;
+  return { source, parts, diagnostics, downloads };
+}
 
-        // advance outer loop to j-1
-        i = j - 1;
-      }
-    }
-  });
-
-  // Remove duplicates by partNumber (preferred) or name; merge image lists for same part.
-  const uniquePartsMap = new Map();
-  for (const p of parts) {
-    const key = p.partNumber || p.name;
-    if (!uniquePartsMap.has(key)) {
-      uniquePartsMap.set(key, { ...p, imageUrls: [...new Set(p.imageUrls || (p.imageUrl ? [p.imageUrl] : []))] });
-      continue;
-    }
-    const current = uniquePartsMap.get(key);
-    current.imageUrls = [...new Set([...(current.imageUrls || []), ...(p.imageUrls || []), ...(p.imageUrl ? [p.imageUrl] : [])])];
-    if (!current.imageUrl && p.imageUrl) current.imageUrl = p.imageUrl;
-  }
-  const uniqueParts = Array.from(uniquePartsMap.values());
-  console.log(`    Found ${uniqueParts.length} parts`);
+// options.prepared: the result of prepareParts() for this page, if already
+// available
+export async function scrapeParts($, motorcycleId, pageUrl, options = {}) {
+  const { source, parts: uniqueParts, diagnostics, downloads } = options.prepared || await prepareParts($, pageUrl, options);
+  const scrapeTimestamp = resolveScrapeTimestamp(options);
 
   const seenPartIds = [];
+  let inserted = 0;
+  let updated = 0;
+  let images = 0;
 
   for (const part of uniqueParts) {
+    // An abort rolls back the page's transaction instead of leaving it half written
+    ensureNotAborted(options.signal);
     const idSeed = part.partNumber || part.name;
     const partId = generateId(`${motorcycleId}-${idSeed}`);
     seenPartIds.push(partId);
@@ -427,11 +470,21 @@ export async function scrapeParts($, motorcycleId, pageUrl, options = {}) {
         const image_url = part.imageUrl || null;
 
         await db.run(
-          `INSERT INTO parts (id, motorcycle_id, name, part_number, description, price, currency, image_url, image_path, url, scraped_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [partId, motorcycleId, part.name, part.partNumber || null, part.description, part.price, part.currency, image_url, image_path, pageUrl, scrapeTimestamp]
+          `INSERT INTO parts (id, motorcycle_id, source_id, name, part_number, part_number_norm, description, price, currency, image_url, image_path, url, scraped_at, first_seen)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [partId, motorcycleId, source.id, part.name, part.partNumber || null, normalizePartNumber(part.partNumber), part.description, part.price, part.currency, image_url, image_path, pageUrl, scrapeTimestamp, scrapeTimestamp]
         );
-        const imageResults = await syncPartImages(partId, part.imageUrls || (part.imageUrl ? [part.imageUrl] : []), downloadImages);
+        inserted += 1;
+        emitProgress(options, {
+          type: 'part_inserted',
+          motorcycleId,
+          partId,
+          partNumber: part.partNumber || null,
+          name: part.name || null,
+          price: part.price ?? null
+        });
+        const imageResults = await syncPartImages(partId, partImageUrls(part), downloads);
+        images += (imageResults || []).length;
         console.log(`      - ${part.partNumber || 'NO_PART_NUMBER'} | ${part.name || ''}`);
         if ((imageResults || []).length > 0) {
           for (const img of imageResults) {
@@ -458,7 +511,8 @@ export async function scrapeParts($, motorcycleId, pageUrl, options = {}) {
           [scrapeTimestamp, partId]
         );
       } catch (err) {
-        // ignore insert errors
+        // Rolls back the whole page; storeModelPage records it as failed
+        throw partError(err, `Could not insert ${part.partNumber || 'NO_PART_NUMBER'} | ${part.name || ''}`);
       }
     } else {
       // Existing part -> compare values; if changed, record history and update
@@ -468,10 +522,12 @@ export async function scrapeParts($, motorcycleId, pageUrl, options = {}) {
         if ((existing.name || '') !== (part.name || '')) changes.name = { old: existing.name, new: part.name };
         if ((existing.description || '') !== (part.description || '')) changes.description = { old: existing.description, new: part.description };
         if ((existing.image_url || '') !== (part.imageUrl || '')) changes.image = { old: existing.image_url, new: part.imageUrl };
-        const imageResults = await syncPartImages(existing.id, part.imageUrls || (part.imageUrl ? [part.imageUrl] : []), downloadImages);
+        const imageResults = await syncPartImages(existing.id, partImageUrls(part), downloads);
+        images += (imageResults || []).length;
         const imageContentChanged = (imageResults || []).some((img) => img.status === 'downloaded_updated');
         const statusChanged = Number(existing.is_deleted || 0) !== 0;
         if (Object.keys(changes).length > 0 || imageContentChanged || statusChanged) {
+          updated += 1;
           const primaryImageBackup = (imageResults || []).find(
             (img) =>
               img.status === 'downloaded_updated' &&
@@ -512,9 +568,20 @@ export async function scrapeParts($, motorcycleId, pageUrl, options = {}) {
           const image_url = part.imageUrl || existing.image_url;
           // Update existing row with new values.
           await db.run(
-            `UPDATE parts SET name = ?, description = ?, price = ?, currency = ?, image_url = ?, image_path = ?, url = ?, scraped_at = ? WHERE id = ?`,
-            [part.name, part.description, part.price, part.currency, image_url, image_path, pageUrl, scrapeTimestamp, existing.id]
+            `UPDATE parts SET name = ?, description = ?, price = ?, currency = ?, image_url = ?, image_path = ?, url = ?, source_id = ?, scraped_at = ? WHERE id = ?`,
+            [part.name, part.description, part.price, part.currency, image_url, image_path, pageUrl, source.id, scrapeTimestamp, existing.id]
           );
+          emitProgress(options, {
+            type: 'part_updated',
+            motorcycleId,
+            partId: existing.id,
+            partNumber: existing.part_number || null,
+            name: part.name || null,
+            price: part.price ?? null,
+            oldPrice: existing.price ?? null,
+            fields: [...Object.keys(changes), ...(imageContentChanged && !changes.image ? ['image'] : [])],
+            restored: statusChanged
+          });
         }
         console.log(`      - ${part.partNumber || 'NO_PART_NUMBER'} | ${part.name || ''}`);
         if ((imageResults || []).length > 0) {
@@ -542,12 +609,20 @@ export async function scrapeParts($, motorcycleId, pageUrl, options = {}) {
           [scrapeTimestamp, existing.id]
         );
       } catch (err) {
-        console.error('Error updating existing part:', err.message);
+        throw partError(err, `Could not update ${existing.part_number || existing.id} | ${existing.name || ''}`);
       }
     }
   }
 
-  return { count: uniqueParts.length, seenPartIds };
+  await syncPartsSearchIndex(seenPartIds);
+
+  return { count: uniqueParts.length, seenPartIds, inserted, updated, images, diagnostics };
+}
+
+// Names the part in the error that fails its page; an abort stays an abort
+function partError(err, prefix) {
+  if (err.message === 'Scrape aborted') return err;
+  return new Error(`${prefix}: ${err.message}`, { cause: err });
 }
 
 function extractBrandModel(title) {
@@ -561,52 +636,75 @@ function extractBrandModel(title) {
   return [brand || 'Unknown', model || 'Unknown'];
 }
 
-function resolveUrl(src, base) {
-  if (!src) return null;
-  try {
-    if (src.startsWith('http')) return src;
-    // handle protocol-relative
-    if (src.startsWith('//')) return 'https:' + src;
-    // relative to base
-    const baseUrl = new URL(base);
-    return new URL(src, baseUrl).toString();
-  } catch (err) {
-    // fallback: prefix with site
-    return `https://www.purkuosat.net/${src.replace(/^\//, '')}`;
-  }
-}
-
 function generateId(text) {
   return crypto.createHash('md5').update(text).digest('hex');
 }
 
-async function syncPartImages(partId, imageUrls, downloadImages) {
+function partImageUrls(part) {
+  return part.imageUrls || (part.imageUrl ? [part.imageUrl] : []);
+}
+
+// Downloads every image of a page once (parts can share images), at most
+// `maxConcurrentPerHost` at a time. Returns url -> downloadImage result.
+async function downloadPartImages(parts, options = {}) {
+  const { signal } = options;
+  const urls = [...new Set(parts.flatMap(partImageUrls).filter(Boolean))];
+  const limit = getHttpClientConfig().maxConcurrentPerHost;
+  const results = await mapPool(urls, limit, async (url) => {
+    const result = await downloadImage(url, { signal });
+    if (!result) {
+      emitProgress(options, { type: 'image_failed', url });
+    } else {
+      emitProgress(options, {
+        type: String(result.status || '').startsWith('downloaded') ? 'image_downloaded' : 'image_skipped',
+        url,
+        path: result.filepath || null,
+        status: result.status || null,
+        size: Number.isFinite(result.size) ? result.size : null
+      });
+    }
+    return result;
+  }, { signal });
+  return new Map(urls.map((url, i) => [url, results[i]]));
+}
+
+// `downloads` is the map from downloadPartImages, or null when images are
+// not downloaded in this run.
+async function syncPartImages(partId, imageUrls, downloads) {
   const uniqueUrls = [...new Set((imageUrls || []).filter(Boolean))];
   const results = [];
   for (let i = 0; i < uniqueUrls.length; i++) {
     const imageUrl = uniqueUrls[i];
     let imagePath = null;
+    let blobHash = null;
     let downloadStatus = null;
     let downloadSize = null;
+    let width = null;
+    let height = null;
     let dl = null;
-    if (downloadImages) {
-      dl = await downloadImage(imageUrl);
+    if (downloads) {
+      dl = downloads.get(imageUrl) || null;
       if (dl && dl.filepath) {
         imagePath = dl.filepath;
+        blobHash = dl.hash || null;
         downloadStatus = dl.status || null;
         downloadSize = Number.isFinite(dl.size) ? dl.size : null;
+        width = dl.width || null;
+        height = dl.height || null;
       }
     }
 
     await db.run(
-      `INSERT OR IGNORE INTO part_images (part_id, image_url, image_path, sort_order) VALUES (?, ?, ?, ?)`,
-      [partId, imageUrl, imagePath, i]
+      `INSERT OR IGNORE INTO part_images (part_id, image_url, image_path, blob_hash, width, height, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [partId, imageUrl, imagePath, blobHash, width, height, i]
     );
 
     if (imagePath) {
       await db.run(
-        `UPDATE part_images SET image_path = ? WHERE part_id = ? AND image_url = ?`,
-        [imagePath, partId, imageUrl]
+        `UPDATE part_images
+         SET image_path = ?, blob_hash = ?, width = ?, height = ?, broken_at = NULL, broken_reason = NULL
+         WHERE part_id = ? AND image_url = ?`,
+        [imagePath, blobHash, width, height, partId, imageUrl]
       );
     }
 
@@ -623,7 +721,7 @@ async function syncPartImages(partId, imageUrls, downloadImages) {
   return results;
 }
 
-async function markDeletedParts(motorcycleId, seenPartIds, scrapeTimestampInput = null) {
+async function markDeletedParts(motorcycleId, seenPartIds, scrapeTimestampInput = null, options = {}) {
   const scrapeTimestamp = scrapeTimestampInput || toDbLocalTimestamp();
   const safeSeenPartIds = Array.isArray(seenPartIds) ? seenPartIds : [];
   const placeholders = safeSeenPartIds.map(() => '?').join(',');
@@ -655,7 +753,7 @@ async function markDeletedParts(motorcycleId, seenPartIds, scrapeTimestampInput
       `,
       [motorcycleId]
     );
-  if (deletedRows.length === 0) return;
+  if (deletedRows.length === 0) return 0;
 
   const partIds = deletedRows.map((row) => row.id);
   const imgPlaceholders = partIds.map(() => '?').join(',');
@@ -701,6 +799,14 @@ async function markDeletedParts(motorcycleId, seenPartIds, scrapeTimestampInput
     );
 
     console.log(`      - ${row.part_number || row.id} | ${row.name || ''}`);
+    emitProgress(options, {
+      type: 'part_deleted',
+      motorcycleId,
+      partId: row.id,
+      partNumber: row.part_number || null,
+      name: row.name || null,
+      price: row.price ?? null
+    });
     if (row.image_path) console.log(`        - ${row.image_path}`);
     if (row.image_url) console.log(`        - ${toImagesShorthand(row.image_url)}`);
     const extraImages = imageRowsByPart.get(row.id) || [];
@@ -722,7 +828,8 @@ async function markDeletedParts(motorcycleId, seenPartIds, scrapeTimestampInput
       `,
       [scrapeTimestamp, ...params]
     );
-    return;
+    await syncPartsSearchIndex(partIds);
+    return deletedRows.length;
   }
 
   await db.run(
@@ -735,4 +842,6 @@ async function markDeletedParts(motorcycleId, seenPartIds, scrapeTimestampInput
     `,
     [scrapeTimestamp, motorcycleId]
   );
+  await syncPartsSearchIndex(partIds);
+  return deletedRows.length;
 }
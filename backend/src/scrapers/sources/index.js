@@ -0,0 +1,37 @@
+import { db } from '../../db/database.js';
+import { SOURCES } from './registry.js';
+
+export {
+  DEFAULT_SOURCE_ID,
+  getSource,
+  getSourceForUrl,
+  listSources,
+  motorcycleIdSeedFor
+} from './registry.js';
+
+// Make sure every registered adapter has a row in `sources`; the row holds the
+// enabled flag so a site can be switched off without touching code.
+export async function syncSourceRows() {
+  for (const source of SOURCES) {
+    await ensureSourceRow(source);
+  }
+}
+
+// The row motorcycles.source_id and parts.source_id point at
+export async function ensureSourceRow(source) {
+  await db.run(
+    `INSERT INTO sources (id, name, base_url) VALUES (?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET name = excluded.name, base_url = excluded.base_url`,
+    [source.id, source.name, source.baseUrl]
+  );
+}
+
+export async function getEnabledSources(sourceIds = null) {
+  await syncSourceRows();
+  const rows = await db.all('SELECT id FROM sources WHERE enabled = 1');
+  const enabled = new Set(rows.map((r) => r.id));
+  const wanted = Array.isArray(sourceIds) && sourceIds.length > 0
+    ? new Set(sourceIds.map((id) => String(id || '').trim().toLowerCase()))
+    : null;
+  return SOURCES.filter((s) => enabled.has(s.id) && (!wanted || wanted.has(s.id)));
+}
@@ -0,0 +1,225 @@
+import { blockSnippet, recordSkippedBlock } from '../diagnostics.js';
+
+const BASE_URL = 'https://www.purkuosat.net/';
+
+function cleanText(value) {
+  return (value || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(src, base = BASE_URL) {
+  if (!src) return null;
+  try {
+    if (src.startsWith('http')) return src;
+    // handle protocol-relative
+    if (src.startsWith('//')) return 'https:' + src;
+    // relative to base
+    const baseUrl = new URL(base);
+    return new URL(src, baseUrl).toString();
+  } catch (err) {
+    // fallback: prefix with site
+    return `${BASE_URL}${src.replace(/^\//, '')}`;
+  }
+}
+
+function matchesUrl(url) {
+  try {
+    const host = new URL(String(url || '').trim()).hostname.toLowerCase();
+    return host === 'purkuosat.net' || host.endsWith('.purkuosat.net');
+  } catch {
+    return false;
+  }
+}
+
+function parseListPage($, category) {
+  const links = [];
+
+  // Parse motorcycle/category links ONLY inside the main column (#column_l)
+  $('#column_l a[href*=".htm"]').each((i, elem) => {
+    const href = $(elem).attr('href');
+    // Normalize whitespace in link text
+    const text = ($(elem).text() || '').replace(/\s+/g, ' ').trim();
+
+    // Filter for actual motorcycle model pages
+    if (href && text.length > 2 && !text.match(/^(PURKUO|Home|TARVIKE|RENKAAT|ÖLJY|OSTAMME|MYYNTI|YHTEYSTIEDOT|FAQ|OHJEET|Pakoputki)/i)) {
+      links.push({
+        text,
+        href: resolveUrl(href, category.url),
+        category: category.category
+      });
+    }
+  });
+
+  return links;
+}
+
+function parsePartBlocks($, pageUrl, diagnostics = null) {
+  const parts = [];
+
+  // The site uses blocks where a row contains 'OSA' with the part name,
+  // followed by rows like OSANRO / LISÄTIEDOT / HINTA. We'll walk tables and
+  // collect those blocks into part records.
+  $('table').each((ti, table) => {
+    const rows = $(table).find('tr').toArray();
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const cells = $(row).find('td');
+      if (!cells || cells.length === 0) continue;
+
+      const texts = cells.map((ci, c) => cleanText($(c).text())).get();
+
+      // Detect header row with 'OSA' label
+      const hasOsa = texts.some(t => /^OSA$/i.test(t) || t.toUpperCase().startsWith('OSA'));
+      if (hasOsa) {
+        if (diagnostics) diagnostics.blocksSeen += 1;
+        // Part name is usually in the same row (last non-empty cell)
+        const name = texts.reverse().find(t => t && !/^\-+$/.test(t)) || '';
+        texts.reverse();
+
+        let partNumber = '';
+        let description = '';
+        let price = 0;
+        let priceFound = false;
+
+        // Inspect following rows for OSANRO, LISÄTIEDOT, HINTA until next OSA or end
+        let j = i + 1;
+        for (; j < rows.length; j++) {
+          const crow = rows[j];
+          const ccells = $(crow).find('td');
+          if (!ccells || ccells.length === 0) continue;
+          const ctexts = ccells.map((ci, c) => cleanText($(c).text())).get();
+
+          // stop if a new OSA block starts (do not match OSANRO)
+          if (ctexts.some(t => /^OSA$/i.test(t))) break;
+
+          const label = (ctexts[0] || '').toUpperCase();
+          const rowText = ctexts.join(' ').trim();
+
+          if (!partNumber && label.includes('OSANRO')) {
+            const direct = cleanText($(ccells[1]).text());
+            partNumber = direct || '';
+            if (!partNumber) {
+              const m = rowText.match(/OSANRO\s*[:\-]?\s*([A-Z0-9._-]+)/i);
+              if (m && m[1] !== '0') partNumber = m[1];
+            }
+          }
+
+          if (!description && (label.includes('LISÄTIEDOT') || label.includes('LISATIEDOT'))) {
+            description = cleanText($(ccells[1]).text()) || cleanText(ctexts.slice(1).join(' '));
+          }
+
+          if (label.includes('HINTA') || rowText.toUpperCase().includes('EUR')) {
+            const match = ctexts.join(' ').match(/(\d+(?:[,\.]\d{1,2})?)\s*EUR/);
+            if (match) {
+              price = parseFloat(match[1].replace(',', '.'));
+              priceFound = true;
+            }
+          } else {
+            // fallback: price may be somewhere in the row
+            const match = ctexts.join(' ').match(/(\d+(?:[,\.]\d{1,2})?)\s*EUR/);
+            if (match) {
+              price = parseFloat(match[1].replace(',', '.'));
+              priceFound = true;
+            }
+          }
+        }
+
+        if (name && price > 0) {
+          // Prefer the first image in the whole table (rowspanned thumbnail)
+          let imageUrl = '';
+          let imageAlt = '';
+          const imageCandidates = new Set();
+          const tableImgs = $(table).find('img').toArray();
+          if (tableImgs.length > 0) {
+            for (const img of tableImgs) {
+              const tiSrc = $(img).attr('src') || '';
+              const tiParent = $(img).parent('a').attr('href') || '';
+              if (tiParent && tiParent.length > 0) imageCandidates.add(resolveUrl(tiParent, pageUrl));
+              if (tiSrc && tiSrc.length > 0) imageCandidates.add(resolveUrl(tiSrc, pageUrl));
+            }
+            imageAlt = $(tableImgs[0]).attr('alt') || '';
+            if (imageCandidates.size > 0) {
+              imageUrl = [...imageCandidates][0];
+            }
+          }
+
+          // Fallback: check current row and following rows
+          if (!imageUrl) {
+            const imgs = $(row).find('img').toArray();
+            if (imgs.length > 0) {
+              const src = $(imgs[0]).attr('src') || '';
+              const parentHref = $(imgs[0]).parent('a').attr('href') || '';
+              imageUrl = (parentHref && parentHref.length > 0) ? parentHref : src;
+              imageAlt = $(imgs[0]).attr('alt') || '';
+              if (parentHref) imageCandidates.add(resolveUrl(parentHref, pageUrl));
+              if (src) imageCandidates.add(resolveUrl(src, pageUrl));
+            }
+          }
+
+          if (!imageUrl) {
+            for (let k = i + 1; k < j; k++) {
+              const r2 = rows[k];
+              const imgs2 = $(r2).find('img').toArray();
+              if (imgs2.length > 0) {
+                const src2 = $(imgs2[0]).attr('src') || '';
+                const parentHref2 = $(imgs2[0]).parent('a').attr('href') || '';
+                imageUrl = (parentHref2 && parentHref2.length > 0) ? parentHref2 : src2;
+                imageAlt = $(imgs2[0]).attr('alt') || '';
+                if (parentHref2) imageCandidates.add(resolveUrl(parentHref2, pageUrl));
+                if (src2) imageCandidates.add(resolveUrl(src2, pageUrl));
+                break;
+              }
+            }
+          }
+
+          parts.push({
+            name: name.trim(),
+            partNumber: partNumber || (imageAlt && imageAlt.match(/RS\d+/) ? imageAlt.match(/RS\d+/)[0] : ''),
+            description: description.trim(),
+            price,
+            currency: 'EUR',
+            imageUrl: imageUrl ? resolveUrl(imageUrl, pageUrl) : null,
+            imageUrls: [...imageCandidates]
+          });
+        }
+
+        if (!(name && price > 0)) {
+          let reason = 'no_name';
+          if (name) reason = priceFound ? 'zero_price' : 'no_price';
+          recordSkippedBlock(diagnostics, {
+            reason,
+            name: name.trim() || null,
+            partNumber: partNumber || null,
+            snippet: blockSnippet(
+              rows.slice(i, j)
+                .map((r) => $(r).find('td').map((ci, c) => cleanText($(c).text())).get().filter(Boolean).join(' '))
+                .join(' | ')
+            ),
+            location: `table ${ti + 1}, row ${i + 1}`
+          });
+        }
+
+        // advance outer loop to j-1
+        i = j - 1;
+      }
+    }
+  });
+
+  return parts;
+}
+
+export default {
+  id: 'purkuosat',
+  name: 'Purkuosat.net',
+  baseUrl: BASE_URL,
+  categories: [
+    { name: 'PURKUPYÖRÄT', url: `${BASE_URL}lista.htm`, category: 'motorcycles' },
+  ],
+  // Keep the original brand-model ids so databases created before source
+  // adapters existed keep matching their motorcycles.
+  motorcycleIdSeed: (brand, model) => `${brand}-${model}`,
+  matchesUrl,
+  parseListPage,
+  parsePartBlocks,
+  resolveUrl
+};
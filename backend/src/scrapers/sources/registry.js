@@ -0,0 +1,34 @@
+// Adapter registry without database access, so parsing code and tests can
+// look up adapters without opening the database.
+import purkuosat from './purkuosat.js';
+
+// Every breakers' yard the scraper understands. An adapter provides:
+//   id, name, baseUrl, categories[{ name, url, category }]
+//   matchesUrl(url)                         -> true when a model page belongs to this site
+//   parseListPage($, category)              -> [{ text, href, category }]
+//   parsePartBlocks($, pageUrl, diagnostics) -> [{ name, partNumber, description, price, currency, imageUrl, imageUrls }]
+//                                              (reports dropped blocks via recordSkippedBlock when diagnostics is given)
+//   resolveUrl(src, base)                   -> absolute URL
+//   motorcycleIdSeed(brand, model)          -> optional, seed for the motorcycle id
+export const SOURCES = [purkuosat];
+
+export const DEFAULT_SOURCE_ID = purkuosat.id;
+
+export function listSources() {
+  return SOURCES.slice();
+}
+
+export function getSource(id) {
+  const key = String(id || '').trim().toLowerCase();
+  if (!key) return null;
+  return SOURCES.find((s) => s.id === key) || null;
+}
+
+export function getSourceForUrl(url) {
+  return SOURCES.find((s) => s.matchesUrl(url)) || null;
+}
+
+export function motorcycleIdSeedFor(source, brand, model) {
+  if (typeof source?.motorcycleIdSeed === 'function') return source.motorcycleIdSeed(brand, model);
+  return `${source?.id || DEFAULT_SOURCE_ID}-${brand}-${model}`;
+}
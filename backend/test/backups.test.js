@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test, { mock } from 'node:test';
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-test-'));
+process.env.DB_FILE = path.join(root, 'database.sqlite');
+process.env.IMAGES_DIR = path.join(root, 'images');
+process.env.BACKUPS_DIR = path.join(root, 'backups');
+const { db } = await import('../src/db/database.js');
+const { readTar, writeTar } = await import('../src/backups/tar.js');
+const {
+  BACKUPS_DIR, MAX_AUTOMATIC_BACKUPS, createBackup, getBackupPath, listBackups, restoreBackup
+} = await import('../src/backups/backups.js');
+await db.ready;
+
+test.after(async () => {
+  await db.close();
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test.beforeEach(async () => {
+  await fs.rm(BACKUPS_DIR, { recursive: true, force: true });
+  await fs.rm(process.env.IMAGES_DIR, { recursive: true, force: true });
+  await db.run('DELETE FROM parts');
+  await db.run('DELETE FROM motorcycles');
+});
+
+async function writeImage(rel, content) {
+  const abs = path.join(process.env.IMAGES_DIR, rel);
+  await fs.mkdir(path.dirname(abs), { recursive: true });
+  await fs.writeFile(abs, content);
+}
+
+async function readImage(rel) {
+  return fs.readFile(path.join(process.env.IMAGES_DIR, rel), 'utf8');
+}
+
+async function motorcycleIds() {
+  return (await db.all('SELECT id FROM motorcycles ORDER BY id')).map((m) => m.id);
+}
+
+test('a restore brings back the database and images of a backup', async () => {
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m1', 'Honda', 'CR125', 'motorcycles', 'u1')`);
+  await writeImage('blobs/ab/a.jpg', 'original');
+  await writeImage('_variants/thumb/blobs/ab/a.jpg', 'variant');
+  const backup = await createBackup({ reason: 'manual' });
+  assert.equal(backup.motorcycles, 1);
+  assert.equal(backup.images, 1);
+  assert.equal(backup.automatic, false);
+
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m2', 'Yamaha', 'YZ250', 'motorcycles', 'u2')`);
+  await db.run(`DELETE FROM motorcycles WHERE id = 'm1'`);
+  await writeImage('blobs/ab/a.jpg', 'changed');
+  await writeImage('blobs/cd/new.jpg', 'new');
+
+  const result = await restoreBackup(backup.name);
+  assert.equal(result.restored, backup.name);
+  assert.deepEqual(await motorcycleIds(), ['m1']);
+  assert.equal(await readImage('blobs/ab/a.jpg'), 'original');
+  await assert.rejects(fs.access(path.join(process.env.IMAGES_DIR, 'blobs/cd/new.jpg')));
+  // Variants of blobs survive the swap of the image store
+  assert.equal(await readImage('_variants/thumb/blobs/ab/a.jpg'), 'variant');
+
+  // The state replaced by the restore was backed up first
+  const safety = (await listBackups()).find((b) => b.name === result.safetyBackup);
+  assert.equal(safety.reason, 'before-restore');
+  assert.equal(safety.automatic, true);
+  await restoreBackup(safety.name, { backupFirst: false });
+  assert.deepEqual(await motorcycleIds(), ['m2']);
+  assert.equal(await readImage('blobs/cd/new.jpg'), 'new');
+  assert.equal((await listBackups()).length, 2);
+});
+
+test('automatic backups are pruned to the newest ones, manual ones are kept', async () => {
+  const manual = await createBackup({ reason: 'manual' });
+  const automatic = [];
+  for (let i = 0; i < MAX_AUTOMATIC_BACKUPS + 2; i++) {
+    automatic.push((await createBackup({ reason: 'before-clear', automatic: true })).name);
+  }
+
+  const names = (await listBackups()).map((b) => b.name);
+  assert.equal(names.length, MAX_AUTOMATIC_BACKUPS + 1);
+  assert.ok(names.includes(manual.name));
+  assert.deepEqual(
+    names.filter((name) => name !== manual.name).sort(),
+    automatic.slice(2).sort()
+  );
+});
+
+test('a backup with a damaged database is refused before anything is touched', async () => {
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m1', 'Honda', 'CR125', 'motorcycles', 'u1')`);
+  await writeImage('blobs/ab/a.jpg', 'current');
+  const backup = await createBackup({ reason: 'manual' });
+
+  // Same archive, the database's pages after the header overwritten
+  const entries = [];
+  await readTar(getBackupPath(backup.name), async (entry) => {
+    entries.push({ name: entry.name, data: await entry.read() });
+  });
+  const database = entries.find((e) => e.name === 'database.sqlite').data;
+  database.fill(0xff, 4096);
+  const damaged = 'backup-20260101-000000-damaged.tar';
+  await writeTar(getBackupPath(damaged), entries);
+
+  await assert.rejects(restoreBackup(damaged), /damaged|malformed|not a database/);
+  assert.deepEqual(await motorcycleIds(), ['m1']);
+  assert.equal(await readImage('blobs/ab/a.jpg'), 'current');
+  // No safety backup either
+  assert.deepEqual((await listBackups()).map((b) => b.name).sort(), [damaged, backup.name].sort());
+});
+
+test('a failing step of a restore puts back both the database and the images', async (t) => {
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m1', 'Honda', 'CR125', 'motorcycles', 'u1')`);
+  await writeImage('blobs/ab/a.jpg', 'backed up');
+  const backup = await createBackup({ reason: 'manual' });
+  await db.run(`DELETE FROM motorcycles`);
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m2', 'Yamaha', 'YZ250', 'motorcycles', 'u2')`);
+  await writeImage('blobs/ab/a.jpg', 'current');
+
+  // Moving the restored images in place fails (e.g. EXDEV)
+  const { rename } = fs;
+  const renamed = mock.method(fs, 'rename', async (from, to) => {
+    if (to === process.env.IMAGES_DIR && from.includes(`${path.sep}extracted${path.sep}`)) {
+      throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+    }
+    return rename(from, to);
+  });
+  t.after(() => renamed.mock.restore());
+  await assert.rejects(restoreBackup(backup.name, { backupFirst: false }), { code: 'EXDEV' });
+  renamed.mock.restore();
+  assert.deepEqual(await motorcycleIds(), ['m2']);
+  assert.equal(await readImage('blobs/ab/a.jpg'), 'current');
+
+  // The database restore fails halfway, after the images were swapped
+  const { restoreFrom } = db;
+  const restored = mock.method(db, 'restoreFrom', async (file) => {
+    await restoreFrom.call(db, file);
+    throw new Error('disk I/O error');
+  }, { times: 1 });
+  t.after(() => restored.mock.restore());
+  await assert.rejects(restoreBackup(backup.name, { backupFirst: false }), /disk I\/O error/);
+  restored.mock.restore();
+  assert.deepEqual(await motorcycleIds(), ['m2']);
+  assert.equal(await readImage('blobs/ab/a.jpg'), 'current');
+
+  await restoreBackup(backup.name, { backupFirst: false });
+  assert.deepEqual(await motorcycleIds(), ['m1']);
+  assert.equal(await readImage('blobs/ab/a.jpg'), 'backed up');
+  // Nothing left over next to the image store
+  assert.deepEqual((await fs.readdir(root)).filter((name) => name.startsWith('.restore-')), []);
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { nextCronTime, parseCron } from '../src/scrapers/cron.js';
+
+// Local times, like the scheduler uses
+function at(year, month, day, hour = 0, minute = 0) {
+  return new Date(year, month - 1, day, hour, minute);
+}
+
+test('fields accept ranges, steps and lists', () => {
+  const cron = parseCron('*/15 8-18/2 1,15 1-3 *');
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+  assert.deepEqual([...cron.month], [1, 2, 3]);
+  assert.deepEqual([...cron.dayOfWeek].sort(), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+});
+
+test('malformed expressions are refused', () => {
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute out of range/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /hour out of range/);
+  assert.throws(() => parseCron('* * 0 * *'), /day of month out of range/);
+  assert.throws(() => parseCron('*/0 * * * *'), /out of range/);
+  assert.throws(() => parseCron('*-5 * * * *'), /Invalid cron minute field/);
+  assert.throws(() => parseCron('a * * * *'), /Invalid cron minute field/);
+});
+
+test('day-of-week 7 is Sunday', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+  // Wednesday 2026-03-04 -> Sunday 2026-03-08
+  assert.deepEqual(nextCronTime('30 6 * * 7', at(2026, 3, 4, 12)), at(2026, 3, 8, 6, 30));
+  assert.deepEqual(nextCronTime('30 6 * * 0', at(2026, 3, 4, 12)), at(2026, 3, 8, 6, 30));
+});
+
+test('the next time is strictly after the start, on the next matching minute', () => {
+  assert.deepEqual(nextCronTime('*/15 * * * *', at(2026, 3, 4, 10, 15)), at(2026, 3, 4, 10, 30));
+  assert.deepEqual(nextCronTime('0 8-18/2 * * *', at(2026, 3, 4, 18, 0)), at(2026, 3, 5, 8, 0));
+  assert.deepEqual(nextCronTime('0 3 1,15 * *', at(2026, 3, 2)), at(2026, 3, 15, 3, 0));
+});
+
+test('day-of-month and day-of-week match either way when both are restricted', () => {
+  // The 13th or any Friday: Friday 2026-03-06 comes first, then the 13th (also a Friday), then Friday 20th
+  const cron = parseCron('0 9 13 * 5');
+  assert.deepEqual(nextCronTime(cron, at(2026, 3, 4)), at(2026, 3, 6, 9, 0));
+  assert.deepEqual(nextCronTime(cron, at(2026, 3, 6, 10)), at(2026, 3, 13, 9, 0));
+  // The 10th (a Tuesday) or any Friday
+  assert.deepEqual(nextCronTime('0 9 10 * 5', at(2026, 3, 7)), at(2026, 3, 10, 9, 0));
+  // Only one restricted: that one alone decides
+  assert.deepEqual(nextCronTime('0 9 10 * *', at(2026, 3, 7)), at(2026, 3, 10, 9, 0));
+  assert.deepEqual(nextCronTime('0 9 * * 5', at(2026, 3, 7)), at(2026, 3, 13, 9, 0));
+});
+
+test('months and years roll over', () => {
+  assert.deepEqual(nextCronTime('0 0 1 * *', at(2026, 1, 31, 23, 59)), at(2026, 2, 1));
+  assert.deepEqual(nextCronTime('0 0 31 * *', at(2026, 2, 1)), at(2026, 3, 31));
+  assert.deepEqual(nextCronTime('59 23 31 12 *', at(2026, 12, 31, 23, 59)), at(2027, 12, 31, 23, 59));
+  assert.deepEqual(nextCronTime('0 0 29 2 *', at(2026, 1, 1)), at(2028, 2, 29));
+});
+
+test('an expression no date ever matches has no next time', () => {
+  assert.equal(nextCronTime('0 0 30 2 *', at(2026, 1, 1)), null);
+  assert.equal(nextCronTime('0 0 31 4,6,9,11 *', at(2026, 1, 1)), null);
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import sharp from 'sharp';
+
+const imagesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'export-test-'));
+process.env.DB_FILE = ':memory:';
+process.env.IMAGES_DIR = imagesDir;
+const { toCsv, toHtml } = await import('../src/collections/exportCollection.js');
+
+test.after(() => fs.rm(imagesDir, { recursive: true, force: true }));
+
+test('CSV cells that start like a formula stay text', () => {
+  const csv = toCsv([
+    { part_number: '=HYPERLINK("http://x")', name: '+1 lever', brand: '-', model: '@SUM(A1)', price: -5, url: '\tTAB' },
+    { part_number: 'CR-1', name: 'Clutch lever', brand: 'Honda', model: 'CR125', price: 12.5, is_deleted: 1 }
+  ]);
+  const [, first, second] = csv.split('\r\n');
+  assert.equal(first, `"'=HYPERLINK(""http://x"")",'+1 lever,'-,'@SUM(A1),-5,,yes,'\tTAB,`);
+  assert.equal(second, 'CR-1,Clutch lever,Honda,CR125,12.5,,no,,');
+});
+
+test('the printable sheet embeds thumbnails instead of the originals', async () => {
+  const original = await sharp({ create: { width: 2000, height: 1500, channels: 3, background: '#c33' } })
+    .jpeg({ quality: 100 })
+    .toBuffer();
+  await fs.mkdir(path.join(imagesDir, 'blobs/ab'), { recursive: true });
+  await fs.writeFile(path.join(imagesDir, 'blobs/ab/lever.jpg'), original);
+
+  const html = await toHtml({
+    tag: 'project',
+    parts: [
+      { part_number: 'CR-1', name: 'Clutch lever', brand: 'Honda', model: 'CR125', image_path: 'images/blobs/ab/lever.jpg' },
+      { part_number: 'CR-2', name: 'Brake lever', brand: 'Honda', model: 'CR125', image_path: 'images/missing.jpg' }
+    ]
+  });
+  const images = [...html.matchAll(/<img src="data:image\/jpeg;base64,([^"]+)"/g)].map((m) => Buffer.from(m[1], 'base64'));
+  assert.equal(images.length, 1);
+  const meta = await sharp(images[0]).metadata();
+  assert.equal(Math.max(meta.width, meta.height), 320);
+});
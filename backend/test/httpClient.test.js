@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import test from 'node:test';
+import { configureHttpClient, httpGet } from '../src/scrapers/httpClient.js';
+
+// Local stand-in for the scraped site
+function startServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('httpGet honours robots.txt, retries, and conditional requests', async (t) => {
+  const hits = { flaky: 0 };
+  let userAgent = null;
+  const server = await startServer((req, res) => {
+    userAgent = req.headers['user-agent'];
+    if (req.url === '/robots.txt') {
+      res.end('User-agent: *\nDisallow: /private/\n');
+    } else if (req.url === '/flaky.htm') {
+      hits.flaky += 1;
+      res.statusCode = hits.flaky < 3 ? 503 : 200;
+      res.end(hits.flaky < 3 ? 'busy' : 'ok');
+    } else if (req.url === '/page.htm') {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+      res.setHeader('ETag', '"v1"');
+      res.setHeader('Last-Modified', 'Mon, 01 Jan 2024 00:00:00 GMT');
+      res.end('<html></html>');
+    } else {
+      res.end('private');
+    }
+  });
+  t.after(() => server.close());
+  configureHttpClient({ minIntervalMs: 0, backoffMs: 5, maxRetries: 3, userAgent: 'mp-pitstop-test/1.0', respectRobots: true });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  await assert.rejects(httpGet(`${base}/private/x.htm`), { code: 'EROBOTS' });
+
+  const flaky = await httpGet(`${base}/flaky.htm`);
+  assert.equal(flaky.data, 'ok');
+  assert.equal(hits.flaky, 3);
+  assert.equal(userAgent, 'mp-pitstop-test/1.0');
+
+  const first = await httpGet(`${base}/page.htm`);
+  assert.equal(first.notModified, false);
+  assert.deepEqual(first.validators, { etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' });
+
+  const second = await httpGet(`${base}/page.htm`, { validators: first.validators });
+  assert.equal(second.notModified, true);
+  assert.equal(second.status, 304);
+});
+
+test('the per-host rate limit spaces requests', async (t) => {
+  const server = await startServer((req, res) => res.end('x'));
+  t.after(() => server.close());
+  configureHttpClient({ minIntervalMs: 60, respectRobots: false });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const startedAt = Date.now();
+  await Promise.all([httpGet(`${base}/a`), httpGet(`${base}/b`), httpGet(`${base}/c`)]);
+  assert.ok(Date.now() - startedAt >= 110, 'three requests need at least two intervals');
+});
+
+test('image requests are not held to the page interval', async (t) => {
+  const server = await startServer((req, res) => res.end('x'));
+  t.after(() => server.close());
+  configureHttpClient({ minIntervalMs: 200, imageIntervalMs: 0, maxConcurrentPerHost: 4, respectRobots: false });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const startedAt = Date.now();
+  await Promise.all(['a', 'b', 'c', 'd'].map((name) => httpGet(`${base}/${name}.jpg`, { kind: 'image' })));
+  assert.ok(Date.now() - startedAt < 200, 'images go out in parallel');
+
+  await httpGet(`${base}/page.htm`);
+  const pageAt = Date.now();
+  await httpGet(`${base}/next.htm`);
+  assert.ok(Date.now() - pageAt >= 190, 'pages still keep their interval');
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { detectImageFormat, isImageComplete } from '../src/scrapers/imageFormat.js';
+
+const jpeg = Buffer.concat([
+  Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]),
+  Buffer.from('JFIF\0 header'),
+  Buffer.from([0xff, 0xda, 0x00, 0x08, 0x12, 0xff, 0x00, 0x34, 0x56]),
+  Buffer.from([0xff, 0xd9])
+]);
+const png = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('\0\0\0\rIHDR...........\0\0\0\0IEND'),
+  Buffer.from([0xae, 0x42, 0x60, 0x82])
+]);
+
+test('image formats are recognised from their header', () => {
+  assert.equal(detectImageFormat(jpeg), 'jpeg');
+  assert.equal(detectImageFormat(png), 'png');
+  assert.equal(detectImageFormat(Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00\x00;')), 'gif');
+  assert.equal(detectImageFormat(Buffer.from('<html><body>Not found</body></html>')), null);
+  assert.equal(detectImageFormat(Buffer.alloc(0)), null);
+});
+
+test('files cut short are not complete', () => {
+  assert.equal(isImageComplete(jpeg), true);
+  assert.equal(isImageComplete(Buffer.concat([jpeg, Buffer.from('camera trailer')])), true);
+  assert.equal(isImageComplete(jpeg.subarray(0, jpeg.length - 4)), false);
+  assert.equal(isImageComplete(png), true);
+  assert.equal(isImageComplete(png.subarray(0, png.length - 10)), false);
+});
+
+test('a jpeg truncated after its EXIF thumbnail is not complete', () => {
+  const thumbnail = Buffer.from([0xff, 0xd8, 0xff, 0xda, 0x01, 0x02, 0xff, 0xd9]);
+  const truncated = Buffer.concat([jpeg.subarray(0, 12), thumbnail, Buffer.from([0xff, 0xda, 0x00, 0x08, 0x12])]);
+  assert.equal(isImageComplete(truncated), false);
+});
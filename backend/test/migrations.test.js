@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import sqlite3 from 'sqlite3';
+import { loadMigrations, migrateDown, migrateUp, migrationStatus } from '../src/db/migrator.js';
+
+// Same promise interface as the Database wrapper, on an in-memory database
+function memoryDb() {
+  const raw = new sqlite3.Database(':memory:');
+  const call = (method, sql, params = []) => new Promise((resolve, reject) => {
+    raw[method](sql, params, function (err, result) {
+      if (err) reject(err);
+      else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+    });
+  });
+  return {
+    run: (sql, params) => call('run', sql, params),
+    get: (sql, params) => call('get', sql, params),
+    all: (sql, params) => call('all', sql, params),
+    close: () => new Promise((resolve) => raw.close(resolve))
+  };
+}
+
+async function tableNames(db) {
+  const rows = await db.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'parts_fts_%' AND name NOT LIKE 'sqlite_%'`);
+  return rows.map((r) => r.name).sort();
+}
+
+test('migration files have unique, increasing versions', async () => {
+  const migrations = await loadMigrations();
+  assert.ok(migrations.length >= 2);
+  assert.equal(migrations[0].version, 1);
+  assert.deepEqual(migrations.map((m) => m.version), [...migrations.map((m) => m.version)].sort((a, b) => a - b));
+});
+
+test('a new database migrates up and all the way down again', async () => {
+  const db = memoryDb();
+  const ran = await migrateUp(db);
+  assert.equal(ran[0], '001_baseline');
+  assert.ok((await tableNames(db)).includes('part_images'));
+  assert.deepEqual(await migrateUp(db), []);
+  assert.ok((await migrationStatus(db)).every((m) => m.appliedAt));
+
+  await migrateDown(db, { to: 0 });
+  assert.deepEqual(await tableNames(db), ['schema_migrations']);
+  assert.ok((await migrationStatus(db)).every((m) => !m.appliedAt));
+  await db.close();
+});
+
+test('the baseline adds missing columns to an old database and orphans are cleaned up', async () => {
+  const db = memoryDb();
+  await db.run(`CREATE TABLE motorcycles (id TEXT PRIMARY KEY, brand TEXT NOT NULL, model TEXT NOT NULL, category TEXT NOT NULL, url TEXT NOT NULL, last_updated DATETIME)`);
+  await db.run(`CREATE TABLE parts (id TEXT PRIMARY KEY, motorcycle_id TEXT NOT NULL, name TEXT NOT NULL, part_number TEXT NOT NULL, url TEXT NOT NULL, scraped_at DATETIME, FOREIGN KEY (motorcycle_id) REFERENCES motorcycles(id))`);
+  await db.run(`INSERT INTO motorcycles VALUES ('m1', 'Aprilia', 'RS 125', 'motorcycles', 'u', '2024-01-01 10:00:00')`);
+  await db.run(`INSERT INTO parts VALUES ('p1', 'm1', 'Fork', 'AP1', 'u', '2024-01-02 10:00:00')`);
+  await db.run(`INSERT INTO parts VALUES ('p2', 'gone', 'Seat', 'AP2', 'u', '2024-01-02 10:00:00')`);
+
+  await migrateUp(db);
+  await db.run('PRAGMA foreign_keys = ON');
+
+  const part = await db.get('SELECT source_id, first_seen, is_deleted FROM parts WHERE id = ?', ['p1']);
+  assert.deepEqual(part, { source_id: 'purkuosat', first_seen: '2024-01-02 10:00:00', is_deleted: 0 });
+  assert.equal(await db.get('SELECT id FROM parts WHERE id = ?', ['p2']), undefined);
+  // The removed orphan is kept as it was
+  const [orphan, ...others] = await db.all('SELECT table_name, column_name, action, row_data FROM foreign_key_orphans');
+  assert.deepEqual(others, []);
+  assert.deepEqual({ ...orphan, row_data: undefined }, { table_name: 'parts', column_name: 'motorcycle_id', action: 'deleted', row_data: undefined });
+  assert.equal(JSON.parse(orphan.row_data).name, 'Seat');
+  assert.deepEqual(await db.all('PRAGMA foreign_key_check'), []);
+  await assert.rejects(db.run(`INSERT INTO part_tags (part_id, tag_id) VALUES ('nope', 1)`), /FOREIGN KEY/);
+  await db.close();
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { createParseDiagnostics } from '../src/scrapers/diagnostics.js';
+import { parseParts } from '../src/scrapers/parseParts.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PAGE_URL = 'https://www.purkuosat.net/skipped-blocks.htm';
+
+function diagnose(file) {
+  const html = fs.readFileSync(path.join(__dirname, 'golden', file), 'utf8');
+  const diagnostics = createParseDiagnostics();
+  const parts = parseParts(html, PAGE_URL, { diagnostics });
+  return { parts, diagnostics };
+}
+
+test('diagnostics report skipped blocks with a reason', () => {
+  const { diagnostics } = diagnose('skipped-blocks.html');
+  assert.equal(diagnostics.blocksSeen, 5);
+  assert.equal(diagnostics.counts.skipped, 2);
+  assert.deepEqual(
+    diagnostics.skipped.map((s) => [s.reason, s.name, s.partNumber, s.location]),
+    [
+      ['no_price', 'Moottori', 'AP0277100', 'table 2, row 1'],
+      ['zero_price', 'Polttoainehana', 'AP8220134', 'table 3, row 1']
+    ]
+  );
+  assert.match(diagnostics.skipped[0].snippet, /^OSA Moottori \| OSANRO AP0277100/);
+});
+
+test('diagnostics report merged duplicates and missing fields', () => {
+  const { parts, diagnostics } = diagnose('skipped-blocks.html');
+  assert.equal(diagnostics.partsParsed, parts.length);
+  assert.deepEqual(diagnostics.duplicates, [
+    { key: 'AP8127055', name: 'Vilkku', partNumber: 'AP8127055', price: 14, keptPrice: 12 }
+  ]);
+  assert.deepEqual(diagnostics.noPartNumber.map((p) => p.name), ['Kilpiteline']);
+  assert.deepEqual(diagnostics.noImage.map((p) => p.name), ['Kilpiteline']);
+});
+
+test('a clean page has no diagnostic counts', () => {
+  const { diagnostics } = diagnose('basic-blocks.html');
+  assert.equal(diagnostics.blocksSeen, 2);
+  assert.deepEqual(diagnostics.counts, { skipped: 0, duplicates: 0, noPartNumber: 0, noImage: 0 });
+});
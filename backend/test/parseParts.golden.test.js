@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { parseParts } from '../src/scrapers/parseParts.js';
+
+// Golden-file tests for the model page parser. Every test/golden/<name>.html
+// is parsed and compared with <name>.expected.json. After an intended parser
+// change, regenerate the expectations with:
+//   UPDATE_GOLDEN=1 npm test
+// and review the diff of the .expected.json files before committing.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+const FIELDS = ['name', 'partNumber', 'description', 'price', 'currency', 'imageUrl', 'imageUrls'];
+
+function keyOf(part) {
+  return part.partNumber || part.name;
+}
+
+function pick(part) {
+  return Object.fromEntries(FIELDS.map((field) => [field, part[field] ?? null]));
+}
+
+// One line per missing/unexpected part and per changed field
+function diffParts(expected, actual) {
+  const lines = [];
+  const actualByKey = new Map(actual.map((p) => [keyOf(p), p]));
+  const expectedKeys = new Set(expected.map(keyOf));
+
+  for (const exp of expected) {
+    const key = keyOf(exp);
+    const act = actualByKey.get(key);
+    if (!act) {
+      lines.push(`- missing part "${key}"`);
+      continue;
+    }
+    for (const field of FIELDS) {
+      const a = JSON.stringify(exp[field] ?? null);
+      const b = JSON.stringify(act[field] ?? null);
+      if (a !== b) lines.push(`~ "${key}".${field}: expected ${a}, got ${b}`);
+    }
+  }
+  for (const act of actual) {
+    if (!expectedKeys.has(keyOf(act))) lines.push(`+ unexpected part "${keyOf(act)}": ${JSON.stringify(pick(act))}`);
+  }
+  if (lines.length === 0) {
+    const order = (list) => list.map(keyOf).join(', ');
+    if (order(expected) !== order(actual)) {
+      lines.push(`~ part order: expected [${order(expected)}], got [${order(actual)}]`);
+    }
+  }
+  return lines;
+}
+
+const samples = fs.readdirSync(GOLDEN_DIR).filter((f) => f.endsWith('.html')).sort();
+
+test('golden samples exist', () => {
+  assert.ok(samples.length > 0, `no .html samples in ${GOLDEN_DIR}`);
+});
+
+for (const file of samples) {
+  const name = path.basename(file, '.html');
+  const expectedFile = path.join(GOLDEN_DIR, `${name}.expected.json`);
+
+  test(`parseParts golden: ${name}`, () => {
+    const html = fs.readFileSync(path.join(GOLDEN_DIR, file), 'utf8');
+    const stored = fs.existsSync(expectedFile) ? JSON.parse(fs.readFileSync(expectedFile, 'utf8')) : null;
+    const pageUrl = stored?.pageUrl || `https://www.purkuosat.net/${name}.htm`;
+    const actual = parseParts(html, pageUrl).map(pick);
+
+    if (UPDATE || !stored) {
+      fs.writeFileSync(expectedFile, `${JSON.stringify({ pageUrl, parts: actual }, null, 2)}\n`);
+      if (!stored && !UPDATE) assert.fail(`wrote missing ${path.basename(expectedFile)}; review it and re-run`);
+      return;
+    }
+
+    const diff = diffParts(stored.parts, actual);
+    assert.ok(diff.length === 0, `parser output changed for ${file}:\n${diff.join('\n')}`);
+  });
+}
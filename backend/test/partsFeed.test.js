@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.DB_FILE = ':memory:';
+const { db } = await import('../src/db/database.js');
+const { decodeCursor, encodeCursor, getPartsFeedPage, readFeedFilters } = await import('../src/db/partsFeed.js');
+await db.ready;
+
+test('cursors hold only strings, numbers and nulls', () => {
+  assert.deepEqual(decodeCursor(encodeCursor(['2026-01-01 10:00:00', 3, null])), ['2026-01-01 10:00:00', 3, null]);
+  assert.equal(decodeCursor(encodeCursor([{ a: 1 }, 'p1'])), null);
+  assert.equal(decodeCursor(encodeCursor([['x'], 'p1'])), null);
+  assert.equal(decodeCursor(encodeCursor([true, 'p1'])), null);
+  assert.equal(decodeCursor(encodeCursor({ 0: 'p1' })), null);
+  assert.equal(decodeCursor('not base64 json'), null);
+});
+
+test('a cursor of the right length with other values is refused as invalid', async () => {
+  await assert.rejects(
+    getPartsFeedPage(readFeedFilters(), { sort: 'price', cursor: encodeCursor([{ price: 1 }, 'p1']) }),
+    /Invalid cursor/
+  );
+  const page = await getPartsFeedPage(readFeedFilters(), { sort: 'price', cursor: encodeCursor([10, 'p1']) });
+  assert.deepEqual(page.items, []);
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createPool, mapPool } from '../src/scrapers/pool.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('mapPool keeps at most `limit` tasks in flight and preserves order', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapPool([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await delay(ms);
+    active -= 1;
+    return i;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('queued tasks do not start after the signal aborts', async () => {
+  const pool = createPool(1);
+  const controller = new AbortController();
+  const started = [];
+  const first = pool.run(async () => {
+    started.push('first');
+    await delay(20);
+    return 'first';
+  }, controller.signal);
+  const second = pool.run(async () => {
+    started.push('second');
+  }, controller.signal);
+  controller.abort();
+
+  assert.equal(await first, 'first');
+  await assert.rejects(second, /Scrape aborted/);
+  assert.deepEqual(started, ['first']);
+});
+
+test('mapPool stops starting new items after a failure', async () => {
+  const started = [];
+  await assert.rejects(
+    mapPool([1, 2, 3, 4], 1, async (n) => {
+      started.push(n);
+      if (n === 2) throw new Error('boom');
+    }),
+    /boom/
+  );
+  assert.deepEqual(started, [1, 2]);
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { isPathAllowed, parseRobotsTxt } from '../src/scrapers/robots.js';
+
+const ROBOTS = `
+# comment
+User-agent: *
+Disallow: /admin/
+Disallow: /*.pdf$
+Allow: /admin/public/
+Crawl-delay: 2
+
+User-agent: mp-pitstop
+User-agent: otherbot
+Disallow: /images/private/
+`;
+
+test('the * group applies to unnamed agents', () => {
+  const robots = parseRobotsTxt(ROBOTS, 'somebot/2.0');
+  assert.equal(robots.crawlDelay, 2);
+  assert.equal(isPathAllowed(robots, '/lista.htm'), true);
+  assert.equal(isPathAllowed(robots, '/admin/login'), false);
+  assert.equal(isPathAllowed(robots, '/admin/public/info.htm'), true);
+  assert.equal(isPathAllowed(robots, '/manual.pdf'), false);
+  assert.equal(isPathAllowed(robots, '/manual.pdf?x=1'), true);
+});
+
+test('a named group replaces the * group', () => {
+  const robots = parseRobotsTxt(ROBOTS, 'mp-pitstop/1.0 (personal parts tracker)');
+  assert.equal(robots.crawlDelay, null);
+  assert.equal(isPathAllowed(robots, '/admin/login'), true);
+  assert.equal(isPathAllowed(robots, '/images/private/a.jpg'), false);
+});
+
+test('a group applies only to the whole product token', () => {
+  const text = 'User-agent: *\nDisallow: /admin/\n\nUser-agent: pitstop\nUser-agent: MP-PITSTOP/2.0\nDisallow: /images/\n';
+  assert.equal(isPathAllowed(parseRobotsTxt(text, 'mp-pitstop/1.0'), '/images/a.jpg'), false);
+  const other = parseRobotsTxt(text, 'mp-pitstop-robotstest/1.0');
+  assert.equal(isPathAllowed(other, '/images/a.jpg'), true);
+  assert.equal(isPathAllowed(other, '/admin/'), false);
+  assert.equal(isPathAllowed(parseRobotsTxt(text, 'pit/1.0'), '/images/a.jpg'), true);
+});
+
+test('empty Disallow and missing rules allow everything', () => {
+  const robots = parseRobotsTxt('User-agent: *\nDisallow:\n', 'mp-pitstop/1.0');
+  assert.equal(isPathAllowed(robots, '/anything'), true);
+  assert.equal(isPathAllowed(parseRobotsTxt('', 'x'), '/'), true);
+});
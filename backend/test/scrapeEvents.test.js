@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { getBufferedScrapeEvents, publishScrapeEvent, subscribeScrapeEvents } from '../src/scrapers/scrapeEvents.js';
+
+test('published events get increasing ids and reach subscribers until they unsubscribe', () => {
+  const received = [];
+  const unsubscribe = subscribeScrapeEvents((event) => received.push(event));
+  const first = publishScrapeEvent({ type: 'run_started', runId: 1 });
+  const second = publishScrapeEvent({ type: 'part_inserted', runId: 1, partNumber: 'A-1' });
+  unsubscribe();
+  publishScrapeEvent({ type: 'run_finished', runId: 1 });
+
+  assert.ok(second.id > first.id);
+  assert.ok(first.at);
+  assert.deepEqual(received.map((e) => e.type), ['run_started', 'part_inserted']);
+});
+
+test('buffered events can be replayed after an id', () => {
+  const marker = publishScrapeEvent({ type: 'model_started', runId: 2 });
+  publishScrapeEvent({ type: 'model_finished', runId: 2 });
+
+  assert.deepEqual(getBufferedScrapeEvents(marker.id).map((e) => e.type), ['model_finished']);
+  // An id from a previous server process replays the whole buffer
+  assert.equal(getBufferedScrapeEvents(marker.id + 1000).length, getBufferedScrapeEvents().length);
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import test, { mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+process.env.DB_FILE = ':memory:';
+const { db } = await import('../src/db/database.js');
+const { storeModelPage } = await import('../src/scrapers/scraper.js');
+const { getSource } = await import('../src/scrapers/sources/index.js');
+await db.ready;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+async function pageFor(listingUrl, brand, model) {
+  const link = { text: `${brand} ${model}`, href: listingUrl, category: 'motorcycles' };
+  return {
+    link,
+    listingUrl,
+    source: getSource('purkuosat'),
+    brand,
+    model,
+    known: null,
+    response: {
+      data: await fs.readFile(path.join(__dirname, 'golden/basic-blocks.html'), 'utf8'),
+      notModified: false,
+      validators: { etag: null, lastModified: null }
+    },
+    outcome: { status: 'ok', label: link.text, url: listingUrl }
+  };
+}
+
+async function count(table) {
+  return (await db.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+}
+
+test('a single model page is stored into an empty database with foreign keys on', async () => {
+  assert.equal((await db.get('PRAGMA foreign_keys')).foreign_keys, 1);
+  assert.equal(await count('sources'), 0);
+
+  const outcome = await storeModelPage(
+    await pageFor('https://www.purkuosat.net/apriliamx12505.htm', 'Aprilia', 'MX 125'),
+    { downloadImages: false }
+  );
+
+  assert.equal(outcome.status, 'ok', outcome.error);
+  assert.equal(outcome.partsInserted, 2);
+  assert.deepEqual(await db.all('SELECT id FROM sources'), [{ id: 'purkuosat' }]);
+  assert.equal((await db.get('SELECT COUNT(*) AS count FROM motorcycles WHERE source_id = ?', ['purkuosat'])).count, 1);
+});
+
+test('a part that cannot be written fails its whole page', async (t) => {
+  const before = { motorcycles: await count('motorcycles'), parts: await count('parts') };
+  const { run } = db;
+  let inserts = 0;
+  const failing = mock.method(db, 'run', async function (sql, params) {
+    if (/^\s*INSERT INTO parts \(/.test(sql) && ++inserts === 2) throw new Error('SQLITE_FULL: database or disk is full');
+    return run.call(this, sql, params);
+  });
+  t.after(() => failing.mock.restore());
+
+  const outcome = await storeModelPage(
+    await pageFor('https://www.purkuosat.net/hondacr12590.htm', 'Honda', 'CR 125'),
+    { downloadImages: false }
+  );
+  failing.mock.restore();
+
+  assert.equal(outcome.status, 'failed');
+  assert.match(outcome.error, /Could not insert AP8133802 \| Takajarrusatula: SQLITE_FULL/);
+  assert.deepEqual({ motorcycles: await count('motorcycles'), parts: await count('parts') }, before);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test, { mock } from 'node:test';
+import { extractTar, readTar, writeTar } from '../src/backups/tar.js';
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tar-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('files written to an archive come back unchanged', async (t) => {
+  const dir = await tempDir(t);
+  const big = Buffer.alloc(1024 * 1024 * 2 + 7, 0xab);
+  await fs.writeFile(path.join(dir, 'big.bin'), big);
+  const longName = `images/${'nested-folder/'.repeat(12)}${'x'.repeat(90)}.jpg`;
+
+  const archive = path.join(dir, 'out.tar');
+  await writeTar(archive, [
+    { name: 'manifest.json', data: Buffer.from('{"version":1}') },
+    { name: 'images/blobs/ab/big.bin', abs: path.join(dir, 'big.bin') },
+    { name: longName, data: Buffer.from('long') },
+    { name: 'empty.txt', data: Buffer.alloc(0) }
+  ]);
+  assert.equal((await fs.stat(archive)).size % 512, 0);
+
+  const out = path.join(dir, 'out');
+  const names = await extractTar(archive, out);
+  assert.deepEqual(names, ['manifest.json', 'images/blobs/ab/big.bin', longName, 'empty.txt']);
+  assert.deepEqual(await fs.readFile(path.join(out, 'images/blobs/ab/big.bin')), big);
+  assert.equal(await fs.readFile(path.join(out, longName), 'utf8'), 'long');
+  assert.equal((await fs.stat(path.join(out, 'empty.txt'))).size, 0);
+});
+
+test('reading stops when the callback returns false', async (t) => {
+  const dir = await tempDir(t);
+  const archive = path.join(dir, 'out.tar');
+  await writeTar(archive, [
+    { name: 'a.txt', data: Buffer.from('first') },
+    { name: 'b.txt', data: Buffer.from('second') }
+  ]);
+
+  const seen = [];
+  await readTar(archive, async (entry) => {
+    seen.push(`${entry.name}=${await entry.read()}`);
+    return false;
+  });
+  assert.deepEqual(seen, ['a.txt=first']);
+});
+
+test('entries outside the target directory are refused', async (t) => {
+  const dir = await tempDir(t);
+  const archive = path.join(dir, 'evil.tar');
+  await writeTar(archive, [{ name: '../escaped.txt', data: Buffer.from('nope') }]);
+
+  await assert.rejects(extractTar(archive, path.join(dir, 'out')), /Unsafe path/);
+  await assert.rejects(fs.access(path.join(dir, 'escaped.txt')));
+});
+
+test('a file whose size changes while it is archived does not corrupt the archive', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'legacy.jpg');
+  await fs.writeFile(file, 'abcdefgh');
+  // The stat the header is built from sees another size than the read does
+  const { stat } = fs;
+  const statAs = (size) => mock.method(fs, 'stat', async (abs) => ({ ...(await stat(abs)), size }));
+
+  const grown = statAs(4);
+  t.after(() => grown.mock.restore());
+  const archive = path.join(dir, 'grown.tar');
+  await writeTar(archive, [
+    { name: 'images/legacy.jpg', abs: file },
+    { name: 'after.txt', data: Buffer.from('still readable') }
+  ]);
+  grown.mock.restore();
+  const out = path.join(dir, 'out');
+  await extractTar(archive, out);
+  assert.equal(await fs.readFile(path.join(out, 'images/legacy.jpg'), 'utf8'), 'abcd');
+  assert.equal(await fs.readFile(path.join(out, 'after.txt'), 'utf8'), 'still readable');
+
+  const shrunk = statAs(20);
+  t.after(() => shrunk.mock.restore());
+  await assert.rejects(
+    writeTar(path.join(dir, 'shrunk.tar'), [{ name: 'images/legacy.jpg', abs: file }]),
+    /changed while it was archived/
+  );
+});
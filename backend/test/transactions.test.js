@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.DB_FILE = ':memory:';
+const { db } = await import('../src/db/database.js');
+await db.ready;
+await db.run('CREATE TABLE items (name TEXT PRIMARY KEY)');
+
+async function names() {
+  return (await db.all('SELECT name FROM items ORDER BY name')).map((r) => r.name);
+}
+
+test.beforeEach(async () => {
+  await db.run('DELETE FROM items');
+});
+
+test('a transaction commits when its callback resolves', async () => {
+  const value = await db.transaction(async (tx) => {
+    await tx.run(`INSERT INTO items VALUES ('a')`);
+    await db.run(`INSERT INTO items VALUES ('b')`);
+    return 'done';
+  });
+  assert.equal(value, 'done');
+  assert.deepEqual(await names(), ['a', 'b']);
+});
+
+test('a transaction rolls back and rethrows when its callback rejects', async () => {
+  await assert.rejects(db.transaction(async (tx) => {
+    await tx.run(`INSERT INTO items VALUES ('a')`);
+    throw new Error('boom');
+  }), /boom/);
+  assert.deepEqual(await names(), []);
+});
+
+test('a nested transaction is a savepoint that rolls back on its own', async () => {
+  await db.transaction(async (tx) => {
+    await tx.run(`INSERT INTO items VALUES ('outer')`);
+    await assert.rejects(db.transaction(async (inner) => {
+      await inner.run(`INSERT INTO items VALUES ('inner')`);
+      await inner.run(`INSERT INTO items VALUES ('outer')`);
+    }), /UNIQUE/);
+    await tx.transaction(async (inner) => {
+      await inner.run(`INSERT INTO items VALUES ('kept')`);
+    });
+  });
+  assert.deepEqual(await names(), ['kept', 'outer']);
+});
+
+test('statements from outside wait for the open transaction', async () => {
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const pending = db.transaction(async (tx) => {
+    await tx.run(`INSERT INTO items VALUES ('tx')`);
+    await gate;
+    throw new Error('rolled back');
+  });
+  // Not part of the transaction, so not rolled back with it
+  const outside = db.run(`INSERT INTO items VALUES ('outside')`);
+  const seen = db.all('SELECT name FROM items');
+  release();
+  await assert.rejects(pending, /rolled back/);
+  await outside;
+  assert.deepEqual(await seen, [{ name: 'outside' }]);
+});
+
+test('transactions started together run one after another', async () => {
+  const order = [];
+  await Promise.all(['x', 'y'].map((name) => db.transaction(async (tx) => {
+    order.push(`${name}:start`);
+    await tx.run('INSERT INTO items VALUES (?)', [name]);
+    order.push(`${name}:end`);
+  })));
+  assert.deepEqual(order, ['x:start', 'x:end', 'y:start', 'y:end']);
+  assert.deepEqual(await names(), ['x', 'y']);
+});
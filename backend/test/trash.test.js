@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.DB_FILE = ':memory:';
+const { db } = await import('../src/db/database.js');
+const { listTrash, purgeTrash, restoreFromTrash, trashTag } = await import('../src/db/trash.js');
+const { findModelsMatching, previewModelRemoval, removeModels } = await import('../src/db/modelRemoval.js');
+await db.ready;
+
+async function seed() {
+  const tables = [
+    'trash', 'alerts', 'saved_search_matches', 'saved_searches', 'part_tags', 'tags', 'selections',
+    'part_images', 'parts_history', 'parts_fts', 'parts', 'motorcycles'
+  ];
+  for (const table of tables) {
+    await db.run(`DELETE FROM ${table}`);
+  }
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m1', 'Honda', 'CR125', 'motorcycles', 'u1')`);
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m2', 'Yamaha', 'YZ250', 'motorcycles', 'u2')`);
+  await db.run(`INSERT INTO parts (id, motorcycle_id, name, part_number, url, image_path) VALUES ('p1', 'm1', 'Clutch lever', 'CL-1', 'u', 'images/a.jpg')`);
+  await db.run(`INSERT INTO parts (id, motorcycle_id, name, part_number, url, image_path) VALUES ('p2', 'm2', 'Brake pedal', 'BP-2', 'u', 'images/shared.jpg')`);
+  await db.run(`INSERT INTO part_images (part_id, image_url, image_path) VALUES ('p1', 'http://x/a.jpg', 'images/a.jpg')`);
+  await db.run(`INSERT INTO part_images (part_id, image_url, image_path) VALUES ('p1', 'http://x/s.jpg', 'images/shared.jpg')`);
+  await db.run(`INSERT INTO selections (part_id) VALUES ('p1')`);
+  await db.run(`INSERT INTO tags (id, name) VALUES (1, 'keep'), (2, 'project')`);
+  await db.run(`INSERT INTO part_tags (part_id, tag_id) VALUES ('p1', 1), ('p1', 2), ('p2', 2)`);
+  await db.run(`INSERT INTO saved_searches (id, name, query) VALUES (1, 'levers', 'lever')`);
+  await db.run(`INSERT INTO saved_search_matches (search_id, part_id, price) VALUES (1, 'p1', 10)`);
+  await db.run(`INSERT INTO alerts (search_id, part_id, alert_type) VALUES (1, 'p1', 'new')`);
+}
+
+async function removeModel(query) {
+  return (await removeModels(await findModelsMatching(query))).trash;
+}
+
+async function count(sql, params = []) {
+  return (await db.get(`SELECT COUNT(*) AS count FROM (${sql})`, params)).count;
+}
+
+test('a removed model comes back with its parts, images, selections, tags and alerts', async () => {
+  await seed();
+  const entry = await removeModel('honda');
+  assert.equal(await count('SELECT * FROM parts'), 1);
+  assert.equal(await count('SELECT * FROM alerts'), 0);
+  assert.equal(await count('SELECT * FROM saved_search_matches'), 0);
+
+  const [item] = await listTrash();
+  assert.equal(item.id, entry.id);
+  assert.equal(item.kind, 'models');
+  assert.deepEqual(item.summary, { motorcycles: 1, parts: 1, images: 2, selections: 1, tagAssignments: 2, alerts: 1 });
+
+  const result = await restoreFromTrash(entry.id);
+  assert.deepEqual(result.restored, { motorcycles: 1, parts: 1, tagAssignments: 2, alerts: 1 });
+  assert.equal(await count(`SELECT * FROM parts WHERE id = 'p1' AND image_path = 'images/a.jpg'`), 1);
+  assert.equal(await count(`SELECT * FROM part_images WHERE part_id = 'p1'`), 2);
+  assert.equal(await count(`SELECT * FROM alerts WHERE part_id = 'p1'`), 1);
+  assert.equal(await count(`SELECT * FROM saved_search_matches WHERE part_id = 'p1'`), 1);
+  assert.equal(await count(`SELECT * FROM selections WHERE part_id = 'p1'`), 1);
+  assert.equal(await count(`SELECT * FROM part_tags WHERE part_id = 'p1'`), 2);
+  assert.equal(await count(`SELECT * FROM parts_fts WHERE part_id = 'p1'`), 1);
+  assert.deepEqual(await listTrash(), []);
+});
+
+test('a dry run previews the removal without deleting anything', async () => {
+  await seed();
+  const matched = await findModelsMatching('cr 125');
+  assert.deepEqual(matched.map((m) => m.id), ['m1']);
+
+  const preview = await previewModelRemoval(matched);
+  assert.deepEqual(preview.matches, [{ id: 'm1', brand: 'Honda', model: 'CR125', parts: 1, images: 2 }]);
+  assert.deepEqual(preview.totals, { motorcycles: 1, parts: 1, images: 2, sharedImages: 1 });
+  assert.deepEqual(preview.imageFiles, [
+    { path: 'images/a.jpg', shared: false },
+    { path: 'images/shared.jpg', shared: true }
+  ]);
+
+  assert.equal(await count('SELECT * FROM motorcycles'), 2);
+  assert.equal(await count('SELECT * FROM parts'), 2);
+  assert.equal(await count('SELECT * FROM part_images'), 2);
+  assert.equal(await count('SELECT * FROM alerts'), 1);
+  assert.deepEqual(await listTrash(), []);
+});
+
+test('a model scraped again since it was removed is not restored over', async () => {
+  await seed();
+  const entry = await removeModel('honda');
+  await db.run(`INSERT INTO motorcycles (id, brand, model, category, url) VALUES ('m1', 'Honda', 'CR125', 'motorcycles', 'u1')`);
+
+  await assert.rejects(restoreFromTrash(entry.id), (error) => error.code === 'ETRASHCONFLICT');
+  assert.equal((await listTrash()).length, 1);
+  assert.equal(await restoreFromTrash(9999), null);
+});
+
+test('assignments of a trashed tag go to parts that still exist', async () => {
+  await seed();
+  const entry = await db.transaction(async () => {
+    const trashed = await trashTag(2);
+    await db.run('DELETE FROM part_tags WHERE tag_id = 2');
+    await db.run('DELETE FROM tags WHERE id = 2');
+    return trashed;
+  });
+  await removeModel('yamaha');
+  // Created again under the same name in the meantime
+  await db.run(`INSERT INTO tags (name) VALUES ('project')`);
+
+  const result = await restoreFromTrash(entry.id);
+  assert.deepEqual(result.restored, { tagAssignments: 1 });
+  assert.deepEqual(
+    await db.all(`SELECT pt.part_id FROM part_tags pt JOIN tags t ON t.id = pt.tag_id WHERE t.name = 'project'`),
+    [{ part_id: 'p1' }]
+  );
+});
+
+test('purging removes entries, optionally only the expired ones', async () => {
+  await seed();
+  const removed = await removeModel('honda');
+  process.env.TRASH_RETENTION_DAYS = '0';
+  try {
+    await removeModel('yamaha');
+  } finally {
+    delete process.env.TRASH_RETENTION_DAYS;
+  }
+
+  assert.equal((await purgeTrash({ expiredOnly: true })).purged, 1);
+  assert.deepEqual((await listTrash()).map((t) => t.id), [removed.id]);
+  assert.equal((await purgeTrash()).purged, 1);
+  assert.deepEqual(await listTrash(), []);
+});
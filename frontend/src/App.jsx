@@ -2,15 +2,26 @@ import React, { useState, useEffect } from 'react';
 import { SelectionsSummary } from './components/SelectionsSummary';
 import { PartsFeed } from './components/PartsFeed';
 import { ChangesHistory } from './components/ChangesHistory';
+import { AlertsPanel } from './components/AlertsPanel';
+import { ScrapeRunsPanel } from './components/ScrapeRunsPanel';
+import { ScrapeLogDrawer } from './components/ScrapeLogDrawer';
+import { subscribeScrapeEvents } from './utils/scrapeEvents';
 import './App.css';
 
+const MAX_LOG_EVENTS = 1000;
+
 function App() {
-  const [view, setView] = useState('main'); // main, collections, history
+  const [view, setView] = useState('main'); // main, collections, history, alerts, runs
   const [isScraping, setIsScraping] = useState(false);
+  const [scrapeProgress, setScrapeProgress] = useState(null);
+  const [scrapeLog, setScrapeLog] = useState([]);
+  const [scrapeLogOpen, setScrapeLogOpen] = useState(false);
   const [scrapeBrandsInput, setScrapeBrandsInput] = useState('Aprilia 125,Cagiva 125');
+  const [scrapeMode, setScrapeMode] = useState('incremental');
   const [removeModelInput, setRemoveModelInput] = useState('');
   const [searchInput, setSearchInput] = useState('');
   const [feedVersion, setFeedVersion] = useState(0);
+  const [unreadAlerts, setUnreadAlerts] = useState(0);
   const [feedStats, setFeedStats] = useState({
     filtered: 0,
     loaded: 0,
@@ -20,26 +31,40 @@ function App() {
     brands: 0
   });
 
-  useEffect(() => {
-    fetch('/api/motorcycles/scrape-status')
-      .then((r) => r.json())
-      .then((d) => setIsScraping(Boolean(d?.running)))
-      .catch(() => {});
-  }, []);
+  // Scrape state and the live log come from the /api/scrape/events stream
+  useEffect(() => subscribeScrapeEvents((event) => {
+    if (event.type === 'status') {
+      setIsScraping(Boolean(event.running));
+      setScrapeProgress(event.progress || null);
+      return;
+    }
+    setScrapeLog((log) => {
+      if (log.length > 0 && log[log.length - 1].id >= event.id) return log;
+      return [...log, event].slice(-MAX_LOG_EVENTS);
+    });
+    if (event.type === 'run_finished') {
+      setIsScraping(false);
+      setScrapeProgress(null);
+    } else {
+      setIsScraping(true);
+      if (event.progress) setScrapeProgress(event.progress);
+    }
+  }), []);
 
+  const refreshUnreadAlerts = async () => {
+    try {
+      const response = await fetch('/api/alerts/unread-count');
+      const data = await response.json();
+      setUnreadAlerts(Number(data?.count) || 0);
+    } catch (err) {
+      console.error('Error loading unread alerts:', err);
+    }
+  };
+
+  // Saved searches are evaluated when a scrape finishes
   useEffect(() => {
-    if (!isScraping) return;
-    const check = async () => {
-      try {
-        const response = await fetch('/api/motorcycles/scrape-status');
-        const data = await response.json();
-        setIsScraping(Boolean(data?.running));
-      } catch (err) {
-        console.error('Error checking scrape status:', err);
-      }
-    };
-    const interval = setInterval(check, 2000);
-    return () => clearInterval(interval);
+    if (isScraping) return;
+    refreshUnreadAlerts();
   }, [isScraping]);
 
   const handleViewCollections = () => {
@@ -53,7 +78,7 @@ function App() {
   const handleScrape = async () => {
     try {
       const brands = scrapeBrandsInput.split(',').map(s => s.trim()).filter(Boolean);
-      const response = await fetch('/api/motorcycles/scrape', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ brands }) });
+      const response = await fetch('/api/motorcycles/scrape', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ brands, mode: scrapeMode }) });
       const data = await response.json();
       setIsScraping(data?.status === 'scraping' || data?.running === true);
     } catch (err) {
@@ -62,16 +87,59 @@ function App() {
     }
   };
 
+  const scrapeButtonLabel = () => {
+    if (!isScraping) return 'Update Data';
+    const total = Number(scrapeProgress?.modelsTotal) || 0;
+    if (total <= 0) return 'Scraping....';
+    const current = Math.min((Number(scrapeProgress?.modelsDone) || 0) + 1, total);
+    return `Scraping ${current}/${total}`;
+  };
+
+  const handleSaveSearch = async () => {
+    const query = searchInput.trim();
+    if (!query) return;
+    try {
+      const response = await fetch('/api/alerts/searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data?.error || 'Save search failed');
+        return;
+      }
+      alert(`Saved search "${data.name}" (${data.matchCount} current matches)`);
+    } catch (err) {
+      console.error('Error saving search:', err);
+    }
+  };
+
   const handleRemoveModel = async () => {
     const query = removeModelInput.trim();
     if (!query) return;
-    if (!confirm(`Remove model data matching: "${query}"?`)) return;
     try {
-      const response = await fetch('/api/motorcycles/remove-model', {
+      const removeModel = (dryRun) => fetch('/api/motorcycles/remove-model', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query })
+        body: JSON.stringify({ query, dryRun })
       });
+      const previewResponse = await removeModel(true);
+      const preview = await previewResponse.json();
+      if (!previewResponse.ok) {
+        alert(preview?.error || 'Remove failed');
+        return;
+      }
+      const modelLines = preview.matches
+        .map((m) => `  ${`${m.brand} ${m.model}`.trim()}: ${m.parts} part(s), ${m.images} image(s)`)
+        .join('\n');
+      const { totals } = preview;
+      if (!confirm(
+        `Remove ${totals.motorcycles} model(s) matching "${query}"?\n\n${modelLines}\n\n`
+        + `${totals.parts} part(s) and ${totals.images} image file(s) go to the trash.`
+      )) return;
+
+      const response = await removeModel(false);
       const data = await response.json();
       if (!response.ok) {
         alert(data?.error || 'Remove failed');
@@ -79,6 +147,11 @@ function App() {
       }
       setRemoveModelInput('');
       setFeedVersion((v) => v + 1);
+      if (data.trash && confirm(`Moved to trash until ${data.trash.expiresAt}. Undo now?`)) {
+        const undo = await fetch(`/api/trash/${data.trash.id}/restore`, { method: 'POST' });
+        if (!undo.ok) alert((await undo.json())?.error || 'Undo failed');
+        setFeedVersion((v) => v + 1);
+      }
     } catch (err) {
       console.error('Error removing model:', err);
     }
@@ -103,6 +176,25 @@ function App() {
           >
             History
           </button>
+          <button
+            className={`nav-button ${view === 'alerts' ? 'active' : ''}`}
+            onClick={() => setView('alerts')}
+          >
+            {unreadAlerts > 0 ? `Alerts (${unreadAlerts})` : 'Alerts'}
+          </button>
+          <button
+            className={`nav-button ${view === 'runs' ? 'active' : ''}`}
+            onClick={() => setView('runs')}
+          >
+            Scrape runs
+          </button>
+          <button
+            className={`nav-button ${scrapeLogOpen ? 'active' : ''}`}
+            onClick={() => setScrapeLogOpen((open) => !open)}
+            title="Live scraper output"
+          >
+            Log
+          </button>
 
           <label className="scrape-label"> -: </label>
           <div className="scrape-controls">
@@ -113,13 +205,27 @@ function App() {
               className="scrape-input"
               placeholder="Aprilia RS,Cagiva"
             />
+            <select
+              value={scrapeMode}
+              onChange={(e) => setScrapeMode(e.target.value)}
+              className="scrape-input"
+              disabled={isScraping}
+              title="Incremental skips model pages that have not changed since the last scrape"
+            >
+              <option value="incremental">Changed pages</option>
+              <option value="full">Full refresh</option>
+            </select>
           </div>
           <button
             className="nav-button"
             onClick={handleScrape}
-            title={isScraping ? 'Stop running scraper' : 'Refresh data from purkuosat.net'}
+            title={
+              isScraping
+                ? `Stop running scraper${scrapeProgress?.currentModel ? ` (${scrapeProgress.currentModel})` : ''}`
+                : 'Refresh data from purkuosat.net'
+            }
           >
-            {isScraping ? 'Scraping....' : 'Update Data'}
+            {scrapeButtonLabel()}
           </button>
           <label className="scrape-label"> :- </label>
 
@@ -144,7 +250,7 @@ function App() {
           <button
             className="nav-button"
             onClick={async () => {
-              if (!confirm('Clear all scraped motorcycles, parts, selections and images?')) return;
+              if (!confirm('Clear all scraped motorcycles, parts, selections and images? Models in the trash are kept and can still be restored.')) return;
               try {
                 await fetch('/api/motorcycles/clear', { method: 'POST' });
                 alert('Cleared');
@@ -183,6 +289,16 @@ function App() {
               </button>
             )}
             </div>
+            {searchInput.trim() && (
+              <button
+                type="button"
+                className="nav-button"
+                onClick={handleSaveSearch}
+                title="Get alerts when parts matching this search appear, drop in price or disappear"
+              >
+                Save search
+              </button>
+            )}
             {view === 'main' && (
               <div className="search-meta-inline">
                 {feedStats.parts || 0} parts • {feedStats.motorcycles || 0} motorcycles • {feedStats.brands || 0} brands
@@ -199,6 +315,22 @@ function App() {
             </button>
           </div>
         )}
+        {view === 'alerts' && (
+          <div>
+            <AlertsPanel onUnreadChange={refreshUnreadAlerts} />
+            <button className="back-button main-back" onClick={() => setView('main')}>
+              ← Back to Parts
+            </button>
+          </div>
+        )}
+        {view === 'runs' && (
+          <div>
+            <ScrapeRunsPanel />
+            <button className="back-button main-back" onClick={() => setView('main')}>
+              ← Back to Parts
+            </button>
+          </div>
+        )}
         {view === 'history' && (
           <div>
             <ChangesHistory />
@@ -209,6 +341,13 @@ function App() {
         )}
       </main>
 
+      {scrapeLogOpen && (
+        <ScrapeLogDrawer
+          events={scrapeLog}
+          onClose={() => setScrapeLogOpen(false)}
+          onClear={() => setScrapeLog([])}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { formatInfoDate } from '../utils/datetime';
+
+function alertLabel(alert) {
+  if (alert.alert_type === 'new_match') return 'new match';
+  if (alert.alert_type === 'price_drop') return 'price drop';
+  if (alert.alert_type === 'gone') return 'gone';
+  return alert.alert_type;
+}
+
+function alertPriceText(alert) {
+  const currency = alert.currency || 'EUR';
+  if (alert.alert_type === 'price_drop') return `${alert.old_price} → ${alert.new_price} ${currency}`;
+  if (alert.alert_type === 'gone') return alert.old_price != null ? `was ${alert.old_price} ${currency}` : '';
+  return alert.new_price != null ? `${alert.new_price} ${currency}` : '';
+}
+
+export function AlertsPanel({ onUnreadChange }) {
+  const [searches, setSearches] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const [searchesRes, alertsRes] = await Promise.all([
+        axios.get('/api/alerts/searches'),
+        axios.get('/api/alerts', { params: { limit: 500 } })
+      ]);
+      setSearches(searchesRes.data || []);
+      setAlerts(alertsRes.data || []);
+    } catch (error) {
+      console.error('Error loading alerts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await axios.post('/api/alerts/read', {});
+      await load();
+      if (typeof onUnreadChange === 'function') onUnreadChange(0);
+    } catch (error) {
+      console.error('Error marking alerts read:', error);
+    }
+  };
+
+  const deleteSearch = async (search) => {
+    if (!confirm(`Delete saved search "${search.name}" and its alerts?`)) return;
+    try {
+      await axios.delete(`/api/alerts/searches/${search.id}`);
+      await load();
+      if (typeof onUnreadChange === 'function') onUnreadChange();
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+    }
+  };
+
+  if (loading) return <div className="loading">Loading alerts...</div>;
+
+  const unread = alerts.filter((a) => !a.read_at);
+
+  return (
+    <div className="changes-history-container">
+      <h2>Saved Searches</h2>
+      {searches.length === 0 ? (
+        <div className="no-selections">
+          <p>No saved searches yet. Type a search and press "Save search".</p>
+        </div>
+      ) : (
+        <div className="saved-search-list">
+          {searches.map((search) => (
+            <div key={search.id} className="saved-search-item">
+              <span className="saved-search-name" title={search.query}>{search.name}</span>
+              <span className="changes-history-count">
+                {search.matchCount} matches{search.unreadCount > 0 ? ` • ${search.unreadCount} unread` : ''}
+              </span>
+              <button
+                type="button"
+                className="collection-remove-icon"
+                onClick={() => deleteSearch(search)}
+                title={`Delete "${search.name}"`}
+                aria-label={`Delete saved search ${search.name}`}
+              >
+                x
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="alerts-header">
+        <h2>Alerts</h2>
+        <button
+          type="button"
+          className="nav-button"
+          onClick={markAllRead}
+          disabled={unread.length === 0}
+        >
+          Mark all read ({unread.length})
+        </button>
+      </div>
+      {alerts.length === 0 ? (
+        <div className="no-selections">
+          <p>Nothing has changed since the searches were saved.</p>
+        </div>
+      ) : (
+        <div className="changes-history-group">
+          <div className="changes-history-list">
+            {alerts.map((alert) => (
+              <div key={alert.id} className={`changes-history-item ${alert.read_at ? '' : 'alert-unread'}`}>
+                <div className="changes-history-title">
+                  {[alert.brand, alert.model].filter(Boolean).join(' ')} | {alert.part_number || '?'} | {alert.name || alert.part_id}
+                </div>
+                <div className="changes-history-fields">
+                  <span className={`changes-history-chip alert-chip-${alert.alert_type}`}>{alertLabel(alert)}</span>
+                  <span className="changes-history-chip">{alert.search_name}</span>
+                  {alertPriceText(alert) && <span className="changes-history-chip">{alertPriceText(alert)}</span>}
+                  <span className="changes-history-count">{formatInfoDate(alert.created_at)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
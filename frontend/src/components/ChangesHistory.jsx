@@ -19,6 +19,9 @@ function labelForField(key) {
   if (key === 'image') return 'image';
   if (key === 'availability') return 'availability';
   if (key === 'part_removed') return 'part_removed';
+  if (key === 'new_donor_bike') return 'new donor bike';
+  if (key === 'donor_bike_sold_out') return 'donor bike sold out';
+  if (key === 'donor_bike_back') return 'donor bike back';
   return key;
 }
 
@@ -88,12 +91,16 @@ export function ChangesHistory() {
                 {group.items.map((item) => (
                   <div key={item.history_id} className="changes-history-item">
                     <div className="changes-history-title">
-                      {[item.brand, item.model].filter(Boolean).join(' ')} | {item.current_part_number || item.old_part_number || '?'} | {item.current_name || item.old_name || ''}
+                      {String(item.history_id).startsWith('bike-') ? (
+                        <>{[item.brand, item.model].filter(Boolean).join(' ')} | {item.part_count || 0} parts</>
+                      ) : (
+                        <>{[item.brand, item.model].filter(Boolean).join(' ')} | {item.current_part_number || item.old_part_number || '?'} | {item.current_name || item.old_name || ''}</>
+                      )}
                     </div>
                     <div className="changes-history-fields">
                       {(item.changed_fields || []).length > 0 ? (
                         (item.changed_fields || []).map((f) => (
-                          <span key={`${item.history_id}-${f}`} className="changes-history-chip">{displayFieldLabel(f, item.history_event)}</span>
+                          <span key={`${item.history_id}-${f}`} className={`changes-history-chip ${f.includes('donor_bike') ? 'changes-history-chip-bike' : ''}`}>{displayFieldLabel(f, item.history_event)}</span>
                         ))
                       ) : (
                         <span className="changes-history-chip">unknown</span>
@@ -1,4 +1,6 @@
 import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { PriceHistoryChart } from './PriceHistoryChart';
 import { formatInfoDate } from '../utils/datetime';
 
 function getInfoDate(entry) {
@@ -23,45 +25,86 @@ function buildTextFragmentLink(baseUrl, textToHighlight) {
   }
 }
 
+// Images are { src, width, height } (dimensions from the stored image, when
+// known) or plain URLs
+function toModalImage(image) {
+  if (!image) return null;
+  return typeof image === 'string' ? { src: image, width: null, height: null } : image;
+}
+
+// Fits the stored dimensions into the viewport (upscaling small images up to
+// 2x); unknown dimensions leave the size to the browser
+function fitImageSize(image) {
+  const naturalW = Number(image?.width) || 0;
+  const naturalH = Number(image?.height) || 0;
+  if (!naturalW || !naturalH) return { width: null, height: null };
+  const maxW = Math.floor(window.innerWidth * 0.9);
+  const maxH = Math.floor(window.innerHeight * 0.8);
+  const fitScale = Math.min(maxW / naturalW, maxH / naturalH);
+  const finalScale = Math.max(Math.min(2, fitScale), 0.05);
+  return {
+    width: Math.max(Math.round(naturalW * finalScale), 1),
+    height: Math.max(Math.round(naturalH * finalScale), 1)
+  };
+}
+
 export function PartViewerModal({ open, images, index, part, comparePart = null, onIndexChange, onClose }) {
-  const [modalImageSize, setModalImageSize] = useState({ width: null, height: null });
-  const safeImages = Array.isArray(images) ? images.filter(Boolean) : [];
+  const [priceHistory, setPriceHistory] = useState(null);
+  const [sameNumber, setSameNumber] = useState(null);
+  const safeImages = Array.isArray(images) ? images.map(toModalImage).filter((image) => image?.src) : [];
   const safeIndex = Math.max(0, Math.min(index || 0, Math.max(safeImages.length - 1, 0)));
-  const activeSrc = safeImages[safeIndex] || null;
+  const activeImage = safeImages[safeIndex] || null;
+  const modalImageSize = fitImageSize(activeImage);
 
   useEffect(() => {
-    if (!open) return;
-    setModalImageSize({ width: null, height: null });
-  }, [open, index, images]);
+    setPriceHistory(null);
+    if (!open || !part?.id) return;
+
+    let cancelled = false;
+    axios
+      .get(`/api/motorcycles/part/${encodeURIComponent(part.id)}/price-history`)
+      .then((response) => {
+        if (!cancelled) setPriceHistory(response.data || null);
+      })
+      .catch((error) => {
+        if (!cancelled) console.error('Error loading price history:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, part?.id]);
 
   useEffect(() => {
-    if (!open || !activeSrc) {
-      setModalImageSize({ width: null, height: null });
-      return;
-    }
+    setSameNumber(null);
+    const partNumber = String(part?.part_number || '').trim();
+    if (!open || !partNumber) return;
 
     let cancelled = false;
-    const probe = new Image();
-    probe.onload = () => {
-      if (cancelled) return;
-      const naturalW = probe.naturalWidth || 0;
-      const naturalH = probe.naturalHeight || 0;
-      if (!naturalW || !naturalH) return;
-      const maxW = Math.floor(window.innerWidth * 0.9);
-      const maxH = Math.floor(window.innerHeight * 0.8);
-      const fitScale = Math.min(maxW / naturalW, maxH / naturalH);
-      const finalScale = Math.max(Math.min(2, fitScale), 0.05);
-      setModalImageSize({
-        width: Math.max(Math.round(naturalW * finalScale), 1),
-        height: Math.max(Math.round(naturalH * finalScale), 1)
+    axios
+      .get(`/api/parts/by-number/${encodeURIComponent(partNumber)}`)
+      .then((response) => {
+        if (!cancelled) setSameNumber(response.data || null);
+      })
+      .catch(() => {
+        // Numbers too short to match are rejected; nothing to show then
       });
-    };
-    probe.src = activeSrc;
 
     return () => {
       cancelled = true;
     };
-  }, [open, activeSrc]);
+  }, [open, part?.part_number]);
+
+  // Available listings of the same part number on other donor bikes
+  const otherListings = (sameNumber?.listings || []).filter(
+    (p) => !p.is_deleted && p.id !== part?.id && p.motorcycle_id !== part?.motorcycle_id
+  );
+  const otherBikes = new Set(otherListings.map((p) => p.motorcycle_id)).size;
+  const cheapestOther = otherListings.reduce((best, p) => {
+    if (p.price === null || p.price === undefined) return best;
+    return !best || Number(p.price) < Number(best.price) ? p : best;
+  }, null);
+
   const textChanged = (a, b) => String(a || '') !== String(b || '');
   const numberChanged = (a, b) => {
     const na = Number(a);
@@ -111,9 +154,9 @@ export function PartViewerModal({ open, images, index, part, comparePart = null,
               </>
             )}
           </div>
-          {safeImages[safeIndex] ? (
+          {activeImage ? (
             <img
-              src={safeImages[safeIndex]}
+              src={activeImage.src}
               alt="High-res"
               className="modal-image"
               style={{
@@ -165,6 +208,35 @@ export function PartViewerModal({ open, images, index, part, comparePart = null,
             {part.description && (
               <div className={`modal-part-text ${descriptionChanged ? 'modal-diff-highlight' : ''} ${isDeleted ? 'modal-deleted-text' : ''}`}>{part.description}</div>
             )}
+            {priceHistory && <PriceHistoryChart history={priceHistory} />}
+            {otherBikes > 0 && (
+              <details className="modal-same-number">
+                <summary>
+                  Also available from {otherBikes} other bike{otherBikes === 1 ? '' : 's'}
+                  {cheapestOther ? `, cheapest ${cheapestOther.price} ${cheapestOther.currency || 'EUR'}` : ''}
+                </summary>
+                <ul className="modal-same-number-list">
+                  {otherListings.map((p) => (
+                    <li key={p.id}>
+                      {[p.brand, p.model].filter(Boolean).join(' ')} | {p.name || ''} [{[p.price, p.currency].filter((v) => v !== null && v !== undefined && v !== '').join(' ')}]
+                      {p.url && (
+                        <>
+                          {' '}
+                          <a
+                            href={buildTextFragmentLink(p.url, p.part_number)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="modal-part-link-inline"
+                          >
+                            ref
+                          </a>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
           </div>
         )}
       </div>
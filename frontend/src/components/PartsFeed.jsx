@@ -2,36 +2,34 @@ import React, { useEffect, useMemo, useRef, useState } from 'react';
 import axios from 'axios';
 import { PartViewerModal } from './PartViewerModal';
 import { formatInfoDate, parseAppDate } from '../utils/datetime';
+import { subscribeScrapeEvents, waitForScrapeRun } from '../utils/scrapeEvents';
+import { imageVariantSrc, toViewerImages } from '../utils/images';
 
-function tokenize(text) {
-  return String(text || '')
-    .toLowerCase()
-    .split(/\s+/)
-    .map((t) => t.trim())
-    .filter(Boolean);
-}
+const GROUP_PAGE_SIZE = 200;
+const LIVE_REFRESH_MS = 3000;
+
+const SORT_OPTIONS = [
+  { value: 'name:asc', label: 'Name' },
+  { value: 'price:asc', label: 'Price ↑' },
+  { value: 'price:desc', label: 'Price ↓' },
+  { value: 'changed:desc', label: 'Last change' }
+];
+
+const groupKeyOf = (group) => `${group.brand || ''} ${group.model || ''}`.trim();
 
-function matchesQuery(part, query) {
-  const tokens = tokenize(query);
-  if (tokens.length === 0) return true;
-  const haystack = [
-    part.brand,
-    part.model,
-    part.category,
-    part.name,
-    part.part_number,
-    part.description,
-    part.image_path,
-    part.image_url
-  ]
-    .filter(Boolean)
-    .join(' ')
-    .toLowerCase();
-  return tokens.every((t) => haystack.includes(t));
+// Donor bikes that showed up on the site within this many days get a badge
+const NEW_DONOR_BIKE_DAYS = 14;
+
+function isNewDonorBike(firstSeen) {
+  const d = parseAppDate(firstSeen);
+  return Boolean(d) && Date.now() - d.getTime() < NEW_DONOR_BIKE_DAYS * 24 * 60 * 60 * 1000;
 }
 
 export function PartsFeed({ query, onStatsChange }) {
-  const [parts, setParts] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [totals, setTotals] = useState({ parts: 0, motorcycles: 0, brands: 0 });
+  const [groupParts, setGroupParts] = useState({});
+  const [sort, setSort] = useState(SORT_OPTIONS[0].value);
   const [loading, setLoading] = useState(true);
   const [refreshingGroup, setRefreshingGroup] = useState('');
   const [tags, setTags] = useState([]);
@@ -44,9 +42,11 @@ export function PartsFeed({ query, onStatsChange }) {
   const [modalPart, setModalPart] = useState(null);
   const [modalComparePart, setModalComparePart] = useState(null);
   const groupRefs = useRef({});
+  const groupPartsRef = useRef({});
+  const searchRef = useRef('');
+  const sortRef = useRef(sort);
 
   useEffect(() => {
-    fetchInitial();
     fetchTags();
   }, []);
 
@@ -65,59 +65,161 @@ export function PartsFeed({ query, onStatsChange }) {
       tags: p.tags ? p.tags.split(',').map((t) => t.trim()).filter(Boolean) : []
     }));
 
-  const fetchInitial = async () => {
-    setLoading(true);
+  const setGroupState = (key, value) => {
+    groupPartsRef.current = { ...groupPartsRef.current, [key]: value };
+    setGroupParts(groupPartsRef.current);
+  };
+
+  const resetGroupParts = () => {
+    groupPartsRef.current = {};
+    setGroupParts({});
+  };
+
+  // Group outline (brand/model + counts) for the current search; the parts of
+  // each group are fetched once the group scrolls into view.
+  const fetchGroups = async (search, { showLoading = false } = {}) => {
+    if (showLoading) setLoading(true);
     try {
-      const response = await axios.get('/api/motorcycles/parts-feed-all');
-      setParts(normalizeRows(response.data || []));
+      const response = await axios.get('/api/motorcycles/parts-feed/groups', {
+        params: search ? { q: search } : {}
+      });
+      if (searchRef.current !== search) return;
+      resetGroupParts();
+      setGroups(response.data?.groups || []);
+      setTotals(response.data?.totals || { parts: 0, motorcycles: 0, brands: 0 });
     } catch (error) {
       console.error('Error loading parts feed:', error);
-      setParts([]);
+      if (searchRef.current !== search) return;
+      resetGroupParts();
+      setGroups([]);
+      setTotals({ parts: 0, motorcycles: 0, brands: 0 });
     } finally {
       setLoading(false);
     }
   };
 
-  const filtered = useMemo(() => parts.filter((p) => matchesQuery(p, query)), [parts, query]);
-  const filteredStats = useMemo(() => {
-    const brandSet = new Set();
-    const motorcycleSet = new Set();
-    for (const p of filtered) {
-      const brand = String(p.brand || '').trim();
-      const model = String(p.model || '').trim();
-      if (brand) brandSet.add(brand);
-      if (brand || model) motorcycleSet.add(`${brand}::${model}`);
+  const loadGroupParts = async (group, { more = false } = {}) => {
+    const key = groupKeyOf(group);
+    const current = groupPartsRef.current[key];
+    if (current?.loading) return;
+    if (current && !more) return;
+    if (more && !current?.nextCursor) return;
+
+    const search = searchRef.current;
+    const [sortBy, order] = sortRef.current.split(':');
+    setGroupState(key, { items: current?.items || [], nextCursor: current?.nextCursor || null, loading: true });
+    try {
+      const response = await axios.get('/api/motorcycles/parts-feed', {
+        params: {
+          brand: group.brand,
+          model: group.model,
+          q: search || undefined,
+          sort: sortBy,
+          order,
+          limit: GROUP_PAGE_SIZE,
+          cursor: more ? current.nextCursor : undefined
+        }
+      });
+      if (searchRef.current !== search || sortRef.current !== `${sortBy}:${order}`) return;
+      const items = normalizeRows(response.data?.items);
+      setGroupState(key, {
+        items: more ? [...(current?.items || []), ...items] : items,
+        nextCursor: response.data?.nextCursor || null,
+        loading: false
+      });
+    } catch (error) {
+      console.error(`Error loading parts for ${key}:`, error);
+      setGroupState(key, { items: current?.items || [], nextCursor: current?.nextCursor || null, loading: false, error: true });
     }
-    return {
-      filtered: filtered.length,
-      loaded: parts.length,
-      total: filtered.length,
-      brands: brandSet.size,
-      motorcycles: motorcycleSet.size,
-      parts: filtered.length
+  };
+
+  useEffect(() => {
+    const search = String(query || '').trim();
+    searchRef.current = search;
+    const timer = setTimeout(() => fetchGroups(search, { showLoading: groups.length === 0 }), search ? 250 : 0);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // Pick up scraped changes while a run is going: a model page that added,
+  // changed or removed parts reloads the outline, at most every few seconds.
+  useEffect(() => {
+    let timer = null;
+    const unsubscribe = subscribeScrapeEvents((event) => {
+      const changed = (event.type === 'model_finished'
+        && (event.partsInserted || event.partsUpdated || event.partsDeleted))
+        || event.type === 'models_gone';
+      if (!changed || timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        fetchGroups(searchRef.current);
+      }, LIVE_REFRESH_MS);
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
     };
-  }, [filtered, parts.length]);
-
-  const grouped = useMemo(() => {
-    const groups = new Map();
-    for (const p of filtered) {
-      const key = `${p.brand} ${p.model}`.trim();
-      if (!groups.has(key)) groups.set(key, []);
-      groups.get(key).push(p);
+  }, []);
+
+  useEffect(() => {
+    if (sortRef.current === sort) return;
+    sortRef.current = sort;
+    resetGroupParts();
+  }, [sort]);
+
+  // Load groups as they come near the viewport
+  useEffect(() => {
+    if (loading || groups.length === 0) return undefined;
+    const byKey = new Map(groups.map((g) => [groupKeyOf(g), g]));
+    const observer = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+          const group = byKey.get(entry.target.dataset.group);
+          if (group) loadGroupParts(group);
+        }
+      },
+      { rootMargin: '800px 0px' }
+    );
+    for (const key of byKey.keys()) {
+      const el = groupRefs.current[key];
+      if (el) observer.observe(el);
     }
-    return Array.from(groups.entries());
-  }, [filtered]);
+    return () => observer.disconnect();
+  }, [groups, groupParts, loading]);
+
+  const loadedParts = useMemo(
+    () => Object.values(groupParts).flatMap((g) => g.items || []),
+    [groupParts]
+  );
+
+  const feedStats = useMemo(() => ({
+    filtered: totals.parts,
+    loaded: loadedParts.length,
+    total: totals.parts,
+    brands: totals.brands,
+    motorcycles: totals.motorcycles,
+    parts: totals.parts
+  }), [totals, loadedParts.length]);
 
   const partById = useMemo(() => {
     const map = new Map();
-    for (const p of parts) map.set(p.id, p);
+    for (const p of loadedParts) map.set(p.id, p);
     return map;
-  }, [parts]);
+  }, [loadedParts]);
 
   useEffect(() => {
     if (typeof onStatsChange !== 'function') return;
-    onStatsChange(filteredStats);
-  }, [filteredStats, onStatsChange]);
+    onStatsChange(feedStats);
+  }, [feedStats, onStatsChange]);
+
+  const updateLoadedPart = (partId, update) => {
+    const next = {};
+    for (const [key, value] of Object.entries(groupPartsRef.current)) {
+      next[key] = { ...value, items: (value.items || []).map((p) => (p.id === partId ? update(p) : p)) };
+    }
+    groupPartsRef.current = next;
+    setGroupParts(next);
+  };
 
   const jumpToGroup = (group) => {
     const target = groupRefs.current[group];
@@ -125,30 +227,17 @@ export function PartsFeed({ query, onStatsChange }) {
     target.scrollIntoView({ behavior: 'auto', block: 'start' });
   };
 
-  const waitForScrapeToFinish = async (maxChecks = 90) => {
-    for (let i = 0; i < maxChecks; i++) {
-      try {
-        const response = await axios.get('/api/motorcycles/scrape-status');
-        if (!response?.data?.running) return true;
-      } catch {
-        // ignore temporary errors while polling
-      }
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    }
-    return false;
-  };
-
   const refreshSingleModel = async (group, modelUrl) => {
     if (!modelUrl || refreshingGroup) return;
     setRefreshingGroup(group);
     try {
-      await axios.post('/api/motorcycles/scrape', {
+      const response = await axios.post('/api/motorcycles/scrape', {
         modelUrl,
         modelText: group,
         downloadImages: true
       });
-      await waitForScrapeToFinish();
-      await fetchInitial();
+      await waitForScrapeRun(response.data?.runId);
+      await fetchGroups(searchRef.current);
     } catch (error) {
       console.error('Error refreshing model:', error);
     } finally {
@@ -186,13 +275,6 @@ export function PartsFeed({ query, onStatsChange }) {
     );
   };
 
-  const toImageSrc = (value) => {
-    const raw = String(value || '').trim();
-    if (!raw) return null;
-    if (raw.startsWith('http://') || raw.startsWith('https://')) return raw;
-    return raw.startsWith('/') ? raw : `/${raw}`;
-  };
-
   const updateTagInput = (partId, value) => {
     setTagInputs((prev) => ({ ...prev, [partId]: value }));
   };
@@ -202,11 +284,7 @@ export function PartsFeed({ query, onStatsChange }) {
     if (!value) return;
     try {
       await axios.post('/api/tags/assign', { partId, tag: value });
-      setParts((prev) =>
-        prev.map((p) =>
-          p.id === partId ? { ...p, tags: p.tags.includes(value) ? p.tags : [...p.tags, value] } : p
-        )
-      );
+      updateLoadedPart(partId, (p) => ({ ...p, tags: p.tags.includes(value) ? p.tags : [...p.tags, value] }));
       updateTagInput(partId, '');
       fetchTags();
     } catch (error) {
@@ -217,11 +295,7 @@ export function PartsFeed({ query, onStatsChange }) {
   const removeTag = async (partId, tag) => {
     try {
       await axios.delete('/api/tags/assign', { data: { partId, tag } });
-      setParts((prev) =>
-        prev.map((p) =>
-          p.id === partId ? { ...p, tags: p.tags.filter((t) => t !== tag) } : p
-        )
-      );
+      updateLoadedPart(partId, (p) => ({ ...p, tags: p.tags.filter((t) => t !== tag) }));
       fetchTags();
     } catch (error) {
       console.error('Error removing tag:', error);
@@ -231,13 +305,9 @@ export function PartsFeed({ query, onStatsChange }) {
   const openModal = async (part) => {
     try {
       const response = await axios.get(`/api/motorcycles/part/${part.id}/images`);
-      const images = (response.data || [])
-        .map((row) => toImageSrc(row.image_path || row.image_url))
-        .filter(Boolean);
-      const fallback = toImageSrc(part.image_path || part.image_url);
-      const sources = images.length > 0 ? images : (fallback ? [fallback] : []);
-      if (sources.length === 0) return;
-      setModalImages([...new Set(sources)]);
+      const images = toViewerImages(response.data, part);
+      if (images.length === 0) return;
+      setModalImages(images);
       setModalIndex(0);
       setModalPart(part);
       setModalComparePart(null);
@@ -317,7 +387,7 @@ export function PartsFeed({ query, onStatsChange }) {
       recorded_at: row?.recorded_at ?? null,
       url: basePart?.url || null
     };
-    const image = toImageSrc(snapshotPart.image_path || snapshotPart.image_url || basePart?.image_path || basePart?.image_url);
+    const image = imageVariantSrc(snapshotPart.image_path || snapshotPart.image_url || basePart?.image_path || basePart?.image_url);
     setModalImages(image ? [image] : []);
     setModalIndex(0);
     setModalPart(snapshotPart);
@@ -344,7 +414,7 @@ export function PartsFeed({ query, onStatsChange }) {
         ))}
       </datalist>
 
-      {grouped.length === 0 ? (
+      {groups.length === 0 ? (
         <div className="no-selections">
           <p>No parts matched your filter.</p>
         </div>
@@ -352,144 +422,189 @@ export function PartsFeed({ query, onStatsChange }) {
         <div className="parts-feed-layout">
           <aside className="parts-shortcuts" aria-label="Parts shortcuts">
             <div className="parts-shortcuts-list">
-              {grouped.map(([group, groupParts]) => (
-                <button
-                  key={`jump-${group}`}
-                  className="parts-shortcut-item"
-                  onClick={() => jumpToGroup(group)}
-                  title={group}
-                >
-                  <span>{group}</span>
-                  <span className="parts-shortcut-count">{groupParts.length}</span>
-                </button>
-              ))}
+              {groups.map((g) => {
+                const group = groupKeyOf(g);
+                return (
+                  <button
+                    key={`jump-${group}`}
+                    className="parts-shortcut-item"
+                    onClick={() => jumpToGroup(group)}
+                    title={group}
+                  >
+                    <span>{group}</span>
+                    <span className="parts-shortcut-count">{g.partCount}</span>
+                  </button>
+                );
+              })}
             </div>
           </aside>
 
           <div className="parts-feed-groups">
-            {grouped.map(([group, groupParts]) => (
-              <section
-                key={group}
-                className="feed-group"
-                ref={(el) => {
-                  if (el) groupRefs.current[group] = el;
-                }}
-              >
-                <div className="feed-group-title">
-                  <span>{group}</span>
-                  <button
-                    type="button"
-                    className="group-refresh-button"
-                    title={`Refresh ${group}`}
-                    aria-label={`Refresh ${group}`}
-                    disabled={Boolean(refreshingGroup)}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      const modelUrl = groupParts.find((p) => p?.url)?.url || '';
-                      refreshSingleModel(group, modelUrl);
-                    }}
-                  >
-                    {refreshingGroup === group ? '...' : '↻'}
-                  </button>
-                </div>
-                <div className="parts-grid">
-                  {groupParts.map((part) => (
-                    <div
-                      key={part.id}
-                      className={`part-card ${part.is_deleted ? 'deleted' : ''}`}
-                      onClick={() => openModal(part)}
-                      role="button"
-                      tabIndex={0}
-                      onKeyDown={(e) => {
-                        if (e.key === 'Enter' || e.key === ' ') {
-                          e.preventDefault();
-                          openModal(part);
-                        }
+            <div className="parts-feed-toolbar">
+              <label>
+                Sort{' '}
+                <select value={sort} onChange={(e) => setSort(e.target.value)}>
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            {groups.map((g) => {
+              const group = groupKeyOf(g);
+              const loaded = groupParts[group];
+              const items = loaded?.items || [];
+              return (
+                <section
+                  key={group}
+                  className="feed-group"
+                  data-group={group}
+                  ref={(el) => {
+                    if (el) groupRefs.current[group] = el;
+                  }}
+                >
+                  <div className="feed-group-title">
+                    <span>{group}</span>
+                    {g.removedAt ? (
+                      <span className="changes-history-chip changes-history-chip-bike" title={`Gone from the site ${formatInfoDate(g.removedAt)}`}>
+                        donor bike sold out
+                      </span>
+                    ) : isNewDonorBike(g.firstSeen) ? (
+                      <span className="changes-history-chip changes-history-chip-bike" title={`First seen ${formatInfoDate(g.firstSeen)}`}>
+                        new donor bike
+                      </span>
+                    ) : null}
+                    <button
+                      type="button"
+                      className="group-refresh-button"
+                      title={`Refresh ${group}`}
+                      aria-label={`Refresh ${group}`}
+                      disabled={Boolean(refreshingGroup)}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        const modelUrl = g.url || items.find((p) => p?.url)?.url || '';
+                        refreshSingleModel(group, modelUrl);
                       }}
                     >
-                      {part.image_path ? (
-                        <div className="image-wrapper">
-                          <img
-                            src={`/${part.image_path}`}
-                            alt={part.name}
-                            className="part-image"
-                            loading="lazy"
-                            decoding="async"
-                          />
-                        </div>
-                      ) : (
-                        <div className="no-image">{part.part_number || ''}</div>
-                      )}
-                      <div className="part-info">
-                        <h4 className="part-title">{part.name}</h4>
-                        <div className="part-status">
-                          {part.is_deleted ? (
-                            <span className="status deleted">
-                              Deleted {formatInfoDate(part.deleted_at)}
-                            </span>
-                          ) : part.lastChangeAt ? (
-                            <span className="status updated">Updated {formatInfoDate(part.scraped_at || part.last_seen || part.lastChangeAt)}</span>
-                          ) : null}
-                        </div>
-                        {part.description && <p className="description">{part.description}</p>}
-                        <div className="part-meta">
-                          <span className="part-number">{part.part_number || ''}</span>
-                          <span className="price">{part.price}</span>
-                        </div>
-                        <div className="tag-row" onClick={(e) => e.stopPropagation()}>
-                          <div className="tag-list">
-                            {part.tags.map((tag) => (
+                      {refreshingGroup === group ? '...' : '↻'}
+                    </button>
+                  </div>
+                  {!loaded || (loaded.loading && items.length === 0) ? (
+                    <div className="feed-group-placeholder">Loading {g.partCount} parts...</div>
+                  ) : null}
+                  <div className="parts-grid">
+                    {items.map((part) => (
+                      <div
+                        key={part.id}
+                        className={`part-card ${part.is_deleted ? 'deleted' : ''}`}
+                        onClick={() => openModal(part)}
+                        role="button"
+                        tabIndex={0}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' || e.key === ' ') {
+                            e.preventDefault();
+                            openModal(part);
+                          }
+                        }}
+                      >
+                        {part.image_path ? (
+                          <div className="image-wrapper">
+                            <img
+                              src={imageVariantSrc(part.image_path, 'thumb')}
+                              srcSet={`${imageVariantSrc(part.image_path, 'thumb')} 320w, ${imageVariantSrc(part.image_path, 'medium')} 800w`}
+                              sizes="(max-width: 600px) 50vw, 300px"
+                              alt={part.name}
+                              className="part-image"
+                              loading="lazy"
+                              decoding="async"
+                            />
+                          </div>
+                        ) : (
+                          <div className="no-image">{part.part_number || ''}</div>
+                        )}
+                        <div className="part-info">
+                          <h4 className="part-title">{part.name}</h4>
+                          <div className="part-status">
+                            {part.is_deleted ? (
+                              <span className="status deleted">
+                                Deleted {formatInfoDate(part.deleted_at)}
+                              </span>
+                            ) : part.lastChangeAt ? (
+                              <span className="status updated">Updated {formatInfoDate(part.scraped_at || part.last_seen || part.lastChangeAt)}</span>
+                            ) : null}
+                          </div>
+                          {part.description && <p className="description">{part.description}</p>}
+                          <div className="part-meta">
+                            <span className="part-number">{part.part_number || ''}</span>
+                            <span className="price">{part.price}</span>
+                          </div>
+                          <div className="tag-row" onClick={(e) => e.stopPropagation()}>
+                            <div className="tag-list">
+                              {part.tags.map((tag) => (
+                                <button
+                                  key={tag}
+                                  className="tag-chip"
+                                  onClick={(e) => { e.stopPropagation(); removeTag(part.id, tag); }}
+                                  title="Remove tag"
+                                >
+                                  {tag}
+                                </button>
+                              ))}
+                            </div>
+                            <div className="tag-add">
+                              <input
+                                className="tag-input"
+                                list="tag-suggestions-global"
+                                value={tagInputs[part.id] || ''}
+                                onChange={(e) => updateTagInput(part.id, e.target.value)}
+                                placeholder="Add tag"
+                              />
                               <button
-                                key={tag}
-                                className="tag-chip"
-                                onClick={(e) => { e.stopPropagation(); removeTag(part.id, tag); }}
-                                title="Remove tag"
+                                className="tag-add-button"
+                                onClick={(e) => { e.stopPropagation(); addTag(part.id); }}
                               >
-                                {tag}
+                                Add
                               </button>
-                            ))}
-                          </div>
-                          <div className="tag-add">
-                            <input
-                              className="tag-input"
-                              list="tag-suggestions-global"
-                              value={tagInputs[part.id] || ''}
-                              onChange={(e) => updateTagInput(part.id, e.target.value)}
-                              placeholder="Add tag"
-                            />
-                            <button
-                              className="tag-add-button"
-                              onClick={(e) => { e.stopPropagation(); addTag(part.id); }}
-                            >
-                              Add
-                            </button>
-                            <button
-                              className="tag-add-button subtle changes-trigger"
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                toggleChangesPopup(part, e.currentTarget);
-                              }}
-                              disabled={getVisibleChangeCount(part) <= 0}
-                              aria-disabled={getVisibleChangeCount(part) <= 0}
-                            >
-                              {(() => {
-                                const changeCount = getVisibleChangeCount(part);
-                                return changeCount > 0 ? `Changes (${changeCount})` : 'Changes';
-                              })()}
-                            </button>
+                              <button
+                                className="tag-add-button subtle changes-trigger"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  toggleChangesPopup(part, e.currentTarget);
+                                }}
+                                disabled={getVisibleChangeCount(part) <= 0}
+                                aria-disabled={getVisibleChangeCount(part) <= 0}
+                              >
+                                {(() => {
+                                  const changeCount = getVisibleChangeCount(part);
+                                  return changeCount > 0 ? `Changes (${changeCount})` : 'Changes';
+                                })()}
+                              </button>
+                            </div>
                           </div>
                         </div>
                       </div>
-                    </div>
-                  ))}
-                </div>
-              </section>
-            ))}
+                    ))}
+                  </div>
+                  {loaded?.nextCursor && (
+                    <button
+                      type="button"
+                      className="nav-button feed-group-more"
+                      disabled={loaded.loading}
+                      onClick={() => loadGroupParts(g, { more: true })}
+                    >
+                      {loaded.loading ? 'Loading...' : `Load more (${items.length}/${g.partCount})`}
+                    </button>
+                  )}
+                </section>
+              );
+            })}
           </div>
         </div>
       )}
 
-      <div className="feed-sentinel">All parts loaded</div>
+      <div className="feed-sentinel">
+        {loadedParts.length >= totals.parts ? 'All parts loaded' : `${loadedParts.length} / ${totals.parts} parts loaded`}
+      </div>
 
       {changesPopup.partId && (
         <div
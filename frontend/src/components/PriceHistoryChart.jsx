@@ -0,0 +1,75 @@
+import React from 'react';
+import { formatInfoDate, parseAppDate } from '../utils/datetime';
+
+const WIDTH = 360;
+const HEIGHT = 110;
+const PAD_X = 8;
+const PAD_Y = 12;
+
+function formatPrice(value, currency) {
+  if (value === null || value === undefined) return '-';
+  const rounded = Math.round(Number(value) * 100) / 100;
+  return `${rounded} ${currency || ''}`.trim();
+}
+
+// Step chart of a part's asking price; each point holds until the next one.
+export function PriceHistoryChart({ history }) {
+  const points = (history?.points || [])
+    .map((p) => ({ ...p, time: parseAppDate(p.at)?.getTime() ?? null }))
+    .filter((p) => p.time !== null && p.price !== null);
+  if (points.length === 0) return null;
+
+  const stats = history.stats || {};
+  const endTime = parseAppDate(stats.listedUntil)?.getTime() ?? Date.now();
+  const startTime = points[0].time;
+  const span = Math.max(endTime - startTime, 1);
+  const prices = points.map((p) => p.price);
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  const range = high - low || 1;
+
+  const x = (time) => PAD_X + ((time - startTime) / span) * (WIDTH - PAD_X * 2);
+  const y = (price) => (high === low ? HEIGHT / 2 : PAD_Y + ((high - price) / range) * (HEIGHT - PAD_Y * 2));
+
+  let path = `M ${x(points[0].time)} ${y(points[0].price)}`;
+  for (let i = 1; i < points.length; i++) {
+    path += ` H ${x(points[i].time)} V ${y(points[i].price)}`;
+  }
+  path += ` H ${x(endTime)}`;
+
+  const days = Number(stats.listedDays);
+  const listedText = Number.isFinite(days)
+    ? `${days < 1 ? '<1' : Math.floor(days)} day${Math.floor(days) === 1 ? '' : 's'}`
+    : 'unknown';
+
+  return (
+    <div className="price-history">
+      <svg
+        className="price-history-chart"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label="Price history"
+      >
+        <path d={path} className="price-history-line" />
+        {points.map((p, i) => (
+          <circle
+            key={`${p.at}-${i}`}
+            cx={x(p.time)}
+            cy={y(p.price)}
+            r="3"
+            className={`price-history-point ${p.isDeleted ? 'deleted' : ''}`}
+          >
+            <title>{`${formatInfoDate(p.at)}: ${formatPrice(p.price, p.currency)}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="price-history-stats">
+        <span>Min {formatPrice(stats.min, history.currency)}</span>
+        <span>Max {formatPrice(stats.max, history.currency)}</span>
+        <span>Avg {formatPrice(stats.avg, history.currency)}</span>
+        <span>Listed {listedText}{stats.listedUntil ? ' (sold out)' : ''}</span>
+        <span>Since {formatInfoDate(stats.listedSince)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useEffect, useRef } from 'react';
+import { parseAppDate } from '../utils/datetime';
+
+function formatTime(value) {
+  return parseAppDate(value)?.toLocaleTimeString('fi-FI', { hour12: false }) || '';
+}
+
+function partLabel(event) {
+  return `${event.partNumber || 'NO_PART_NUMBER'} | ${event.name || ''}`;
+}
+
+function formatPrice(value) {
+  return value === null || value === undefined ? '?' : `${value} EUR`;
+}
+
+// One log line per event; null hides the event
+function describeEvent(event) {
+  switch (event.type) {
+    case 'run_started':
+      return { text: `Run #${event.runId} started (${event.kind}, ${event.mode}, ${event.trigger})` };
+    case 'page_fetched':
+      return { text: `Fetched ${event.url}`, muted: true };
+    case 'models_found':
+      return { text: `${event.count} model page(s) in ${event.category}` };
+    case 'models_gone':
+      return { text: `${event.count} model(s) gone from ${event.category}`, tone: 'deleted' };
+    case 'model_started':
+      return { text: `${event.label}`, heading: true };
+    case 'part_inserted':
+      return { text: `+ ${partLabel(event)} (${formatPrice(event.price)})`, tone: 'inserted' };
+    case 'part_updated': {
+      const priceChange = event.oldPrice !== event.price ? ` ${formatPrice(event.oldPrice)} -> ${formatPrice(event.price)}` : '';
+      const fields = event.restored ? ['back in stock', ...(event.fields || [])] : (event.fields || []);
+      return { text: `~ ${partLabel(event)} [${fields.join(', ')}]${priceChange}`, tone: 'updated' };
+    }
+    case 'part_deleted':
+      return { text: `- ${partLabel(event)}`, tone: 'deleted' };
+    case 'image_downloaded':
+      return { text: `image ${event.path || event.url} (${event.size || 0} bytes)`, muted: true };
+    case 'image_skipped':
+      return { text: `image ${event.path || event.url} unchanged`, muted: true };
+    case 'image_failed':
+      return { text: `image failed: ${event.url}`, tone: 'error' };
+    case 'error':
+      return { text: event.message, tone: 'error' };
+    case 'model_finished':
+      if (event.status === 'failed') return { text: `${event.label} failed: ${event.error || 'unknown error'}`, tone: 'error' };
+      if (event.status === 'unchanged' || event.status === 'skipped') return { text: `${event.label} ${event.status}`, muted: true };
+      return {
+        text: `${event.label}: ${event.partsFound} parts, ${event.partsInserted} new, ${event.partsUpdated} updated, ${event.partsDeleted} gone`
+      };
+    case 'run_finished':
+      return {
+        text: `Run #${event.runId} ${event.status}${event.error ? `: ${event.error}` : ''}`,
+        tone: event.status === 'completed' ? null : 'error',
+        heading: true
+      };
+    default:
+      return null;
+  }
+}
+
+export function ScrapeLogDrawer({ events, onClose, onClear }) {
+  const listRef = useRef(null);
+  const stickToBottom = useRef(true);
+
+  useEffect(() => {
+    const list = listRef.current;
+    if (list && stickToBottom.current) list.scrollTop = list.scrollHeight;
+  }, [events]);
+
+  const onScroll = () => {
+    const list = listRef.current;
+    if (!list) return;
+    stickToBottom.current = list.scrollHeight - list.scrollTop - list.clientHeight < 24;
+  };
+
+  return (
+    <aside className="scrape-log-drawer" aria-label="Scrape log">
+      <div className="scrape-log-header">
+        <span className="scrape-log-title">Scrape log</span>
+        <button type="button" className="nav-button" onClick={onClear} disabled={events.length === 0}>Clear</button>
+        <button type="button" className="nav-button" onClick={onClose} aria-label="Close scrape log">x</button>
+      </div>
+      <div className="scrape-log-list" ref={listRef} onScroll={onScroll}>
+        {events.length === 0 ? (
+          <div className="scrape-log-empty">Waiting for scraper output...</div>
+        ) : (
+          events.map((event) => {
+            const line = describeEvent(event);
+            if (!line) return null;
+            const classes = [
+              'scrape-log-line',
+              line.tone ? `scrape-log-${line.tone}` : '',
+              line.muted ? 'scrape-log-muted' : '',
+              line.heading ? 'scrape-log-heading' : ''
+            ].filter(Boolean).join(' ');
+            return (
+              <div key={event.id} className={classes}>
+                <span className="scrape-log-time">{formatTime(event.at)}</span>
+                <span>{line.text}</span>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { formatInfoDate } from '../utils/datetime';
+
+const SKIP_REASON_LABELS = {
+  no_name: 'no name',
+  no_price: 'no price',
+  zero_price: 'zero price'
+};
+
+function issueCount(diagnostics) {
+  if (!diagnostics) return 0;
+  return (diagnostics.blocksSkipped || 0)
+    + (diagnostics.duplicatesMerged || 0)
+    + (diagnostics.missingPartNumber || 0)
+    + (diagnostics.missingImage || 0);
+}
+
+function DiagnosticChips({ counts }) {
+  return (
+    <>
+      {counts.blocksSkipped > 0 && <span className="changes-history-chip diagnostic-chip-skipped">{counts.blocksSkipped} skipped</span>}
+      {counts.duplicatesMerged > 0 && <span className="changes-history-chip">{counts.duplicatesMerged} merged</span>}
+      {counts.missingPartNumber > 0 && <span className="changes-history-chip">{counts.missingPartNumber} no part number</span>}
+      {counts.missingImage > 0 && <span className="changes-history-chip">{counts.missingImage} no image</span>}
+    </>
+  );
+}
+
+function PartList({ title, items }) {
+  if (!items || items.length === 0) return null;
+  return (
+    <div className="diagnostic-list">
+      <div className="diagnostic-list-title">{title}</div>
+      {items.map((item, i) => (
+        <div key={i} className="diagnostic-entry">
+          {item.partNumber || '?'} | {item.name || ''}
+          {item.price != null ? ` | ${item.price} EUR` : ''}
+          {item.keptPrice != null && item.keptPrice !== item.price ? ` (kept ${item.keptPrice} EUR)` : ''}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function ScrapeRunsPanel() {
+  const [runs, setRuns] = useState([]);
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [issuesOnly, setIssuesOnly] = useState(true);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get('/api/scrape-runs', { params: { limit: 30 } });
+        const list = response.data || [];
+        setRuns(list);
+        if (list.length > 0) setSelectedRunId(list[0].id);
+      } catch (error) {
+        console.error('Error loading scrape runs:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    if (!selectedRunId) {
+      setReport(null);
+      return;
+    }
+    let cancelled = false;
+    axios.get(`/api/scrape-runs/${selectedRunId}/diagnostics`, { params: { issues: issuesOnly ? 1 : undefined } })
+      .then((response) => {
+        if (!cancelled) setReport(response.data);
+      })
+      .catch((error) => {
+        console.error('Error loading parse diagnostics:', error);
+        if (!cancelled) setReport(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRunId, issuesOnly]);
+
+  if (loading) return <div className="loading">Loading scrape runs...</div>;
+
+  return (
+    <div className="changes-history-container">
+      <h2>Scrape Runs</h2>
+      {runs.length === 0 ? (
+        <div className="no-selections">
+          <p>No scrape runs recorded yet.</p>
+        </div>
+      ) : (
+        <div className="saved-search-list">
+          {runs.map((run, i) => {
+            // Runs are newest first, so the next entry is the previous run
+            const previous = runs[i + 1];
+            const skippedDelta = previous
+              ? (run.diagnostics?.blocksSkipped || 0) - (previous.diagnostics?.blocksSkipped || 0)
+              : 0;
+            return (
+              <button
+                key={run.id}
+                type="button"
+                className={`saved-search-item scrape-run-item ${run.id === selectedRunId ? 'active' : ''}`}
+                onClick={() => setSelectedRunId(run.id)}
+              >
+                <span className="saved-search-name">
+                  #{run.id} {formatInfoDate(run.startedAt)} • {run.kind}{run.filters?.mode === 'incremental' ? ' (incremental)' : ''} • {run.status}
+                </span>
+                <span className="changes-history-count">
+                  {run.modelsDone}/{run.modelsTotal} models • {run.partsProcessed} parts
+                </span>
+                {issueCount(run.diagnostics) > 0 ? (
+                  <DiagnosticChips counts={run.diagnostics} />
+                ) : (
+                  <span className="changes-history-chip">clean</span>
+                )}
+                {skippedDelta > 0 && (
+                  <span className="changes-history-chip diagnostic-chip-skipped" title="More skipped blocks than the previous run">
+                    +{skippedDelta} vs previous
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div className="alerts-header">
+            <h2>Parse Diagnostics #{report.runId}</h2>
+            <label className="diagnostic-toggle">
+              <input type="checkbox" checked={issuesOnly} onChange={(e) => setIssuesOnly(e.target.checked)} />
+              Only pages with issues
+            </label>
+          </div>
+          {report.models.length === 0 ? (
+            <div className="no-selections">
+              <p>{issuesOnly ? 'Every model page parsed cleanly.' : 'No model pages in this run.'}</p>
+            </div>
+          ) : (
+            <div className="changes-history-group">
+              <div className="changes-history-list">
+                {report.models.map((model) => (
+                  <details key={`${model.motorcycleId}-${model.url}`} className="changes-history-item diagnostic-model">
+                    <summary>
+                      <span className="changes-history-title">{model.label || model.url}</span>
+                      <span className="changes-history-fields">
+                        <span className="changes-history-chip">
+                          {model.partsFound} parts{model.blocksSeen != null ? ` / ${model.blocksSeen} blocks` : ''}
+                        </span>
+                        <DiagnosticChips counts={model} />
+                      </span>
+                    </summary>
+                    {model.url && (
+                      <a className="diagnostic-url" href={model.url} target="_blank" rel="noopener noreferrer">{model.url}</a>
+                    )}
+                    {model.skipped.length > 0 && (
+                      <div className="diagnostic-list">
+                        <div className="diagnostic-list-title">Skipped blocks</div>
+                        {model.skipped.map((block, i) => (
+                          <div key={i} className="diagnostic-entry">
+                            <span className="changes-history-chip diagnostic-chip-skipped">
+                              {SKIP_REASON_LABELS[block.reason] || block.reason}
+                            </span>
+                            {' '}{block.location}: <code>{block.snippet}</code>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <PartList title="Merged duplicates" items={model.duplicates} />
+                    <PartList title="No part number" items={model.noPartNumber} />
+                    <PartList title="No image" items={model.noImage} />
+                  </details>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { PartViewerModal } from './PartViewerModal';
+import { toViewerImages } from '../utils/images';
 
 export function SelectionsSummary() {
   const [tags, setTags] = useState([]);
@@ -13,6 +14,8 @@ export function SelectionsSummary() {
   const [modalImages, setModalImages] = useState([]);
   const [modalIndex, setModalIndex] = useState(0);
   const [modalPart, setModalPart] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [importing, setImporting] = useState(false);
 
   useEffect(() => {
     fetchTags();
@@ -58,23 +61,9 @@ export function SelectionsSummary() {
   const openModal = async (part) => {
     try {
       const response = await axios.get(`/api/motorcycles/part/${part.id}/images`);
-      const images = (response.data || [])
-        .map((row) => {
-          const src = row.image_path || row.image_url;
-          if (!src) return null;
-          if (String(src).startsWith('http://') || String(src).startsWith('https://')) return src;
-          return String(src).startsWith('/') ? src : `/${src}`;
-        })
-        .filter(Boolean);
-      const fallbackSource = part.image_path || part.image_url;
-      const fallback = fallbackSource
-        ? (String(fallbackSource).startsWith('http://') || String(fallbackSource).startsWith('https://')
-          ? fallbackSource
-          : (String(fallbackSource).startsWith('/') ? fallbackSource : `/${fallbackSource}`))
-        : null;
-      const sources = images.length > 0 ? images : (fallback ? [fallback] : []);
-      if (sources.length === 0) return;
-      setModalImages([...new Set(sources)]);
+      const images = toViewerImages(response.data, part);
+      if (images.length === 0) return;
+      setModalImages(images);
       setModalIndex(0);
       setModalPart(part);
       setModalOpen(true);
@@ -106,8 +95,13 @@ export function SelectionsSummary() {
     if (!tagToDelete) return;
     if (!confirm(`Delete whole tag "${tagToDelete}" and remove it from all parts?`)) return;
     try {
-      await axios.delete(`/api/tags/${encodeURIComponent(tagToDelete)}`);
+      const response = await axios.delete(`/api/tags/${encodeURIComponent(tagToDelete)}`);
       await fetchTags();
+      const trash = response.data?.trash;
+      if (trash && confirm(`Tag "${tagToDelete}" moved to trash until ${trash.expiresAt}. Undo now?`)) {
+        await axios.post(`/api/trash/${trash.id}/restore`);
+        await fetchTags();
+      }
     } catch (error) {
       console.error('Error deleting tag:', error);
       const message = error?.response?.data?.error || 'Delete tag failed';
@@ -158,6 +152,28 @@ export function SelectionsSummary() {
     }
   };
 
+  // CSV or JSON (including our own exports); rows resolve by part id or by
+  // part number + model on the server
+  const importFile = async (file) => {
+    if (!file) return;
+    setImporting(true);
+    try {
+      const text = await file.text();
+      const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+      const response = isJson
+        ? await axios.post('/api/tags/import', JSON.parse(text))
+        : await axios.post('/api/tags/import', text, { headers: { 'Content-Type': 'text/csv' } });
+      setImportReport({ fileName: file.name, ...response.data });
+      await fetchTags(selectedTag);
+    } catch (error) {
+      console.error('Error importing tags:', error);
+      const message = error?.response?.data?.error || error.message || 'Import failed';
+      alert(message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const startRenameTag = (name) => {
     setEditingTag(name);
     setEditingValue(name);
@@ -199,7 +215,53 @@ export function SelectionsSummary() {
 
   return (
     <div className="selections-summary-container">
-      <h2>Collections</h2>
+      <div className="collections-title-row">
+        <h2>Collections</h2>
+        <label className={`collection-export-link collection-import-button ${importing ? 'disabled' : ''}`} title="Import tags from CSV or JSON">
+          {importing ? 'Importing...' : 'Import'}
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            disabled={importing}
+            onChange={(e) => {
+              importFile(e.target.files?.[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      {importReport && (
+        <div className="import-report">
+          <div className="import-report-header">
+            <span>
+              {importReport.fileName}: {importReport.summary.matched} matched, {importReport.summary.ambiguous} ambiguous,{' '}
+              {importReport.summary.notFound} not found, {importReport.summary.invalid} invalid
+              {' • '}{importReport.summary.assigned} tag(s) assigned
+              {importReport.summary.tagsCreated.length > 0 ? ` • new: ${importReport.summary.tagsCreated.join(', ')}` : ''}
+            </span>
+            <button
+              type="button"
+              className="collection-remove-icon"
+              onClick={() => setImportReport(null)}
+              aria-label="Close import report"
+            >
+              x
+            </button>
+          </div>
+          {importReport.rows.some((r) => r.status !== 'matched') && (
+            <ul className="import-report-list">
+              {importReport.rows.filter((r) => r.status !== 'matched').map((r) => (
+                <li key={r.row}>
+                  Row {r.row}: {r.partNumber || r.partId || '-'} {r.model ? `(${r.model})` : ''} - {r.status.replace('_', ' ')}
+                  {r.error ? `: ${r.error}` : ''}
+                  {r.candidates ? `: ${r.candidates.map((c) => `${c.brand} ${c.model}`).join(', ')}` : ''}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
 
       {tags.length === 0 ? (
         <div className="no-selections">
@@ -279,6 +341,22 @@ export function SelectionsSummary() {
                 >
                   ⧉
                 </button>
+                {[
+                  { format: 'csv', label: 'CSV', title: 'Download as CSV' },
+                  { format: 'json', label: 'JSON', title: 'Download as JSON' },
+                  { format: 'html', label: 'Print', title: 'Open printable sheet' }
+                ].map(({ format, label, title }) => (
+                  <a
+                    key={format}
+                    className="collection-export-link"
+                    href={`/api/tags/${encodeURIComponent(selectedTag)}/export?format=${format}`}
+                    target={format === 'html' ? '_blank' : undefined}
+                    rel={format === 'html' ? 'noopener noreferrer' : undefined}
+                    title={title}
+                  >
+                    {label}
+                  </a>
+                ))}
               </div>
             </div>
             {parts.length === 0 ? (
@@ -0,0 +1,37 @@
+// Image URLs. Stored images ("images/...") are served resized by the backend
+// at /images/<size>/... (thumb, medium or large); remote URLs are used as is.
+
+function isRemote(value) {
+  return value.startsWith('http://') || value.startsWith('https://');
+}
+
+export function toImageSrc(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (isRemote(raw)) return raw;
+  return raw.startsWith('/') ? raw : `/${raw}`;
+}
+
+export function imageVariantSrc(value, size) {
+  const src = toImageSrc(value);
+  if (!src || isRemote(src) || !src.startsWith('/images/')) return src;
+  return `/images/${size}/${src.slice('/images/'.length)}`;
+}
+
+// Viewer images from /api/motorcycles/part/:id/images rows, falling back to
+// the part's own image; duplicates removed
+export function toViewerImages(rows, part) {
+  const images = (rows || [])
+    .map((row) => {
+      const path = row.image_path || row.image_url;
+      if (!path) return null;
+      return { src: imageVariantSrc(path, 'large'), width: row.width || null, height: row.height || null };
+    })
+    .filter(Boolean);
+  if (images.length === 0) {
+    const fallback = imageVariantSrc(part?.image_path || part?.image_url, 'large');
+    if (fallback) images.push({ src: fallback, width: null, height: null });
+  }
+  const seen = new Set();
+  return images.filter((image) => !seen.has(image.src) && seen.add(image.src));
+}
@@ -0,0 +1,57 @@
+// One shared EventSource on /api/scrape/events for every component that wants
+// live scrape events. It opens with the first listener and closes when the
+// last one goes away; the browser reconnects on its own and the server
+// replays what was missed (Last-Event-ID).
+const listeners = new Set();
+let source = null;
+let lastFinishedRunId = 0;
+
+function dispatch(message) {
+  let event;
+  try {
+    event = JSON.parse(message.data);
+  } catch {
+    return;
+  }
+  if (event.type === 'run_finished') {
+    lastFinishedRunId = Math.max(lastFinishedRunId, Number(event.runId) || 0);
+  }
+  for (const listener of [...listeners]) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Scrape event listener error:', error);
+    }
+  }
+}
+
+export function subscribeScrapeEvents(listener) {
+  listeners.add(listener);
+  if (!source) {
+    source = new EventSource('/api/scrape/events');
+    source.onmessage = dispatch;
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && source) {
+      source.close();
+      source = null;
+    }
+  };
+}
+
+// Resolves with the run_finished event of `runId`, or with a status event
+// (sent on every connect) showing that run is no longer going.
+export function waitForScrapeRun(runId) {
+  const id = Number(runId);
+  if (!id || lastFinishedRunId >= id) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const unsubscribe = subscribeScrapeEvents((event) => {
+      const finished = event.type === 'run_finished' && Number(event.runId) === id;
+      const gone = event.type === 'status' && event.runId !== id;
+      if (!finished && !gone) return;
+      unsubscribe();
+      resolve(event);
+    });
+  });
+}